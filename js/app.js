@@ -3,20 +3,155 @@
  * Orchestrates the entire mockup generation flow
  */
 
-import { DEVICE_LIBRARY } from './devices.js';
-import { applyBodyMaterialTint } from './materials.js';
-import { setBlackScreen, updateModelViewerTexture } from './textures.js';
-import { renderMockup, extractMaskBounds } from './canvas.js';
+import {
+  getDevices,
+  isDeviceBackground,
+  isDevicePack,
+  loadDeviceManifest,
+  readDevicePack,
+  registerDevice,
+} from './registry.js';
+import {
+  checkDeviceAssets,
+  checkModelMaterials,
+  formatIssue,
+  validateDevice,
+} from './schema.js';
+import {
+  applyBodyMaterialTint,
+  getDeviceFinishes,
+  getFinishMaterials,
+} from './materials.js';
+import {
+  drawScreenTexture,
+  refreshModelViewerTexture,
+  setBlackScreen,
+  updateModelViewerTexture,
+} from './textures.js';
+import { applyScreenLayout, loadScreenLayout } from './gltf.js';
+import { renderMockup, extractMaskBounds, getCornerScreenSize } from './canvas.js';
+import { createScreenMask } from './mask.js';
+import { computeHomography, projectPoint } from './perspective.js';
+import { composeMockup, createComposition } from './composition.js';
+import { createEffects } from './effects.js';
+import { createStatusBar } from './statusbar.js';
+import {
+  createProjectFile,
+  getProjectFileName,
+  isProjectFile,
+  readProjectFile,
+} from './project.js';
+import { createShareHash, parseShareHash } from './share.js';
+import {
+  createHistory,
+  recordHistoryState,
+  redoHistory,
+  undoHistory,
+  updateHistoryState,
+} from './history.js';
+import {
+  formatShortcut,
+  isTextEntry,
+  matchesShortcut,
+  searchCommands,
+} from './shortcuts.js';
+import {
+  clearSessions,
+  createSessionId,
+  formatSessionTime,
+  listSessions,
+  loadSession,
+  saveSession,
+} from './sessions.js';
+import { createBatchJobs, loadImageFile, runBatch } from './batch.js';
+import { createZip } from './zip.js';
+import {
+  colorToHex,
+  getEditableMaterials,
+  getSharedBodyMaterial,
+  hexToColor,
+  updateAllBodyMaterials,
+  updateBodyMaterial,
+} from './colors.js';
+import {
+  applyCameraView,
+  deleteSavedCameraView,
+  getCameraPresets,
+  loadSavedCameraViews,
+  readCameraView,
+  saveCameraView,
+} from './camera.js';
+import {
+  CALIBRATION_FIELDS,
+  createCalibrationGrid,
+  dragCalibrationHandle,
+  drawCalibrationOverlay,
+  findCalibrationHandle,
+  formatCalibrationSnippet,
+  getCalibrationConfig,
+  getCalibrationValues,
+  setCalibrationValue,
+} from './calibration.js';
+import { createMediaPlayer, formatMediaTime, isAnimatedMediaFile } from './media.js';
+import {
+  captureViewerFrame,
+  MAX_RECORDING_DURATION,
+  createRecordingSettings,
+  getRecordingMimeType,
+  getRecordingSize,
+  getTurntableOrbit,
+  recordAnimation,
+} from './recorder.js';
+import {
+  FAMILY_LAYOUTS,
+  createFamily,
+  createFamilyEntry,
+  getFamilyItemHeight,
+  renderFamilyLayer,
+  trimTransparent,
+} from './family.js';
+import {
+  EXPORT_FORMATS,
+  blobToCanvas,
+  captureModelViewerForExport,
+  createExportSettings,
+  encodeBlob,
+  encodeCanvas,
+  estimateExportBytes,
+  formatBytes,
+  getExportFormat,
+  isExportFormatSupported,
+  renderMockupForExport,
+  resizeModelViewer,
+  resolveExportSize,
+} from './export.js';
+import {
+  createArtworkCrop,
+  createArtworkFit,
+  getArtworkFill,
+  panArtworkCrop,
+  zoomArtworkCrop,
+} from './artwork.js';
 
 // Global state
 let userImage = null;
+// The file the artwork came from, embedded when the project is saved
+let artworkFile = null;
 let activeDevice = null;
 let activeDeviceAssets = null;
 let viewMode = "2d";
 let modelTextureDirty = false;
+let artworkCrop = createArtworkCrop();
+let artworkFit = createArtworkFit();
+let composition = createComposition();
+let effects = createEffects();
+let statusBar = createStatusBar();
+let exportSettings = createExportSettings();
+let canvasLayout = null;
 
 // DOM elements
 const deviceSelect = document.getElementById("device-select");
+const deviceIssuesPanel = document.getElementById("device-issues");
 const canvas = document.getElementById("mockup-canvas");
 const ctx = canvas.getContext("2d");
 const fileInput = document.getElementById("image-input");
@@ -27,6 +162,132 @@ const viewSelectWrapper = document.getElementById("view-select-wrapper");
 const viewSelect = document.getElementById("view-select");
 const modelViewer = document.getElementById("mockup-model-viewer");
 const screenDimensions = document.getElementById("screen-dimensions");
+const artworkControls = document.getElementById("artwork-controls");
+const artworkZoomInput = document.getElementById("artwork-zoom");
+const artworkResetButton = document.getElementById("artwork-reset");
+const fitModeSelect = document.getElementById("fit-mode-select");
+const fitAnchorSelect = document.getElementById("fit-anchor-select");
+const fitFillInput = document.getElementById("fit-fill-input");
+const compositionControls = document.getElementById("composition-controls");
+const backgroundTypeSelect = document.getElementById("background-type-select");
+const backgroundColorInput = document.getElementById("background-color-input");
+const backgroundColorEndInput = document.getElementById("background-color-end-input");
+const backgroundAngleField = document.getElementById("background-angle-field");
+const backgroundAngleInput = document.getElementById("background-angle-input");
+const backgroundImageInput = document.getElementById("background-image-input");
+const backgroundImageLabel = document.getElementById("background-image-label");
+const paddingInput = document.getElementById("padding-input");
+const aspectSelect = document.getElementById("aspect-select");
+const customSizeFields = document.getElementById("custom-size-fields");
+const customWidthInput = document.getElementById("custom-width-input");
+const customHeightInput = document.getElementById("custom-height-input");
+const effectsControls = document.getElementById("effects-controls");
+const statusBarControls = document.getElementById("status-bar-controls");
+const statusBarSettings = document.getElementById("status-bar-settings");
+const projectSaveButton = document.getElementById("project-save-button");
+const projectOpenInput = document.getElementById("project-open-input");
+const projectStatus = document.getElementById("project-status");
+const shareLinkButton = document.getElementById("share-link-button");
+const sessionControls = document.getElementById("session-controls");
+const sessionSelect = document.getElementById("session-select");
+const sessionClearButton = document.getElementById("session-clear-button");
+const shortcutsButton = document.getElementById("shortcuts-button");
+const shortcutsDialog = document.getElementById("shortcuts-dialog");
+const shortcutList = document.getElementById("shortcut-list");
+const commandPalette = document.getElementById("command-palette");
+const commandSearchInput = document.getElementById("command-search");
+const commandResults = document.getElementById("command-results");
+const exportDialog = document.getElementById("export-dialog");
+const exportExactFields = document.getElementById("export-exact-fields");
+const exportWidthInput = document.getElementById("export-width-input");
+const exportHeightInput = document.getElementById("export-height-input");
+const exportSummary = document.getElementById("export-summary");
+const exportQualityField = document.getElementById("export-quality-field");
+const exportQualityInput = document.getElementById("export-quality-input");
+const exportFlattenField = document.getElementById("export-flatten-field");
+const exportFlattenInput = document.getElementById("export-flatten-input");
+const exportEstimate = document.getElementById("export-estimate");
+const batchButton = document.getElementById("batch-button");
+const batchDialog = document.getElementById("batch-dialog");
+const batchImageInput = document.getElementById("batch-image-input");
+const batchSourceSummary = document.getElementById("batch-source-summary");
+const batchClearButton = document.getElementById("batch-clear-button");
+const batchTargets = document.getElementById("batch-targets");
+const batchProgress = document.getElementById("batch-progress");
+const batchQueue = document.getElementById("batch-queue");
+const batchModelViewer = document.getElementById("batch-model-viewer");
+const batchCancelButton = document.getElementById("batch-cancel-button");
+const batchStartButton = document.getElementById("batch-start-button");
+const familyButton = document.getElementById("family-button");
+const familyDialog = document.getElementById("family-dialog");
+const familyEntriesList = document.getElementById("family-entries");
+const familyAddButton = document.getElementById("family-add-button");
+const familyPreviewCanvas = document.getElementById("family-preview-canvas");
+const familyModelViewer = document.getElementById("family-model-viewer");
+const familyStatus = document.getElementById("family-status");
+const familyDownloadButton = document.getElementById("family-download-button");
+const mediaControls = document.getElementById("media-controls");
+const mediaPlayButton = document.getElementById("media-play-button");
+const mediaScrubInput = document.getElementById("media-scrub-input");
+const mediaTime = document.getElementById("media-time");
+const recordButton = document.getElementById("record-button");
+const recordDialog = document.getElementById("record-dialog");
+const recordCameraGroup = document.getElementById("record-camera-group");
+const recordLoopField = document.getElementById("record-loop-field");
+const recordLoopInput = document.getElementById("record-loop-input");
+const recordDurationInput = document.getElementById("record-duration-input");
+const recordFpsSelect = document.getElementById("record-fps-select");
+const recordResolutionSelect = document.getElementById("record-resolution-select");
+const recordBackgroundInput = document.getElementById("record-background-input");
+const recordProgress = document.getElementById("record-progress");
+const recordStatus = document.getElementById("record-status");
+const recordCancelButton = document.getElementById("record-cancel-button");
+const recordStartButton = document.getElementById("record-start-button");
+const finishControls = document.getElementById("finish-controls");
+const finishSwatches = document.getElementById("finish-swatches");
+const bodyColorControls = document.getElementById("body-color-controls");
+const bodyMaterialSelect = document.getElementById("body-material-select");
+const bodyColorInput = document.getElementById("body-color-input");
+const bodyHexInput = document.getElementById("body-hex-input");
+const bodyEyedropperButton = document.getElementById("body-eyedropper-button");
+const bodyMetalnessInput = document.getElementById("body-metalness-input");
+const bodyRoughnessInput = document.getElementById("body-roughness-input");
+const bodyColorResetButton = document.getElementById("body-color-reset");
+const cameraControls = document.getElementById("camera-controls");
+const cameraPresetList = document.getElementById("camera-presets");
+const cameraSavedViewList = document.getElementById("camera-saved-views");
+const cameraSaveForm = document.getElementById("camera-save-form");
+const cameraViewNameInput = document.getElementById("camera-view-name");
+const calibrationControls = document.getElementById("calibration-controls");
+const calibrationStartButton = document.getElementById("calibration-start-button");
+const calibrationPanel = document.getElementById("calibration-panel");
+const calibrationPreview = document.getElementById("calibration-preview");
+const calibrationFields = document.getElementById("calibration-fields");
+const calibrationRotateButton = document.getElementById("calibration-rotate-button");
+const calibrationFlipXButton = document.getElementById("calibration-flip-x-button");
+const calibrationFlipYButton = document.getElementById("calibration-flip-y-button");
+const calibrationSnippet = document.getElementById("calibration-snippet");
+const calibrationCopyButton = document.getElementById("calibration-copy-button");
+const calibrationResetButton = document.getElementById("calibration-reset-button");
+const calibrationDoneButton = document.getElementById("calibration-done-button");
+
+// Validation problems per device id: {config, model} lists of issues
+const deviceIssues = new Map();
+// Runtime devices that failed validation, shown until the next device change
+let rejectedDevices = [];
+
+// Chosen finish id per device id; devices without one use their default bodyMaterials
+const deviceFinishes = new Map();
+// Body materials edited in the color editor, per device id; these win over the finish
+const customBodyMaterials = new Map();
+let bodyTintUpdate = null;
+let bodyTintPending = false;
+
+// Screen calibration while it's open: {grid, textureSize, values, initial}
+let calibration = null;
+let calibrationTextureUpdate = null;
+let calibrationTexturePending = false;
+let calibrationPreviewFrame = null;
 
 // Caches
 const deviceAssetCache = new Map();
@@ -39,6 +300,54 @@ function cloneDeviceConfig(device) {
   return JSON.parse(JSON.stringify(device));
 }
 
+// Pending redraws for pan and zoom
+let canvasRenderFrame = null;
+let textureUpdateTimer = null;
+
+// Pending export size estimate
+let exportEstimateTimer = null;
+let exportEstimateToken = 0;
+
+// Batch queue state
+let batchSources = [];
+let batchAbort = null;
+const batchQueueItems = new Map();
+
+// Video or GIF artwork; userImage is its frame canvas while one is loaded
+let mediaPlayer = null;
+let mediaTextureRefresh = null;
+let mediaTexturePending = false;
+
+// Video recording state
+let recordingSettings = createRecordingSettings();
+let recordAbort = null;
+
+// Device family state
+let family = null;
+let familyPreviewTimer = null;
+let familyRenderQueue = Promise.resolve();
+const familyRenderCache = new Map();
+
+// Session autosave: the id of the session being edited (null until the
+// artwork is saved), and the pending save while changes settle
+const SESSION_SAVE_DELAY = 800;
+let sessionId = null;
+let sessionSaveTimer = null;
+// Set while a project, link or session is applied, so the halfway state isn't saved
+let restoringState = false;
+// The latest setActiveDevice call, pending while its device loads; changes it
+// makes along the way (the view mode) are part of its undo step
+let deviceSwitchToken = 0;
+let deviceSwitchPending = false;
+
+// Undo history of mockup states; undo and redo steps are applied one after another
+const mockupHistory = createHistory();
+let historyQueue = Promise.resolve();
+
+// Command palette matches for the current query, and the highlighted one
+let paletteResults = [];
+let paletteIndex = 0;
+
 // Initialize on load
 initializeDeviceSelection();
 setupEventListeners();
@@ -51,26 +360,283 @@ function initializeDeviceSelection() {
     return;
   }
 
-  deviceSelect.innerHTML = "";
-  DEVICE_LIBRARY.forEach((device, index) => {
-    const option = document.createElement("option");
-    option.value = device.id;
-    option.textContent = device.name;
-    deviceSelect.appendChild(option);
+  validateBuiltInDevices();
+  renderDeviceOptions();
+
+  // A shared link picks the device, otherwise the last session comes back.
+  // Either may name a device from the manifest, applied once it loads.
+  const isRegistered = (deviceId) => getDevices().some((device) => device.id === deviceId);
+  const shared = parseShareHash(location.hash);
+  const lastSession = shared
+    ? Promise.resolve(null)
+    : loadSession().catch((error) => {
+        console.warn("Could not read saved sessions", error);
+        return null;
+      });
+
+  // A session whose device wasn't registered yet; the manifest may bring it
+  let deferredSession = Promise.resolve(null);
+  if (shared && isRegistered(shared.deviceId)) {
+    applySharedState(shared);
+  } else if (shared) {
+    setActiveDevice(getDevices()[0]);
+  } else {
+    deferredSession = lastSession.then((session) => {
+      if (session && isRegistered(session.state.deviceId)) {
+        applySessionState(session);
+        return null;
+      }
+      setActiveDevice(getDevices()[0]);
+      return session;
+    });
+  }
+
+  deviceSelect.addEventListener("change", () => {
+    selectDevice(getDevices().find((device) => device.id === deviceSelect.value));
+  });
+
+  loadDeviceManifest()
+    .then((results) => {
+      handleDeviceResults(results);
+      if (shared && shared.deviceId !== activeDevice?.id) {
+        applySharedState(shared);
+      }
+      return deferredSession;
+    })
+    .then((session) => {
+      // Unless the user has started on new artwork in the meantime
+      if (session && !userImage && isRegistered(session.state.deviceId)) {
+        applySessionState(session);
+      }
+    })
+    .catch((error) => console.error("Failed to load device manifest", error));
 
-    if (index === 0) {
-      setActiveDevice(device);
+  window.addEventListener("hashchange", () => {
+    const next = parseShareHash(location.hash);
+    if (next) {
+      applySharedState(next);
     }
   });
+}
 
-  deviceSelect.addEventListener("change", () => {
-    const selected = DEVICE_LIBRARY.find(
-      (device) => device.id === deviceSelect.value
-    );
-    if (selected && selected.name !== activeDevice?.name) {
-      setActiveDevice(selected);
+/**
+ * Apply the setup from a share link: device, view, colors, camera and export settings
+ * @param {Object} shared - The state from parseShareHash
+ */
+function applySharedState(shared) {
+  exportSettings = shared.exportSettings;
+  updateExportControls();
+  restoreMockupState(shared).catch((error) => {
+    console.warn("Could not apply the shared link", error);
+    setProjectStatus(error.message);
+    if (!activeDevice) {
+      setActiveDevice(getDevices()[0]);
+    }
+  });
+}
+
+/**
+ * Switch to a device chosen by the user
+ * @param {Object} device - The device configuration
+ */
+function selectDevice(device) {
+  if (device && device.id !== activeDevice?.id) {
+    rejectedDevices = [];
+    setActiveDevice(device);
+  }
+}
+
+/**
+ * Switch to the next or previous device in menu order, wrapping around
+ * @param {number} offset - 1 for the next device, -1 for the previous one
+ */
+function stepActiveDevice(offset) {
+  const devices = getDevices();
+  const index = devices.findIndex((device) => device.id === activeDevice?.id);
+  selectDevice(devices[(index + offset + devices.length) % devices.length]);
+}
+
+/**
+ * Bring back a saved session, falling back to the first device when it can't be applied
+ * @param {Object} session - The session from loadSession
+ */
+function applySessionState(session) {
+  sessionId = session.id;
+  restoreMockupState(session.state)
+    .then(() => updateSessionControls())
+    .catch((error) => {
+      console.warn("Could not restore the session", error);
+      setProjectStatus(error.message);
+      sessionId = null;
+      if (!activeDevice) {
+        setActiveDevice(getDevices()[0]);
+      }
+    });
+}
+
+/**
+ * Validate the built-in devices, then check their files in the background
+ */
+function validateBuiltInDevices() {
+  const devices = getDevices();
+  devices.forEach((device) => {
+    deviceIssues.set(device.id, { config: validateDevice(device), model: [] });
+  });
+
+  Promise.all(
+    devices.map(async (device) => {
+      const missing = await checkDeviceAssets(device);
+      deviceIssues.get(device.id)?.config.push(...missing);
+    })
+  )
+    .then(() => {
+      renderDeviceOptions();
+      updateDeviceIssues();
+    })
+    .catch((error) => console.error("Failed to check device files", error));
+}
+
+/**
+ * Record validation results for runtime devices and refresh the device lists
+ * @param {Array} results - Results from loadDeviceManifest or readDevicePack [{device, issues, usable}, ...]
+ * @returns {Array} The usable devices
+ */
+function handleDeviceResults(results) {
+  const usable = results.filter((result) => result.usable).map((result) => result.device);
+  results.forEach(({ device, issues, usable: isUsable }) => {
+    if (isUsable) {
+      deviceIssues.set(device.id, { config: issues, model: [] });
+    }
+  });
+  rejectedDevices = results.filter((result) => !result.usable);
+
+  if (usable.length > 0) {
+    handleDevicesRegistered(usable);
+  }
+  updateDeviceIssues();
+  return usable;
+}
+
+/**
+ * Get every known problem with a device
+ * @param {string} deviceId - The device id
+ * @returns {Array} The issues
+ */
+function getDeviceIssues(deviceId) {
+  const entry = deviceIssues.get(deviceId);
+  return entry ? [...entry.config, ...entry.model] : [];
+}
+
+/**
+ * Show the active device's problems and any devices that couldn't be added
+ */
+function updateDeviceIssues() {
+  if (!deviceIssuesPanel) {
+    return;
+  }
+
+  const sections = rejectedDevices.map(({ device, issues }) => [
+    `Couldn't add ${device.name ?? "device"}`,
+    issues,
+  ]);
+  const activeIssues = activeDevice ? getDeviceIssues(activeDevice.id) : [];
+  if (activeIssues.length > 0) {
+    const count = activeIssues.length;
+    sections.push([`${activeDevice.name}: ${count} ${count === 1 ? "problem" : "problems"}`, activeIssues]);
+  }
+
+  deviceIssuesPanel.innerHTML = "";
+  sections.forEach(([title, issues]) => {
+    const heading = document.createElement("p");
+    heading.className = "device-issues-title";
+    heading.textContent = title;
+
+    const list = document.createElement("ul");
+    issues.forEach((item) => {
+      const entry = document.createElement("li");
+      entry.dataset.severity = item.severity;
+      entry.textContent = formatIssue(item);
+      list.appendChild(entry);
+    });
+
+    deviceIssuesPanel.append(heading, list);
+  });
+  deviceIssuesPanel.hidden = sections.length === 0;
+}
+
+/**
+ * Fill the device dropdown from the registry; dropped devices are grouped last
+ */
+function renderDeviceOptions() {
+  if (!deviceSelect) {
+    return;
+  }
+
+  deviceSelect.innerHTML = "";
+  const sessionGroup = document.createElement("optgroup");
+  sessionGroup.label = "Added this session";
+
+  getDevices().forEach((device) => {
+    const hasErrors = getDeviceIssues(device.id).some((item) => item.severity === "error");
+    const option = new Option(hasErrors ? `${device.name} ⚠` : device.name, device.id);
+    if (device.source === "session") {
+      sessionGroup.appendChild(option);
+    } else {
+      deviceSelect.appendChild(option);
     }
   });
+
+  if (sessionGroup.children.length > 0) {
+    deviceSelect.appendChild(sessionGroup);
+  }
+  if (activeDevice) {
+    deviceSelect.value = activeDevice.id;
+  }
+}
+
+/**
+ * Refresh everything that lists devices after devices are registered
+ * @param {Array} devices - The newly registered devices
+ */
+function handleDevicesRegistered(devices) {
+  devices.forEach((device) => {
+    // A re-registered device may bring new 2D assets under the same id
+    deviceAssetCache.delete(device.id);
+    familyRenderCache.delete(`${device.id}:3d`);
+  });
+  renderDeviceOptions();
+  renderBatchTargets();
+
+  // Reload the active device if it was replaced
+  const replaced = devices.find((device) => device.id === activeDevice?.id);
+  if (replaced) {
+    setActiveDevice(replaced);
+  }
+}
+
+/**
+ * Register devices from a dropped GLB, background PNG (with or without its mask) or JSON config and switch to the first
+ * @param {FileList|Array} files - The dropped files
+ */
+async function addSessionDevices(files) {
+  let results;
+  try {
+    results = await readDevicePack(files);
+  } catch (error) {
+    results = [
+      {
+        device: { name: Array.from(files ?? [])[0]?.name },
+        issues: [{ severity: "error", path: "", message: error.message }],
+        usable: false,
+      },
+    ];
+  }
+
+  results.filter((result) => result.usable).forEach((result) => registerDevice(result.device));
+  const devices = handleDeviceResults(results);
+  if (devices[0] && devices[0].id !== activeDevice?.id) {
+    setActiveDevice(devices[0]);
+  }
 }
 
 /**
@@ -79,38 +645,21 @@ function initializeDeviceSelection() {
 function setupEventListeners() {
   // File input
   fileInput.addEventListener("change", (event) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      ingestFile(file);
-    }
+    ingestFiles(event.target.files);
+    fileInput.value = "";
   });
 
-  // Download button
-  downloadButton.addEventListener("click", async () => {
-    const fileBase = activeDevice?.assetPrefix ?? "device";
-    const link = document.createElement("a");
-
-    if (viewMode === "3d" && modelViewer) {
-      // Download from 3D viewer
-      try {
-        const blob = await modelViewer.toBlob({
-          idealAspect: true,
-          mimeType: "image/png",
-        });
-        link.href = URL.createObjectURL(blob);
-        link.download = `${fileBase}-3d-mockup.png`;
-        link.click();
-        URL.revokeObjectURL(link.href);
-      } catch (error) {
-        console.error("Failed to download 3D view", error);
-      }
+  // Download button opens the export dialog
+  downloadButton.addEventListener("click", () => {
+    if (exportDialog && typeof exportDialog.showModal === "function") {
+      updateExportControls();
+      updateExportFormatSupport();
+      exportDialog.showModal();
     } else {
-      // Download from 2D canvas
-      link.href = canvas.toDataURL("image/png");
-      link.download = `${fileBase}-mockup.png`;
-      link.click();
+      downloadMockup();
     }
   });
+  setupExportDialog();
 
   // Copy to clipboard button
   if (copyButton) {
@@ -155,10 +704,7 @@ function setupEventListeners() {
       event.preventDefault();
       dropZone.dataset.dragActive = "false";
 
-      const file = event.dataTransfer?.files?.[0];
-      if (file) {
-        ingestFile(file);
-      }
+      ingestFiles(event.dataTransfer?.files);
     });
   }
 
@@ -176,12 +722,19 @@ function setupEventListeners() {
   // Model viewer load event
   if (modelViewer) {
     modelViewer.addEventListener("load", () => {
+      // Report materials the config names but the loaded model lacks
+      const entry = activeDevice && deviceIssues.get(activeDevice.id);
+      if (entry && modelViewer.src === encodeURI(activeDevice.modelPath ?? "")) {
+        entry.model = checkModelMaterials(activeDevice, modelViewer.model?.materials);
+        updateDeviceIssues();
+      }
+
       // Always apply body material tint when model loads
       applyBodyMaterialTint(modelViewer, activeDevice).catch((error) =>
         console.error("Failed to apply body material tint on load", error)
       );
 
-      if (!userImage) {
+      if (!userImage && !calibration) {
         // Set screen to grey when no image is loaded
         setBlackScreen(modelViewer, activeDevice).catch((error) =>
           console.error("Failed to set black screen on load", error)
@@ -203,404 +756,3818 @@ function setupEventListeners() {
       return;
     }
 
-    const file = items[0];
-    ingestFile(file);
+    if (batchDialog?.open) {
+      if (!batchAbort) {
+        addBatchSources(items);
+      }
+      return;
+    }
+
+    ingestFiles(items);
   });
+
+  setupArtworkInteraction();
+  setupCompositionControls();
+  setupEffectsControls();
+  setupStatusBarControls();
+  setupProjectControls();
+  setupHistoryControls();
+  setupShortcuts();
+  setupBatchDialog();
+  setupFamilyDialog();
+  setupMediaControls();
+  setupRecordDialog();
+  setupFinishControls();
+  setupBodyColorControls();
+  setupCameraControls();
+  setupCalibrationControls();
 }
 
 /**
- * Set the active device
- * @param {Object} device - The device configuration
+ * Setup pan and zoom of the artwork inside the screen region
  */
-async function setActiveDevice(device) {
-  try {
-    const deviceConfig = cloneDeviceConfig(device);
-    console.log(
-      "=== setActiveDevice ===",
-      deviceConfig.name,
-      "userImage exists:",
-      !!userImage
-    );
+function setupArtworkInteraction() {
+  const activePointers = new Map();
+  let pinchDistance = null;
 
-    if (deviceSelect && deviceSelect.value !== deviceConfig.id) {
-      deviceSelect.value = deviceConfig.id;
+  canvas.addEventListener("pointerdown", (event) => {
+    const point = getArtworkPoint(event);
+    if (!point || (activePointers.size === 0 && !point.inside)) {
+      return;
     }
 
-    activeDevice = deviceConfig;
-    // Make it globally accessible for materials/textures modules
-    window.activeDevice = deviceConfig;
-    activeDeviceAssets = null;
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, point);
+    pinchDistance = null;
+    canvas.dataset.panning = "true";
+  });
 
-    // Determine initial view mode based on available assets
-    const has2DAssets = deviceConfig.has2DAssets !== false;
-    const hasModel = Boolean(deviceConfig.modelPath);
-    const initialMode = has2DAssets ? "2d" : (hasModel ? "3d" : "2d");
+  canvas.addEventListener("pointermove", (event) => {
+    const previous = activePointers.get(event.pointerId);
+    const point = previous ? getArtworkPoint(event) : null;
+    if (!point) {
+      return;
+    }
 
-    console.log(
-      "Initial mode:",
-      initialMode,
-      "has2D:",
-      has2DAssets,
-      "hasModel:",
-      hasModel
-    );
+    activePointers.set(event.pointerId, point);
+    const bounds = getArtworkBounds();
 
-    setViewMode(initialMode, { suppressRender: true });
-    updateDownloadAvailability();
-    updateScreenDimensions();
-    modelTextureDirty = Boolean(userImage);
+    if (activePointers.size === 1) {
+      setArtworkCrop(
+        panArtworkCrop(
+          userImage,
+          bounds,
+          artworkCrop,
+          point.x - previous.x,
+          point.y - previous.y,
+          artworkFit
+        ),
+        { continuous: true }
+      );
+      return;
+    }
 
-    console.log("modelTextureDirty set to:", modelTextureDirty);
+    // Pinch zoom around the midpoint of the first two pointers
+    const [first, second] = activePointers.values();
+    const distance = Math.hypot(first.x - second.x, first.y - second.y);
+    if (pinchDistance && distance > 0) {
+      setArtworkCrop(
+        zoomArtworkCrop(
+          userImage,
+          bounds,
+          artworkCrop,
+          distance / pinchDistance,
+          {
+            x: (first.x + second.x) / 2,
+            y: (first.y + second.y) / 2,
+          },
+          artworkFit
+        ),
+        { continuous: true }
+      );
+    }
+    pinchDistance = distance;
+  });
 
-    updateViewToggleVisibility(deviceConfig);
+  const releasePointer = (event) => {
+    activePointers.delete(event.pointerId);
+    pinchDistance = null;
+    if (activePointers.size === 0) {
+      delete canvas.dataset.panning;
+    }
+  };
+  canvas.addEventListener("pointerup", releasePointer);
+  canvas.addEventListener("pointercancel", releasePointer);
 
-    const assets = await loadDeviceAssets(deviceConfig);
+  canvas.addEventListener(
+    "wheel",
+    (event) => {
+      const point = getArtworkPoint(event);
+      if (!point?.inside) {
+        return;
+      }
 
-    // Only update canvas if we have valid 2D assets
-    if (assets) {
-      activeDeviceAssets = {
-        ...deviceConfig,
-        ...assets,
-      };
+      event.preventDefault();
+      // Trackpad pinches arrive as ctrl+wheel with much smaller deltas
+      const sensitivity = event.ctrlKey ? 0.01 : 0.0015;
+      const factor = Math.exp(-event.deltaY * sensitivity);
+      setArtworkCrop(
+        zoomArtworkCrop(
+          userImage,
+          getArtworkBounds(),
+          artworkCrop,
+          factor,
+          point,
+          artworkFit
+        ),
+        { continuous: true }
+      );
+    },
+    { passive: false }
+  );
 
-      canvas.width = assets.bgImage.width;
-      canvas.height = assets.bgImage.height;
-      canvas.setAttribute("aria-label", `${deviceConfig.name} preview`);
-    } else {
-      // No 2D assets available
-      activeDeviceAssets = null;
-      console.log("No 2D assets for", deviceConfig.name);
+  canvas.addEventListener("dblclick", (event) => {
+    if (getArtworkPoint(event)?.inside) {
+      setArtworkCrop(createArtworkCrop());
     }
+  });
 
-    if (viewMode === "2d" && activeDeviceAssets) {
-      renderMockup(canvas, ctx, activeDeviceAssets, userImage);
-    } else if (viewMode === "3d") {
-      console.log("Calling configureModelViewer with forceTextureUpdate");
-      // Always force texture update when switching to a 3D device
-      await configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
-        console.error("Failed to configure 3D viewer", error)
+  if (artworkZoomInput) {
+    artworkZoomInput.addEventListener("input", () => {
+      const bounds = getArtworkBounds();
+      if (!userImage || !bounds) {
+        return;
+      }
+      const zoom = Number(artworkZoomInput.value) / 100;
+      setArtworkCrop(
+        zoomArtworkCrop(
+          userImage,
+          bounds,
+          artworkCrop,
+          zoom / artworkCrop.zoom,
+          null,
+          artworkFit
+        ),
+        { continuous: true }
       );
-    }
-    updateDownloadAvailability();
-  } catch (error) {
-    console.error(`Failed to load assets for ${device.name}`, error);
-  }
-}
-
-/**
- * Load device assets (background and mask images)
- * @param {Object} device - The device configuration
- * @returns {Promise<Object|null>} The loaded assets or null
- */
-function loadDeviceAssets(device) {
-  if (deviceAssetCache.has(device.name)) {
-    return deviceAssetCache.get(device.name);
+    });
   }
 
-  // If device explicitly has no 2D assets, return null immediately
-  if (device.has2DAssets === false) {
-    const nullPromise = Promise.resolve(null);
-    deviceAssetCache.set(device.name, nullPromise);
-    return nullPromise;
+  if (artworkResetButton) {
+    artworkResetButton.addEventListener("click", () => {
+      setArtworkCrop(createArtworkCrop());
+    });
   }
 
-  const bgImage = new Image();
-  bgImage.src = `${device.folder}/${device.assetPrefix}_bg.png`;
+  // Fit mode controls
+  const handleFitChange = (event) => {
+    const mode = fitModeSelect?.value ?? artworkFit.mode;
+    const modeChanged = mode !== artworkFit.mode;
+    artworkFit = {
+      mode,
+      anchor: fitAnchorSelect?.value ?? artworkFit.anchor,
+      fillColor: fitFillInput?.value ?? artworkFit.fillColor,
+    };
+    // Pan offsets from one fit don't translate to another
+    setArtworkCrop(modeChanged ? createArtworkCrop() : artworkCrop, {
+      continuous: isContinuousControl(event.target),
+    });
+  };
+  fitModeSelect?.addEventListener("change", handleFitChange);
+  fitAnchorSelect?.addEventListener("change", handleFitChange);
+  fitFillInput?.addEventListener("input", handleFitChange);
 
-  const maskImage = new Image();
-  maskImage.src = `${device.folder}/${device.assetPrefix}_screenmask.png`;
+  updateArtworkControls();
+}
 
-  const assetPromise = Promise.all([
-    imageReady(bgImage),
-    imageReady(maskImage),
-  ]).then(() => {
-    return {
-      bgImage,
-      maskImage,
-      maskBounds: extractMaskBounds(maskImage),
+/**
+ * Setup the background, padding and output size controls for 2D exports
+ */
+function setupCompositionControls() {
+  const readControls = (event) => {
+    composition = {
+      ...composition,
+      background: {
+        ...composition.background,
+        type: backgroundTypeSelect?.value ?? composition.background.type,
+        color: backgroundColorInput?.value ?? composition.background.color,
+        colorEnd: backgroundColorEndInput?.value ?? composition.background.colorEnd,
+        angle: Number(backgroundAngleInput?.value ?? composition.background.angle),
+      },
+      padding: Number(paddingInput?.value ?? composition.padding),
+      aspect: aspectSelect?.value ?? composition.aspect,
+      customWidth: Number(customWidthInput?.value) || composition.customWidth,
+      customHeight: Number(customHeightInput?.value) || composition.customHeight,
     };
-  }).catch((error) => {
-    console.warn(`Failed to load 2D assets for ${device.name}`, error);
-    return null;
+    setComposition(composition, { continuous: isContinuousControl(event.target) });
+  };
+
+  [
+    backgroundTypeSelect,
+    backgroundColorInput,
+    backgroundColorEndInput,
+    backgroundAngleInput,
+    paddingInput,
+    aspectSelect,
+    customWidthInput,
+    customHeightInput,
+  ].forEach((control) => {
+    control?.addEventListener("input", readControls);
   });
 
-  deviceAssetCache.set(device.name, assetPromise);
-  return assetPromise;
+  if (backgroundImageInput) {
+    backgroundImageInput.addEventListener("change", (event) => {
+      const file = event.target.files?.[0];
+      if (!file || !file.type.startsWith("image/")) {
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.addEventListener("load", () => {
+        const img = new Image();
+        img.addEventListener("load", () => {
+          setComposition({
+            ...composition,
+            background: { ...composition.background, type: "image", image: img },
+          });
+        });
+        img.src = reader.result;
+      });
+      reader.readAsDataURL(file);
+    });
+  }
+
+  updateCompositionControls();
 }
 
 /**
- * Wait for an image to be ready
- * @param {Image} image - The image element
- * @returns {Promise} Resolves when image is loaded
+ * Update the composition and redraw the 2D canvas
+ * @param {Object} nextComposition - The new composition settings
+ * @param {Object} options - {continuous} for drags and sliders, see recordHistory (optional)
  */
-function imageReady(image) {
-  if (image.complete && image.naturalWidth > 0) {
-    return Promise.resolve();
+function setComposition(nextComposition, options = {}) {
+  composition = nextComposition;
+  updateCompositionControls();
+  recordChange("composition", options);
+  if (viewMode === "2d") {
+    scheduleCanvasRender();
   }
-
-  return new Promise((resolve, reject) => {
-    image.addEventListener("load", resolve, { once: true });
-    image.addEventListener(
-      "error",
-      () => reject(new Error(`Failed to load ${image.src}`)),
-      { once: true }
-    );
-  });
 }
 
 /**
- * Ingest a file (image upload)
- * @param {File} file - The file to ingest
+ * Sync the composition controls with the current settings
  */
-function ingestFile(file) {
-  if (!file || !file.type.startsWith("image/")) {
+function updateCompositionControls() {
+  if (compositionControls) {
+    compositionControls.hidden = viewMode !== "2d" || !activeDeviceAssets;
+  }
+
+  const { background } = composition;
+  const isGradient = background.type === "linear" || background.type === "radial";
+
+  if (backgroundTypeSelect) {
+    backgroundTypeSelect.value = background.type;
+  }
+  if (backgroundColorInput) {
+    backgroundColorInput.value = background.color;
+    backgroundColorInput.hidden = background.type === "none" || background.type === "image";
+  }
+  if (backgroundColorEndInput) {
+    backgroundColorEndInput.value = background.colorEnd;
+    backgroundColorEndInput.hidden = !isGradient;
+  }
+  if (backgroundAngleInput) {
+    backgroundAngleInput.value = String(background.angle);
+  }
+  if (backgroundAngleField) {
+    backgroundAngleField.hidden = background.type !== "linear";
+  }
+  if (backgroundImageLabel) {
+    backgroundImageLabel.hidden = background.type !== "image";
+  }
+  if (paddingInput) {
+    paddingInput.value = String(composition.padding);
+  }
+  if (aspectSelect) {
+    aspectSelect.value = composition.aspect;
+  }
+  if (customSizeFields) {
+    customSizeFields.hidden = composition.aspect !== "custom";
+  }
+  if (customWidthInput && document.activeElement !== customWidthInput) {
+    customWidthInput.value = String(composition.customWidth);
+  }
+  if (customHeightInput && document.activeElement !== customHeightInput) {
+    customHeightInput.value = String(composition.customHeight);
+  }
+}
+
+/**
+ * Setup the shadow, reflection and tilt controls.
+ * Each input names its effect and setting through data attributes.
+ */
+function setupEffectsControls() {
+  if (!effectsControls) {
+    return;
+  }
+
+  effectsControls.addEventListener("input", (event) => {
+    const input = event.target;
+    const { effect, setting } = input.dataset ?? {};
+    if (!effect || !setting || !effects[effect]) {
+      return;
+    }
+
+    let value = input.value;
+    if (input.type === "checkbox") {
+      value = input.checked;
+    } else if (input.type === "range" || input.type === "number") {
+      value = Number(input.value);
+    }
+
+    setEffects(
+      {
+        ...effects,
+        [effect]: { ...effects[effect], [setting]: value },
+      },
+      { continuous: isContinuousControl(input) }
+    );
+  });
+
+  updateEffectsControls();
+}
+
+/**
+ * Update the device effects and redraw the 2D canvas
+ * @param {Object} nextEffects - The new effects settings
+ * @param {Object} options - {continuous} for drags and sliders, see recordHistory (optional)
+ */
+function setEffects(nextEffects, options = {}) {
+  effects = nextEffects;
+  updateEffectsControls();
+  recordChange("effects", options);
+  if (viewMode === "2d") {
+    scheduleCanvasRender();
+  }
+}
+
+/**
+ * Sync the effects controls with the current settings
+ */
+function updateEffectsControls() {
+  if (!effectsControls) {
+    return;
+  }
+
+  effectsControls.hidden = viewMode !== "2d" || !activeDeviceAssets;
+
+  effectsControls.querySelectorAll("[data-effect]").forEach((input) => {
+    const value = effects[input.dataset.effect]?.[input.dataset.setting];
+    if (input.type === "checkbox") {
+      input.checked = Boolean(value);
+    } else if (value !== undefined) {
+      input.value = String(value);
+    }
+  });
+
+  effectsControls.querySelectorAll("[data-effect-settings]").forEach((group) => {
+    group.hidden = !effects[group.dataset.effectSettings]?.enabled;
+  });
+}
+
+/**
+ * Setup the status bar overlay controls.
+ * Each input names its setting through a data attribute.
+ */
+function setupStatusBarControls() {
+  if (!statusBarControls) {
+    return;
+  }
+
+  statusBarControls.addEventListener("input", (event) => {
+    const input = event.target;
+    const setting = input.dataset?.statusBar;
+    if (!setting) {
+      return;
+    }
+
+    let value = input.value;
+    if (input.type === "checkbox") {
+      value = input.checked;
+    } else if (input.type === "range") {
+      value = Number(input.value);
+    }
+    setStatusBar({ ...statusBar, [setting]: value }, { continuous: isContinuousControl(input) });
+  });
+
+  updateStatusBarControls();
+}
+
+/**
+ * Update the status bar overlay and refresh whichever view is visible
+ * @param {Object} nextStatusBar - The new status bar settings
+ * @param {Object} options - {continuous} for drags and sliders, see recordHistory (optional)
+ */
+function setStatusBar(nextStatusBar, options = {}) {
+  statusBar = nextStatusBar;
+  modelTextureDirty = true;
+  updateStatusBarControls();
+  recordChange("status-bar", options);
+
+  if (viewMode === "2d") {
+    scheduleCanvasRender();
+  } else {
+    scheduleTextureUpdate();
+  }
+}
+
+/**
+ * Sync the status bar controls with the current settings
+ */
+function updateStatusBarControls() {
+  if (!statusBarControls) {
+    return;
+  }
+
+  statusBarControls.hidden = !userImage;
+  statusBarControls.querySelectorAll("[data-status-bar]").forEach((input) => {
+    const value = statusBar[input.dataset.statusBar];
+    if (input.type === "checkbox") {
+      input.checked = Boolean(value);
+    } else if (value !== undefined && input !== document.activeElement) {
+      input.value = String(value);
+    }
+  });
+  if (statusBarSettings) {
+    statusBarSettings.hidden = !statusBar.enabled;
+  }
+}
+
+/**
+ * Setup the Save project, Open project and share link controls
+ */
+function setupProjectControls() {
+  projectSaveButton?.addEventListener("click", () => {
+    saveProject().catch((error) => {
+      console.error("Failed to save project", error);
+      setProjectStatus(`Couldn't save the project: ${error.message}`);
+    });
+  });
+
+  shareLinkButton?.addEventListener("click", () => {
+    copyShareLink().catch((error) => {
+      console.error("Failed to copy share link", error);
+      setProjectStatus(`Couldn't copy the link: ${error.message}`);
+    });
+  });
+
+  projectOpenInput?.addEventListener("change", (event) => {
+    const file = event.target.files?.[0];
+    projectOpenInput.value = "";
+    if (file) {
+      openProject(file);
+    }
+  });
+
+  setupSessionControls();
+}
+
+/**
+ * Setup the recent sessions list, its Clear button and saving on the way out
+ */
+function setupSessionControls() {
+  sessionSelect?.addEventListener("change", () => {
+    const id = sessionSelect.value;
+    sessionSelect.value = "";
+    if (!id || id === sessionId) {
+      return;
+    }
+    flushSessionSave()
+      .then(() => loadSession(id))
+      .then((session) => {
+        if (session) {
+          applySessionState(session);
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to open session", error);
+        setProjectStatus(`Couldn't open the session: ${error.message}`);
+      });
+  });
+
+  sessionClearButton?.addEventListener("click", () => {
+    // Nothing more is saved until the mockup changes again
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    sessionId = null;
+    clearSessions()
+      .then(() => {
+        updateSessionControls();
+        setProjectStatus("Saved sessions cleared from this browser.");
+      })
+      .catch((error) => {
+        console.error("Failed to clear sessions", error);
+        setProjectStatus(`Couldn't clear the sessions: ${error.message}`);
+      });
+  });
+
+  modelViewer?.addEventListener("camera-change", () => {
+    if (viewMode === "3d") {
+      scheduleSessionSave();
+    }
+  });
+
+  // Debounced changes are saved right away when the tab is hidden or closed
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      flushSessionSave();
+    }
+  });
+  window.addEventListener("pagehide", () => flushSessionSave());
+
+  updateSessionControls();
+}
+
+/**
+ * Save the current session once changes settle
+ */
+function scheduleSessionSave() {
+  if (restoringState) {
+    return;
+  }
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => {
+    sessionSaveTimer = null;
+    saveCurrentSession();
+  }, SESSION_SAVE_DELAY);
+}
+
+/**
+ * Save a pending session change now
+ * @returns {Promise} Resolves once saved
+ */
+function flushSessionSave() {
+  if (!sessionSaveTimer) {
+    return Promise.resolve();
+  }
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  return saveCurrentSession();
+}
+
+/**
+ * Save the current mockup as a session. Nothing is saved until there's artwork.
+ * @returns {Promise} Resolves once saved; failures are logged, not thrown
+ */
+async function saveCurrentSession() {
+  if (!activeDevice || !userImage || !artworkFile) {
+    return;
+  }
+  sessionId ??= createSessionId();
+  const label = `${activeDevice.name} · ${artworkFile.name ?? "artwork"}`;
+  try {
+    await saveSession(sessionId, label, captureMockupState());
+    await updateSessionControls();
+  } catch (error) {
+    console.warn("Could not save the session", error);
+  }
+}
+
+/**
+ * List the saved sessions to jump back to; hidden when there are none
+ * @returns {Promise} Resolves once listed
+ */
+async function updateSessionControls() {
+  if (!sessionControls || !sessionSelect) {
+    return;
+  }
+
+  let sessions = [];
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    console.warn("Could not read saved sessions", error);
+  }
+
+  sessionControls.hidden = sessions.length === 0;
+  sessionSelect.replaceChildren(new Option("Recent sessions…", ""));
+  sessions.forEach((session) => {
+    const current = session.id === sessionId ? " (current)" : "";
+    sessionSelect.append(
+      new Option(`${session.label} — ${formatSessionTime(session.updatedAt)}${current}`, session.id)
+    );
+  });
+  sessionSelect.value = "";
+}
+
+/**
+ * Download the current mockup as a .mockit project file
+ */
+async function saveProject() {
+  if (!activeDevice) {
+    return;
+  }
+  const blob = await createProjectFile(captureMockupState());
+  downloadBlob(blob, getProjectFileName(activeDevice));
+  setProjectStatus("");
+}
+
+/**
+ * Put the current setup (everything but the artwork) in the URL hash and copy the link
+ */
+async function copyShareLink() {
+  if (!activeDevice) {
+    return;
+  }
+  const hash = createShareHash({ ...captureMockupState(), exportSettings });
+  history.replaceState(null, "", hash);
+  await navigator.clipboard.writeText(location.href);
+  setProjectStatus("Link copied. The artwork isn't included; whoever opens it drops in their own.");
+}
+
+/**
+ * Open a .mockit project file and restore its mockup
+ * @param {File} file - The project file
+ */
+async function openProject(file) {
+  // A project starts a session of its own
+  sessionId = null;
+  try {
+    const state = await readProjectFile(file);
+    await restoreMockupState(state);
+    setProjectStatus("");
+  } catch (error) {
+    console.error("Failed to open project", error);
+    setProjectStatus(error.message);
+  }
+}
+
+/**
+ * Show a problem with the last project save or open, or clear it
+ * @param {string} message - The message, empty to hide it
+ */
+function setProjectStatus(message) {
+  if (!projectStatus) {
+    return;
+  }
+  projectStatus.textContent = message;
+  projectStatus.hidden = !message;
+}
+
+/**
+ * Collect everything that makes up the current mockup
+ * @returns {Object} The state {deviceId, viewMode, artwork, crop, fit, composition,
+ *   effects, statusBar, finishId, bodyMaterials, camera}
+ */
+function captureMockupState() {
+  const deviceId = activeDevice?.id ?? null;
+  return {
+    deviceId,
+    viewMode,
+    artwork: userImage ? artworkFile : null,
+    crop: artworkCrop,
+    fit: artworkFit,
+    composition,
+    effects,
+    statusBar,
+    finishId: deviceFinishes.get(deviceId) ?? null,
+    bodyMaterials: customBodyMaterials.get(deviceId) ?? null,
+    camera: viewMode === "3d" && modelViewer?.loaded ? readCameraView(modelViewer) : null,
+  };
+}
+
+/**
+ * Bring back a mockup captured by captureMockupState. Settings the state
+ * leaves out (a share link has no artwork, crop or composition) are kept.
+ * @param {Object} state - The state
+ * @param {Object} options - Restore options
+ * @param {boolean} options.history - Add the restore as an undo step (default true)
+ * @throws {Error} When the state's device isn't registered
+ */
+async function restoreMockupState(state, options = {}) {
+  const device = getDevices().find((item) => item.id === state.deviceId);
+  if (!device) {
+    throw new Error(`The device "${state.deviceId}" isn't available here. Add it, then try again.`);
+  }
+
+  restoringState = true;
+  try {
+    // Colors are read when the device is activated
+    if (state.finishId) {
+      deviceFinishes.set(device.id, state.finishId);
+    } else {
+      deviceFinishes.delete(device.id);
+    }
+    if (state.bodyMaterials) {
+      customBodyMaterials.set(device.id, state.bodyMaterials.map((descriptor) => ({ ...descriptor })));
+    } else {
+      customBodyMaterials.delete(device.id);
+    }
+
+    artworkFit = state.fit ?? artworkFit;
+    composition = state.composition ?? composition;
+    effects = state.effects ?? effects;
+    statusBar = state.statusBar ?? statusBar;
+    if (state.artwork && !(state.artwork === artworkFile && userImage)) {
+      await ingestFile(state.artwork);
+    } else if (state.artwork === null) {
+      artworkFile = null;
+      setMediaPlayer(null);
+      setUserImage(null);
+    }
+
+    if (device.id === activeDevice?.id) {
+      // The assets are loaded already; only the colors may differ
+      const materials = getDeviceBodyMaterials(device);
+      if (JSON.stringify(materials) !== JSON.stringify(activeDevice.bodyMaterials)) {
+        setActiveBodyMaterials(materials);
+      }
+      updateFinishControls();
+      updateBodyColorControls();
+    } else {
+      rejectedDevices = [];
+      await setActiveDevice(device);
+    }
+    const available = state.viewMode === "3d" ? Boolean(device.modelPath) : device.has2DAssets !== false;
+    if (available && state.viewMode !== viewMode) {
+      setViewMode(state.viewMode);
+    }
+
+    // The pan and zoom are reset by the new artwork, so they go last
+    setArtworkCrop(state.crop ?? artworkCrop);
+    updateCompositionControls();
+    updateEffectsControls();
+    updateStatusBarControls();
+
+    if (state.camera && viewMode === "3d") {
+      if (!modelViewer.loaded || modelViewer.src !== encodeURI(device.modelPath)) {
+        await waitForModelLoad(modelViewer);
+      }
+      applyCameraView(modelViewer, state.camera);
+    }
+  } finally {
+    restoringState = false;
+  }
+  if (options.history !== false) {
+    recordHistory("restore");
+  }
+  scheduleSessionSave();
+}
+
+/**
+ * Setup camera drags and scrolls as undo steps (undo and redo themselves are
+ * keyboard shortcuts, see getCommands)
+ */
+function setupHistoryControls() {
+  if (!modelViewer) {
+    return;
+  }
+
+  // The camera settles by itself after loads and presets, so each drag or
+  // scroll starts from the view on screen
+  const syncCamera = () => {
+    if (viewMode === "3d" && modelViewer.loaded && !restoringState) {
+      updateHistoryState(mockupHistory, { camera: readCameraView(modelViewer) });
+    }
+  };
+  modelViewer.addEventListener("pointerdown", syncCamera, { capture: true });
+  modelViewer.addEventListener("wheel", () => {
+    if (mockupHistory.lastKey !== "camera") {
+      syncCamera();
+    }
+  }, { capture: true, passive: true });
+
+  modelViewer.addEventListener("camera-change", (event) => {
+    if (event.detail?.source === "user-interaction" && viewMode === "3d") {
+      recordHistory("camera", { continuous: true });
+    }
+  });
+}
+
+/**
+ * Setup the keyboard shortcuts, the command palette and the shortcuts overlay
+ */
+function setupShortcuts() {
+  window.addEventListener("keydown", (event) => {
+    // Typing keeps its keys, and open dialogs are modal
+    if (event.repeat || isTextEntry(event.target) || document.querySelector("dialog[open]")) {
+      return;
+    }
+    const command = getCommands().find(
+      (item) => item.shortcut && matchesShortcut(event, item.shortcut) && (!item.when || item.when())
+    );
+    if (!command) {
+      return;
+    }
+    event.preventDefault();
+    if (!command.enabled || command.enabled()) {
+      command.run();
+    }
+  });
+
+  shortcutsButton?.addEventListener("click", openShortcutsHelp);
+  setupCommandPalette();
+}
+
+/**
+ * List everything the palette and the shortcuts can do. Commands are
+ * {id, label, group, keywords, shortcut, when, enabled, run}: `when` decides
+ * whether the shortcut applies at all, `enabled` whether the command can run now.
+ * @returns {Array} The commands, actions first, then one per device
+ */
+function getCommands() {
+  const buttonCommand = (id, label, button, extra = {}) => ({
+    id,
+    label,
+    enabled: () => Boolean(button && !button.disabled),
+    run: () => button.click(),
+    ...extra,
+  });
+
+  const actions = [
+    { id: "open-file", label: "Open image…", shortcut: "Mod+O", run: () => fileInput.click() },
+    buttonCommand("download", "Download mockup…", downloadButton, { shortcut: "Mod+S" }),
+    buttonCommand("copy", "Copy mockup to clipboard", copyButton, {
+      shortcut: "Mod+C",
+      // Selected text is copied as usual
+      when: () => !window.getSelection()?.toString(),
+    }),
+    { id: "next-device", label: "Next device", shortcut: "]", run: () => stepActiveDevice(1) },
+    { id: "previous-device", label: "Previous device", shortcut: "[", run: () => stepActiveDevice(-1) },
+    {
+      id: "toggle-view",
+      label: "Switch between 2D and 3D",
+      keywords: "view mode toggle",
+      shortcut: "V",
+      enabled: () => Boolean(viewSelectWrapper && !viewSelectWrapper.hidden),
+      run: () => setViewMode(viewMode === "2d" ? "3d" : "2d"),
+    },
+    {
+      id: "reset-camera",
+      label: "Reset camera",
+      shortcut: "R",
+      enabled: () => viewMode === "3d" && Boolean(modelViewer?.loaded),
+      run: resetCamera,
+    },
+    { id: "undo", label: "Undo", shortcut: "Mod+Z", enabled: () => mockupHistory.past.length > 0, run: undo },
+    {
+      id: "redo",
+      label: "Redo",
+      shortcut: "Shift+Mod+Z",
+      enabled: () => mockupHistory.future.length > 0,
+      run: redo,
+    },
+    buttonCommand("save-project", "Save project", projectSaveButton),
+    buttonCommand("open-project", "Open project…", projectOpenInput),
+    buttonCommand("share-link", "Copy share link", shareLinkButton),
+    buttonCommand("batch", "Batch mockups…", batchButton),
+    buttonCommand("family", "Device family…", familyButton),
+    buttonCommand("record", "Record video…", recordButton),
+    { id: "command-palette", label: "Command palette", shortcut: "Mod+K", palette: false, run: openCommandPalette },
+    { id: "shortcuts", label: "Keyboard shortcuts", shortcut: "?", run: openShortcutsHelp },
+  ];
+
+  const devices = getDevices().map((device) => ({
+    id: `device:${device.id}`,
+    label: device.name,
+    group: "Device",
+    run: () => selectDevice(device),
+  }));
+
+  return [...actions, ...devices];
+}
+
+/**
+ * Put the active device's own camera angle back
+ */
+function resetCamera() {
+  const view = {
+    cameraOrbit: activeDevice?.cameraOrbit ?? "",
+    cameraTarget: activeDevice?.cameraTarget ?? "",
+    fieldOfView: activeDevice?.fieldOfView ?? "",
+  };
+  applyCameraView(modelViewer, view);
+  recordHistory("camera-view", { camera: view });
+}
+
+/**
+ * Setup searching, arrow-key selection and running commands in the palette
+ */
+function setupCommandPalette() {
+  if (!commandPalette || !commandSearchInput || !commandResults) {
+    return;
+  }
+
+  commandSearchInput.addEventListener("input", () => {
+    paletteIndex = 0;
+    renderCommandResults();
+  });
+
+  commandSearchInput.addEventListener("keydown", (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (paletteResults.length > 0) {
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        paletteIndex = (paletteIndex + step + paletteResults.length) % paletteResults.length;
+        updateCommandSelection();
+      }
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      runPaletteCommand(paletteResults[paletteIndex]);
+    } else if (matchesShortcut(event, "Mod+K")) {
+      event.preventDefault();
+      commandPalette.close();
+    }
+  });
+
+  commandResults.addEventListener("click", (event) => {
+    const item = event.target.closest("[data-index]");
+    if (item) {
+      runPaletteCommand(paletteResults[Number(item.dataset.index)]);
+    }
+  });
+
+  // Clicks on the backdrop land on the dialog itself
+  commandPalette.addEventListener("click", (event) => {
+    if (event.target === commandPalette) {
+      commandPalette.close();
+    }
+  });
+}
+
+/**
+ * Open the command palette with an empty search
+ */
+function openCommandPalette() {
+  if (!commandPalette || typeof commandPalette.showModal !== "function") {
+    return;
+  }
+  commandSearchInput.value = "";
+  paletteIndex = 0;
+  renderCommandResults();
+  commandPalette.showModal();
+  commandSearchInput.focus();
+}
+
+/**
+ * Close the palette, then run the command, so dialogs it opens aren't stacked on it
+ * @param {Object} command - The command (optional)
+ */
+function runPaletteCommand(command) {
+  if (!command) {
+    return;
+  }
+  commandPalette.close();
+  command.run();
+}
+
+/**
+ * List the commands that match the search and can run now
+ */
+function renderCommandResults() {
+  const available = getCommands().filter(
+    (command) => command.palette !== false && (!command.enabled || command.enabled())
+  );
+  paletteResults = searchCommands(available, commandSearchInput.value);
+
+  commandResults.replaceChildren(
+    ...paletteResults.map((command, index) => {
+      const item = document.createElement("li");
+      item.id = `command-result-${index}`;
+      item.dataset.index = String(index);
+      item.setAttribute("role", "option");
+
+      const label = document.createElement("span");
+      label.textContent = command.label;
+      if (command.id === `device:${activeDevice?.id}`) {
+        label.textContent += " (current)";
+      }
+      item.append(label);
+
+      if (command.shortcut) {
+        const key = document.createElement("kbd");
+        key.textContent = formatShortcut(command.shortcut);
+        item.append(key);
+      } else if (command.group) {
+        const group = document.createElement("small");
+        group.textContent = command.group;
+        item.append(group);
+      }
+      return item;
+    })
+  );
+
+  if (paletteResults.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "command-empty";
+    empty.textContent = "No matching devices or actions";
+    commandResults.append(empty);
+  }
+  updateCommandSelection();
+}
+
+/**
+ * Highlight the selected palette entry and keep it in view
+ */
+function updateCommandSelection() {
+  let selected = null;
+  commandResults.querySelectorAll("[data-index]").forEach((item) => {
+    const isSelected = Number(item.dataset.index) === paletteIndex;
+    item.setAttribute("aria-selected", String(isSelected));
+    if (isSelected) {
+      selected = item;
+    }
+  });
+  selected?.scrollIntoView({ block: "nearest" });
+  if (selected) {
+    commandSearchInput.setAttribute("aria-activedescendant", selected.id);
+  } else {
+    commandSearchInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+/**
+ * Show the overlay listing every keyboard shortcut
+ */
+function openShortcutsHelp() {
+  if (!shortcutsDialog || typeof shortcutsDialog.showModal !== "function") {
+    return;
+  }
+
+  // Paste is handled by its own listener, so it's listed here by hand
+  const bindings = [
+    ...getCommands().filter((command) => command.shortcut),
+    { label: "Paste an image", shortcut: "Mod+V" },
+  ];
+  shortcutList.replaceChildren(
+    ...bindings.flatMap((command) => {
+      const term = document.createElement("dt");
+      term.textContent = command.label;
+      const description = document.createElement("dd");
+      const key = document.createElement("kbd");
+      key.textContent = formatShortcut(command.shortcut);
+      description.append(key);
+      return [term, description];
+    })
+  );
+  shortcutsDialog.showModal();
+}
+
+/**
+ * Note a change to the mockup: it becomes an undo step and the session is saved
+ * @param {string} key - The kind of change
+ * @param {Object} options - See recordHistory (optional)
+ */
+function recordChange(key, options = {}) {
+  recordHistory(key, options);
+  scheduleSessionSave();
+}
+
+/**
+ * Add the current mockup to the undo history
+ * @param {string} key - The kind of change
+ * @param {Object} options - Record options
+ * @param {boolean} options.continuous - Part of a drag or slider movement; a run
+ *   of these with the same key is a single undo step (optional)
+ * @param {Object} options.camera - The camera to record instead of the current
+ *   one, e.g. the view a preset is moving to (optional)
+ */
+function recordHistory(key, options = {}) {
+  if (restoringState || deviceSwitchPending || !activeDevice) {
+    return;
+  }
+  const state = captureMockupState();
+  if (options.camera) {
+    state.camera = options.camera;
+  }
+  recordHistoryState(mockupHistory, state, key, { continuous: options.continuous });
+}
+
+/**
+ * Undo the last mockup change
+ */
+function undo() {
+  applyHistoryState(undoHistory(mockupHistory));
+}
+
+/**
+ * Redo the last undone mockup change
+ */
+function redo() {
+  applyHistoryState(redoHistory(mockupHistory));
+}
+
+/**
+ * Restore a state from the undo history, after any undo or redo still in flight
+ * @param {Object|null} state - The state, or null when there's nothing to do
+ */
+function applyHistoryState(state) {
+  if (!state) {
+    return;
+  }
+  historyQueue = historyQueue
+    .then(() => restoreMockupState(state, { history: false }))
+    .catch((error) => {
+      console.error("Failed to restore the mockup from history", error);
+      setProjectStatus(error.message);
+    });
+}
+
+/**
+ * Setup the device finish picker
+ */
+function setupFinishControls() {
+  if (!finishControls) {
+    return;
+  }
+
+  finishSwatches.addEventListener("change", (event) => {
+    if (event.target.name === "body-finish") {
+      setBodyFinish(event.target.value);
+    }
+  });
+
+  updateFinishControls();
+}
+
+/**
+ * Switch the active device to one of its finishes and retint the 3D model
+ * @param {string} finishId - The finish id
+ */
+function setBodyFinish(finishId) {
+  if (!activeDevice) {
+    return;
+  }
+
+  deviceFinishes.set(activeDevice.id, finishId);
+  // Picking a finish replaces any custom colors
+  customBodyMaterials.delete(activeDevice.id);
+  setActiveBodyMaterials(getDeviceBodyMaterials(getLibraryDevice(activeDevice)));
+  updateBodyColorControls();
+}
+
+/**
+ * Get the body materials a device renders with: custom colors if edited,
+ * otherwise its chosen finish
+ * @param {Object} device - The device configuration
+ * @returns {Array} The body material descriptors
+ */
+function getDeviceBodyMaterials(device) {
+  const custom = customBodyMaterials.get(device.id);
+  if (custom) {
+    return custom.map((descriptor) => ({ ...descriptor }));
+  }
+  return getFinishMaterials(device, deviceFinishes.get(device.id));
+}
+
+/**
+ * Get the registered entry for a device, whose finishes and materials are unedited
+ * @param {Object} device - The device configuration
+ * @returns {Object} The registered device, or the device itself
+ */
+function getLibraryDevice(device) {
+  return getDevices().find((item) => item.id === device.id) ?? device;
+}
+
+/**
+ * Replace the active device's body materials and retint the 3D model
+ * @param {Array} materials - The body material descriptors
+ * @param {Object} options - {continuous} for drags and sliders, see recordHistory (optional)
+ */
+function setActiveBodyMaterials(materials, options = {}) {
+  activeDevice.bodyMaterials = materials;
+  familyRenderCache.delete(`${activeDevice.id}:3d`);
+  scheduleBodyTint();
+  recordChange("colors", options);
+}
+
+/**
+ * Retint the 3D model, coalescing changes that arrive while a tint is in flight
+ */
+function scheduleBodyTint() {
+  if (bodyTintUpdate) {
+    bodyTintPending = true;
+    return;
+  }
+
+  bodyTintUpdate = applyBodyMaterialTint(modelViewer, activeDevice)
+    .catch((error) => console.error("Failed to apply body colors", error))
+    .finally(() => {
+      bodyTintUpdate = null;
+      if (bodyTintPending) {
+        bodyTintPending = false;
+        scheduleBodyTint();
+      }
+    });
+}
+
+/**
+ * Setup the custom body color editor
+ */
+function setupBodyColorControls() {
+  if (!bodyColorControls) {
+    return;
+  }
+
+  bodyMaterialSelect.addEventListener("change", () => updateBodyColorControls());
+
+  bodyColorInput.addEventListener("input", () => {
+    editBodyMaterials({ color: hexToColor(bodyColorInput.value) }, bodyColorInput);
+  });
+
+  bodyHexInput.addEventListener("input", () => {
+    const color = hexToColor(bodyHexInput.value);
+    if (color && bodyHexInput.value.replace("#", "").length === 6) {
+      editBodyMaterials({ color }, bodyHexInput);
+    }
+  });
+
+  bodyHexInput.addEventListener("change", () => {
+    const color = hexToColor(bodyHexInput.value);
+    if (color) {
+      editBodyMaterials({ color });
+    } else {
+      updateBodyColorControls();
+    }
+  });
+
+  bodyMetalnessInput.addEventListener("input", () => {
+    editBodyMaterials({ metallicFactor: Number(bodyMetalnessInput.value) }, bodyMetalnessInput);
+  });
+
+  bodyRoughnessInput.addEventListener("input", () => {
+    editBodyMaterials({ roughnessFactor: Number(bodyRoughnessInput.value) }, bodyRoughnessInput);
+  });
+
+  bodyEyedropperButton.hidden = typeof window.EyeDropper !== "function";
+  bodyEyedropperButton.addEventListener("click", async () => {
+    try {
+      const { sRGBHex } = await new window.EyeDropper().open();
+      const color = hexToColor(sRGBHex);
+      if (color) {
+        editBodyMaterials({ color });
+      }
+    } catch (error) {
+      // Escape cancels the eyedropper
+      if (error?.name !== "AbortError") {
+        console.error("Eyedropper failed", error);
+      }
+    }
+  });
+
+  bodyColorResetButton.addEventListener("click", () => {
+    if (!activeDevice) {
+      return;
+    }
+    customBodyMaterials.delete(activeDevice.id);
+    setActiveBodyMaterials(getDeviceBodyMaterials(getLibraryDevice(activeDevice)));
+    updateBodyColorControls();
+  });
+
+  updateBodyColorControls();
+}
+
+/**
+ * Apply an edit from the body color editor to the selected material,
+ * or to all of them
+ * @param {Object} changes - Any of {color, metallicFactor, roughnessFactor}
+ * @param {HTMLElement} source - The input being edited, left untouched while syncing (optional)
+ */
+function editBodyMaterials(changes, source = null) {
+  if (!activeDevice?.bodyMaterials) {
+    return;
+  }
+
+  const name = bodyMaterialSelect.value;
+  const device = getLibraryDevice(activeDevice);
+  const materials =
+    name === "all"
+      ? updateAllBodyMaterials(
+          activeDevice.bodyMaterials,
+          changes,
+          getFinishMaterials(device, deviceFinishes.get(device.id))
+        )
+      : updateBodyMaterial(activeDevice.bodyMaterials, name, changes);
+
+  customBodyMaterials.set(activeDevice.id, materials.map((descriptor) => ({ ...descriptor })));
+  // Edits from an input arrive as it's dragged or typed in
+  setActiveBodyMaterials(materials, { continuous: Boolean(source) });
+  updateBodyColorFields(source);
+}
+
+/**
+ * Sync the body color editor with the active device and view mode
+ */
+function updateBodyColorControls() {
+  if (!bodyColorControls) {
+    return;
+  }
+
+  const editable = getEditableMaterials(activeDevice?.bodyMaterials);
+  bodyColorControls.hidden = viewMode !== "3d" || editable.length === 0;
+  if (bodyColorControls.hidden) {
+    return;
+  }
+
+  // Rebuild the material list when the names change: another device, or a
+  // finish that adds materials. The selection is kept while it still exists.
+  const names = editable.map((descriptor) => descriptor.name);
+  const materialsKey = JSON.stringify([activeDevice.id, ...names]);
+  if (bodyMaterialSelect.dataset.materials !== materialsKey) {
+    const selected = bodyMaterialSelect.value;
+    bodyMaterialSelect.innerHTML = "";
+    bodyMaterialSelect.add(new Option("All materials", "all"));
+    names.forEach((name) => {
+      bodyMaterialSelect.add(new Option(name, name));
+    });
+    bodyMaterialSelect.value = names.includes(selected) ? selected : "all";
+    bodyMaterialSelect.dataset.materials = materialsKey;
+  }
+
+  bodyColorResetButton.disabled = !customBodyMaterials.has(activeDevice.id);
+  updateBodyColorFields();
+}
+
+/**
+ * Show the selected material's color, metalness and roughness
+ * @param {HTMLElement} skip - An input to leave as the user typed it (optional)
+ */
+function updateBodyColorFields(skip = null) {
+  const name = bodyMaterialSelect.value;
+  const editable = getEditableMaterials(activeDevice?.bodyMaterials);
+  const current =
+    name === "all"
+      ? getSharedBodyMaterial(editable)
+      : editable.find((descriptor) => descriptor.name === name);
+  if (!current) {
+    return;
+  }
+
+  const hex = colorToHex(current.color);
+  const fields = [
+    [bodyColorInput, hex],
+    [bodyHexInput, hex],
+    [bodyMetalnessInput, String(current.metallicFactor ?? 0)],
+    [bodyRoughnessInput, String(current.roughnessFactor ?? 0)],
+  ];
+  fields.forEach(([input, value]) => {
+    if (input !== skip) {
+      input.value = value;
+    }
+  });
+
+  bodyColorResetButton.disabled = !customBodyMaterials.has(activeDevice.id);
+}
+
+/**
+ * Sync the finish picker with the active device
+ */
+function updateFinishControls() {
+  if (!finishControls) {
+    return;
+  }
+
+  const finishes = getDeviceFinishes(activeDevice);
+  finishControls.hidden = viewMode !== "3d" || finishes.length === 0;
+  if (finishControls.hidden) {
+    return;
+  }
+
+  const selected = deviceFinishes.get(activeDevice.id) ?? finishes[0].id;
+  finishSwatches.innerHTML = "";
+  finishes.forEach((finish) => {
+    const label = document.createElement("label");
+    label.className = "finish-swatch";
+
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "body-finish";
+    input.value = finish.id;
+    input.checked = finish.id === selected;
+
+    const name = document.createElement("span");
+    name.style.setProperty("--swatch", finish.swatch ?? "#ccc");
+    name.textContent = finish.name;
+
+    label.append(input, name);
+    finishSwatches.appendChild(label);
+  });
+}
+
+/**
+ * Setup the 3D camera preset and saved view controls
+ */
+function setupCameraControls() {
+  if (!cameraControls || !modelViewer) {
+    return;
+  }
+
+  cameraPresetList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-preset]");
+    const preset = getCameraPresets(activeDevice).find(
+      (item) => item.id === button?.dataset.preset
+    );
+    if (preset) {
+      applyCameraView(modelViewer, preset);
+      recordHistory("camera-view", { camera: pickCameraView(preset) });
+    }
+  });
+
+  cameraSavedViewList.addEventListener("click", (event) => {
+    const button = event.target.closest("button");
+    const name = button?.closest("li")?.dataset.name;
+    if (!name || !activeDevice) {
+      return;
+    }
+
+    if (button.dataset.action === "remove") {
+      deleteSavedCameraView(activeDevice.id, name);
+      updateCameraControls();
+      return;
+    }
+
+    const view = loadSavedCameraViews(activeDevice.id).find((item) => item.name === name);
+    if (view) {
+      applyCameraView(modelViewer, view);
+      recordHistory("camera-view", { camera: pickCameraView(view) });
+    }
+  });
+
+  cameraSaveForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const name = cameraViewNameInput.value.trim();
+    if (!name || !activeDevice || !modelViewer.loaded) {
+      return;
+    }
+
+    saveCameraView(activeDevice.id, name, readCameraView(modelViewer));
+    cameraViewNameInput.value = "";
+    updateCameraControls();
+  });
+
+  updateCameraControls();
+}
+
+/**
+ * Sync the camera controls with the active device and view mode
+ */
+function updateCameraControls() {
+  if (!cameraControls) {
+    return;
+  }
+
+  cameraControls.hidden = viewMode !== "3d" || !activeDevice?.modelPath;
+  if (cameraControls.hidden) {
+    return;
+  }
+
+  cameraPresetList.innerHTML = "";
+  getCameraPresets(activeDevice).forEach((preset) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-button";
+    button.dataset.preset = preset.id;
+    button.textContent = preset.name;
+    cameraPresetList.appendChild(button);
+  });
+
+  cameraSavedViewList.innerHTML = "";
+  loadSavedCameraViews(activeDevice.id).forEach((view) => {
+    const item = document.createElement("li");
+    item.dataset.name = view.name;
+
+    const recallButton = document.createElement("button");
+    recallButton.type = "button";
+    recallButton.className = "secondary-button";
+    recallButton.textContent = view.name;
+    recallButton.title = `Go to ${view.name}`;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "secondary-button";
+    removeButton.dataset.action = "remove";
+    removeButton.setAttribute("aria-label", `Delete ${view.name}`);
+    removeButton.textContent = "×";
+
+    item.append(recallButton, removeButton);
+    cameraSavedViewList.appendChild(item);
+  });
+}
+
+/**
+ * Setup the screen calibration panel: value sliders, drag handles on the
+ * UV map preview and the config snippet
+ */
+function setupCalibrationControls() {
+  if (!calibrationControls) {
+    return;
+  }
+
+  CALIBRATION_FIELDS.forEach((field) => {
+    const label = document.createElement("label");
+    label.className = "control-field calibration-field";
+
+    const name = document.createElement("span");
+    name.textContent = field.label;
+
+    const range = document.createElement("input");
+    range.type = "range";
+    const number = document.createElement("input");
+    number.type = "number";
+    number.className = "number-input";
+    number.setAttribute("aria-label", field.label);
+    [range, number].forEach((input) => {
+      input.dataset.calibration = field.key;
+      input.min = String(field.min);
+      input.max = String(field.max);
+      input.step = input === range ? String(field.step) : "any";
+    });
+
+    label.append(name, range, number);
+    calibrationFields.appendChild(label);
+  });
+
+  calibrationFields.addEventListener("input", (event) => {
+    const key = event.target.dataset.calibration;
+    if (!calibration || !key || event.target.value === "") {
+      return;
+    }
+    setCalibrationValues(
+      setCalibrationValue(calibration.values, key, Number(event.target.value)),
+      event.target
+    );
+  });
+
+  calibrationStartButton.addEventListener("click", () => openCalibration());
+
+  calibrationRotateButton.addEventListener("click", () => {
+    if (calibration) {
+      const rotation = ((calibration.values.rotation + 270) % 360) - 180;
+      setCalibrationValues({ ...calibration.values, rotation });
+    }
+  });
+
+  calibrationFlipXButton.addEventListener("click", () => {
+    if (calibration) {
+      setCalibrationValues({ ...calibration.values, scaleX: -calibration.values.scaleX });
+    }
+  });
+
+  calibrationFlipYButton.addEventListener("click", () => {
+    if (calibration) {
+      setCalibrationValues({ ...calibration.values, scaleY: -calibration.values.scaleY });
+    }
+  });
+
+  calibrationResetButton.addEventListener("click", () => {
+    if (calibration) {
+      setCalibrationValues(calibration.initial);
+    }
+  });
+
+  calibrationCopyButton.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(calibrationSnippet.value);
+      console.log("Copied calibration config to clipboard");
+    } catch (error) {
+      // Leave the snippet selected so it can be copied by hand
+      calibrationSnippet.select();
+      console.error("Failed to copy calibration config", error);
+    }
+  });
+
+  calibrationDoneButton.addEventListener("click", () => {
+    closeCalibration();
+    // Let a grid update in flight land first so the artwork replaces it
+    Promise.resolve(calibrationTextureUpdate)
+      .then(() => configureModelViewer({ forceTextureUpdate: true }))
+      .catch((error) => console.error("Failed to restore 3D screen after calibration", error));
+  });
+
+  setupCalibrationDrag();
+  updateCalibrationControls();
+}
+
+/**
+ * Setup dragging the UV rectangle and image handles on the calibration preview
+ */
+function setupCalibrationDrag() {
+  let drag = null;
+
+  const getPoint = (event) => {
+    const rect = calibrationPreview.getBoundingClientRect();
+    return {
+      u: (event.clientX - rect.left) / rect.width,
+      v: 1 - (event.clientY - rect.top) / rect.height,
+      // Handles can be grabbed within 10 CSS pixels
+      tolerance: 10 / rect.width,
+    };
+  };
+
+  calibrationPreview.addEventListener("pointerdown", (event) => {
+    if (!calibration) {
+      return;
+    }
+    const point = getPoint(event);
+    const handle = findCalibrationHandle(
+      calibration.values,
+      calibration.textureSize,
+      point.u,
+      point.v,
+      point.tolerance
+    );
+    if (!handle) {
+      return;
+    }
+
+    event.preventDefault();
+    calibrationPreview.setPointerCapture(event.pointerId);
+    drag = { handle, point, values: calibration.values, pointerId: event.pointerId };
+    calibration.activeHandle = handle;
+  });
+
+  calibrationPreview.addEventListener("pointermove", (event) => {
+    if (!calibration) {
+      return;
+    }
+    const point = getPoint(event);
+
+    if (!drag || drag.pointerId !== event.pointerId) {
+      const handle = findCalibrationHandle(
+        calibration.values,
+        calibration.textureSize,
+        point.u,
+        point.v,
+        point.tolerance
+      );
+      calibrationPreview.style.cursor = handle ? (handle === "move" ? "move" : "grab") : "";
+      return;
+    }
+
+    setCalibrationValues(
+      dragCalibrationHandle(
+        drag.values,
+        drag.handle,
+        point.u - drag.point.u,
+        point.v - drag.point.v,
+        calibration.textureSize
+      )
+    );
+  });
+
+  const endDrag = (event) => {
+    if (drag?.pointerId !== event.pointerId) {
+      return;
+    }
+    drag = null;
+    if (calibration) {
+      calibration.activeHandle = null;
+      scheduleCalibrationPreview();
+    }
+  };
+  calibrationPreview.addEventListener("pointerup", endDrag);
+  calibrationPreview.addEventListener("pointercancel", endDrag);
+}
+
+/**
+ * Start calibrating the active device's screen: show the test grid on the
+ * model and open the calibration panel
+ */
+function openCalibration() {
+  if (!activeDevice?.modelPath || viewMode !== "3d") {
+    return;
+  }
+
+  const size = getArtworkBounds();
+  if (!size?.width || !size?.height) {
+    console.warn("No screen dimensions available to calibrate", activeDevice.name);
+    return;
+  }
+
+  const values = getCalibrationValues(activeDevice);
+  calibration = {
+    grid: createCalibrationGrid(size.width, size.height),
+    textureSize: activeDevice.screenTextureSize || size.width,
+    values,
+    initial: values,
+    activeHandle: null,
+  };
+
+  calibrationPanel.hidden = false;
+  calibrationStartButton.hidden = true;
+  updateCalibrationFields();
+  scheduleCalibrationPreview();
+  configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
+    console.error("Failed to show calibration grid", error)
+  );
+}
+
+/**
+ * Close the calibration panel. The calibrated values stay on the active
+ * device until it's switched; the caller redraws the screen.
+ */
+function closeCalibration() {
+  if (!calibration) {
+    return;
+  }
+  calibration = null;
+  cancelAnimationFrame(calibrationPreviewFrame);
+  calibrationPreviewFrame = null;
+  if (calibrationPanel) {
+    calibrationPanel.hidden = true;
+    calibrationStartButton.hidden = false;
+  }
+}
+
+/**
+ * Apply new calibration values to the active device and the 3D screen
+ * @param {Object} values - The calibration values
+ * @param {HTMLElement} source - The input being edited, left untouched while syncing (optional)
+ */
+function setCalibrationValues(values, source = null) {
+  calibration.values = values;
+  Object.assign(activeDevice, getCalibrationConfig(values));
+  familyRenderCache.delete(`${activeDevice.id}:3d`);
+  updateCalibrationFields(source);
+  scheduleCalibrationPreview();
+  scheduleCalibrationTexture();
+}
+
+/**
+ * Redraw the grid on the 3D screen, coalescing changes that arrive while
+ * an update is in flight
+ */
+function scheduleCalibrationTexture() {
+  if (calibrationTextureUpdate) {
+    calibrationTexturePending = true;
+    return;
+  }
+
+  const screen = getScreenSource();
+  calibrationTextureUpdate = refreshModelViewerTexture(
+    modelViewer,
+    activeDevice,
+    activeDeviceAssets,
+    screen.image,
+    screen.options
+  )
+    .catch((error) => console.error("Failed to update calibration grid", error))
+    .finally(() => {
+      calibrationTextureUpdate = null;
+      if (calibrationTexturePending) {
+        calibrationTexturePending = false;
+        if (calibration) {
+          scheduleCalibrationTexture();
+        }
+      }
+    });
+}
+
+/**
+ * Redraw the UV map preview on the next animation frame
+ */
+function scheduleCalibrationPreview() {
+  if (calibrationPreviewFrame !== null) {
+    return;
+  }
+  calibrationPreviewFrame = requestAnimationFrame(() => {
+    calibrationPreviewFrame = null;
+    renderCalibrationPreview();
+  });
+}
+
+/**
+ * Draw the whole screen texture with the UV rectangle and handles over it
+ */
+function renderCalibrationPreview() {
+  if (!calibration || !calibrationPreview) {
+    return;
+  }
+
+  const previewCtx = calibrationPreview.getContext("2d");
+  const { width, height } = calibrationPreview;
+  previewCtx.clearRect(0, 0, width, height);
+
+  const screen = getScreenSource();
+  const texture = drawScreenTexture(activeDevice, activeDeviceAssets, screen.image, screen.options);
+  if (texture) {
+    previewCtx.drawImage(texture, 0, 0, width, height);
+  }
+  drawCalibrationOverlay(previewCtx, calibration.values, calibration.textureSize, calibration.activeHandle);
+}
+
+/**
+ * Show the calibration values in the sliders and the config snippet
+ * @param {HTMLElement} skip - An input to leave as the user typed it (optional)
+ */
+function updateCalibrationFields(skip = null) {
+  if (!calibration) {
+    return;
+  }
+
+  calibrationFields.querySelectorAll("[data-calibration]").forEach((input) => {
+    if (input !== skip) {
+      input.value = String(calibration.values[input.dataset.calibration]);
+    }
+  });
+  calibrationSnippet.value = formatCalibrationSnippet(calibration.values);
+}
+
+/**
+ * Sync the calibration controls with the active device and view mode
+ */
+function updateCalibrationControls() {
+  if (!calibrationControls) {
+    return;
+  }
+
+  calibrationControls.hidden = viewMode !== "3d" || !activeDevice?.modelPath;
+  if (calibrationControls.hidden) {
+    closeCalibration();
+  }
+}
+
+/**
+ * Map a pointer event onto the artwork bounds of the 2D canvas
+ * @param {PointerEvent|WheelEvent} event - The pointer event
+ * @returns {Object|null} The point relative to the artwork {x, y, inside}
+ */
+function getArtworkPoint(event) {
+  if (viewMode !== "2d" || !userImage || !activeDeviceAssets?.maskBounds) {
+    return null;
+  }
+
+  const rect = canvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) {
+    return null;
+  }
+
+  // Undo the composition placement and effects to get back to device pixels
+  const { maskBounds, screenCorners, chromeOffset = 0 } = activeDeviceAssets;
+  const canvasX = (event.clientX - rect.left) * (canvas.width / rect.width);
+  const canvasY = (event.clientY - rect.top) * (canvas.height / rect.height);
+  const { x: deviceX, y: deviceY } = canvasLayout
+    ? canvasLayout.toDevicePoint(canvasX, canvasY)
+    : { x: canvasX, y: canvasY };
+
+  // Angled screens also undo the perspective warp, back onto the flat screen
+  if (screenCorners) {
+    const { width, height } = getCornerScreenSize(activeDeviceAssets);
+    const toScreen = computeHomography(screenCorners, [
+      [0, 0],
+      [width, 0],
+      [width, height],
+      [0, height],
+    ]);
+    if (!toScreen) {
+      return null;
+    }
+    const [screenX, screenY] = projectPoint(toScreen, deviceX, deviceY);
+    return {
+      x: screenX,
+      y: screenY - chromeOffset,
+      inside: screenX >= 0 && screenY >= 0 && screenX <= width && screenY <= height,
+    };
+  }
+
+  const inside =
+    deviceX >= maskBounds.x &&
+    deviceY >= maskBounds.y &&
+    deviceX <= maskBounds.x + maskBounds.width &&
+    deviceY <= maskBounds.y + maskBounds.height;
+
+  return {
+    x: deviceX - maskBounds.x,
+    y: deviceY - maskBounds.y - chromeOffset,
+    inside,
+  };
+}
+
+/**
+ * Get the screen region the artwork fills for the active device
+ * @returns {Object|null} The bounds {width, height}
+ */
+function getArtworkBounds() {
+  if (activeDeviceAssets?.screenCorners) {
+    return getCornerScreenSize(activeDeviceAssets);
+  }
+  if (activeDeviceAssets?.maskBounds) {
+    return activeDeviceAssets.maskBounds;
+  }
+  if (activeDevice?.screenWidth && activeDevice?.screenHeight) {
+    return { width: activeDevice.screenWidth, height: activeDevice.screenHeight };
+  }
+  return null;
+}
+
+/**
+ * Update the artwork crop and refresh whichever view is visible
+ * @param {Object} crop - The new crop
+ * @param {Object} options - {continuous} for drags and sliders, see recordHistory (optional)
+ */
+function setArtworkCrop(crop, options = {}) {
+  artworkCrop = crop;
+  modelTextureDirty = true;
+  updateArtworkControls();
+  recordChange("crop", options);
+
+  if (viewMode === "2d") {
+    scheduleCanvasRender();
+  } else {
+    scheduleTextureUpdate();
+  }
+}
+
+/**
+ * Sync the artwork controls with the current crop
+ */
+function updateArtworkControls() {
+  if (artworkControls) {
+    artworkControls.hidden = !userImage;
+  }
+  if (artworkZoomInput) {
+    artworkZoomInput.value = String(Math.round(artworkCrop.zoom * 100));
+  }
+  if (fitModeSelect) {
+    fitModeSelect.value = artworkFit.mode;
+  }
+  if (fitAnchorSelect) {
+    fitAnchorSelect.value = artworkFit.anchor;
+    fitAnchorSelect.hidden = artworkFit.mode !== "actual";
+  }
+  if (fitFillInput) {
+    fitFillInput.value = artworkFit.fillColor;
+    fitFillInput.hidden = !getArtworkFill(artworkFit);
+  }
+  if (dropZone) {
+    dropZone.dataset.artworkReady = String(Boolean(userImage));
+  }
+}
+
+/**
+ * Render the 2D canvas with the current state
+ */
+function renderCanvas() {
+  canvasLayout = renderMockup(
+    canvas,
+    ctx,
+    activeDeviceAssets,
+    userImage,
+    getRenderOptions()
+  );
+}
+
+/**
+ * Collect the 2D render options from the current state
+ * @returns {Object} The options passed to renderMockup
+ */
+function getRenderOptions() {
+  return {
+    crop: artworkCrop,
+    fit: artworkFit,
+    effects,
+    composition,
+    statusBar,
+  };
+}
+
+/**
+ * Render the 2D canvas on the next animation frame
+ */
+function scheduleCanvasRender() {
+  if (canvasRenderFrame !== null) {
+    return;
+  }
+  canvasRenderFrame = requestAnimationFrame(() => {
+    canvasRenderFrame = null;
+    renderCanvas();
+  });
+}
+
+/**
+ * Refresh the 3D screen texture once crop changes settle
+ */
+function scheduleTextureUpdate() {
+  clearTimeout(textureUpdateTimer);
+  textureUpdateTimer = setTimeout(() => {
+    configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
+      console.error("Failed to update 3D viewer texture", error)
+    );
+  }, 150);
+}
+
+/**
+ * Set the active device
+ * @param {Object} device - The device configuration
+ */
+async function setActiveDevice(device) {
+  const switchToken = ++deviceSwitchToken;
+  deviceSwitchPending = true;
+  try {
+    const deviceConfig = cloneDeviceConfig(device);
+    deviceConfig.bodyMaterials = getDeviceBodyMaterials(device);
+    // Calibration edits belong to the device being replaced
+    closeCalibration();
+    console.log(
+      "=== setActiveDevice ===",
+      deviceConfig.name,
+      "userImage exists:",
+      !!userImage
+    );
+
+    if (deviceSelect && deviceSelect.value !== deviceConfig.id) {
+      deviceSelect.value = deviceConfig.id;
+    }
+
+    activeDevice = deviceConfig;
+    // Make it globally accessible for materials/textures modules
+    window.activeDevice = deviceConfig;
+    activeDeviceAssets = null;
+
+    // Determine initial view mode based on available assets
+    const has2DAssets = deviceConfig.has2DAssets !== false;
+    const hasModel = Boolean(deviceConfig.modelPath);
+    const initialMode = has2DAssets ? "2d" : (hasModel ? "3d" : "2d");
+
+    console.log(
+      "Initial mode:",
+      initialMode,
+      "has2D:",
+      has2DAssets,
+      "hasModel:",
+      hasModel
+    );
+
+    setViewMode(initialMode, { suppressRender: true });
+    updateDownloadAvailability();
+    updateScreenDimensions();
+    updateDeviceIssues();
+    modelTextureDirty = Boolean(userImage);
+
+    console.log("modelTextureDirty set to:", modelTextureDirty);
+
+    updateViewToggleVisibility(deviceConfig);
+
+    const [assets, layoutDevice] = await Promise.all([
+      loadDeviceAssets(deviceConfig),
+      withScreenLayout(deviceConfig),
+    ]);
+    // Screen placement read from the model fills in what the config leaves out
+    Object.assign(deviceConfig, layoutDevice);
+
+    // Only update canvas if we have valid 2D assets
+    if (assets) {
+      activeDeviceAssets = {
+        ...deviceConfig,
+        ...assets,
+      };
+
+      canvas.setAttribute("aria-label", `${deviceConfig.name} preview`);
+    } else {
+      // No 2D assets available
+      activeDeviceAssets = null;
+      console.log("No 2D assets for", deviceConfig.name);
+    }
+    updateCompositionControls();
+    updateEffectsControls();
+    updateFinishControls();
+    updateBodyColorControls();
+    updateCameraControls();
+    updateCalibrationControls();
+
+    if (viewMode === "2d" && activeDeviceAssets) {
+      renderCanvas();
+    } else if (viewMode === "3d") {
+      console.log("Calling configureModelViewer with forceTextureUpdate");
+      // Always force texture update when switching to a 3D device
+      await configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
+        console.error("Failed to configure 3D viewer", error)
+      );
+    }
+    updateDownloadAvailability();
+    // A newer switch still loading records the step itself
+    if (switchToken === deviceSwitchToken) {
+      deviceSwitchPending = false;
+      recordChange("device");
+    }
+  } catch (error) {
+    if (switchToken === deviceSwitchToken) {
+      deviceSwitchPending = false;
+    }
+    console.error(`Failed to load assets for ${device.name}`, error);
+  }
+}
+
+/**
+ * Fill in the screen placement a device config leaves out, read from its model
+ * @param {Object} device - The device configuration
+ * @returns {Promise<Object>} The device, or a copy with the detected screenTextureUV
+ *   (and orientation) when the config has none
+ */
+async function withScreenLayout(device) {
+  if (!device.modelPath || device.screenTextureUV) {
+    return device;
+  }
+  const layout = await loadScreenLayout(device.modelPath, device.screenMaterialName);
+  if (layout) {
+    console.log("Detected screen layout for", device.name, layout);
+  }
+  return applyScreenLayout(device, layout);
+}
+
+/**
+ * Load device assets (background and mask images).
+ * Devices without a mask file, or with a screenShape, get a generated mask;
+ * devices with screenCorners only use a mask file their config names.
+ * @param {Object} device - The device configuration
+ * @returns {Promise<Object|null>} The loaded assets or null
+ */
+function loadDeviceAssets(device) {
+  if (deviceAssetCache.has(device.id)) {
+    return deviceAssetCache.get(device.id);
+  }
+
+  // If device explicitly has no 2D assets, return null immediately
+  if (device.has2DAssets === false) {
+    const nullPromise = Promise.resolve(null);
+    deviceAssetCache.set(device.id, nullPromise);
+    return nullPromise;
+  }
+
+  // Dropped devices point straight at their files
+  const bgImage = new Image();
+  bgImage.src = device.backgroundPath ?? `${device.folder}/${device.assetPrefix}_bg.png`;
+
+  const maskPath = device.screenShape
+    ? null
+    : device.screenMaskPath ??
+      (device.folder && !device.screenCorners
+        ? `${device.folder}/${device.assetPrefix}_screenmask.png`
+        : null);
+  const maskImage = maskPath ? new Image() : null;
+  if (maskImage) {
+    maskImage.src = maskPath;
+  }
+
+  const assetPromise = Promise.all([
+    imageReady(bgImage),
+    maskImage
+      ? imageReady(maskImage).then(
+          () => maskImage,
+          () => {
+            console.warn(`No screen mask for ${device.name}, generating one`);
+            return null;
+          }
+        )
+      : null,
+  ]).then(([, loadedMask]) => {
+    const mask = loadedMask ?? createScreenMask(bgImage, device);
+    return {
+      bgImage,
+      maskImage: mask,
+      maskBounds: extractMaskBounds(mask),
+    };
+  }).catch((error) => {
+    console.warn(`Failed to load 2D assets for ${device.name}`, error);
+    return null;
+  });
+
+  deviceAssetCache.set(device.id, assetPromise);
+  return assetPromise;
+}
+
+/**
+ * Wait for an image to be ready
+ * @param {Image} image - The image element
+ * @returns {Promise} Resolves when image is loaded
+ */
+function imageReady(image) {
+  if (image.complete && image.naturalWidth > 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    image.addEventListener("load", resolve, { once: true });
+    image.addEventListener(
+      "error",
+      () => reject(new Error(`Failed to load ${image.src}`)),
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Ingest uploaded, dropped or pasted files.
+ * A single image becomes the artwork, several images open the batch dialog,
+ * and a GLB, JSON config or _bg.png with its mask adds a device. A _bg.png
+ * without its mask may be either, so the user is asked.
+ * @param {FileList|Array} files - The files to ingest
+ */
+function ingestFiles(files) {
+  let list = Array.from(files ?? []);
+  const project = list.find(isProjectFile);
+  if (project) {
+    openProject(project);
+    return;
+  }
+
+  if (isDevicePack(list)) {
+    addSessionDevices(list);
+    return;
+  }
+
+  const backgrounds = list.filter(isDeviceBackground);
+  if (backgrounds.length > 0) {
+    const names = backgrounds.map((file) => file.name).join(", ");
+    const question =
+      backgrounds.length === 1
+        ? `${names} is named like a device background. Add it as a device?\n\nChoose Cancel to use it as artwork.`
+        : `${names} are named like device backgrounds. Add them as devices?\n\nChoose Cancel to use them as artwork.`;
+    const addDevice = window.confirm(question);
+    if (addDevice) {
+      addSessionDevices(backgrounds);
+      list = list.filter((file) => !backgrounds.includes(file));
+    }
+  }
+
+  const images = list.filter(
+    (file) => file.type.startsWith("image/") || file.type.startsWith("video/")
+  );
+
+  if (images.length > 1 && batchDialog) {
+    openBatchDialog(images);
+  } else if (images.length === 1) {
+    // New artwork starts a new session; the one it replaces stays in the list
+    sessionId = null;
+    ingestFile(images[0]);
+  }
+}
+
+/**
+ * Ingest a file (image, video or animated GIF upload)
+ * @param {File} file - The file to ingest
+ * @returns {Promise} Resolves once the artwork is showing
+ */
+function ingestFile(file) {
+  if (!file) {
+    return Promise.resolve();
+  }
+
+  if (isAnimatedMediaFile(file)) {
+    return createMediaPlayer(file)
+      .then(async (player) => {
+        artworkFile = file;
+        if (player) {
+          setMediaPlayer(player);
+        } else {
+          // A still GIF, or a browser without GIF decoding
+          const img = await loadImageFile(file);
+          setMediaPlayer(null);
+          setUserImage(img);
+        }
+      })
+      .catch((error) => console.error("Failed to load media", error));
+  }
+
+  if (!file.type.startsWith("image/")) {
+    return Promise.resolve();
+  }
+
+  return loadImageFile(file)
+    .then((img) => {
+      artworkFile = file;
+      setMediaPlayer(null);
+      setUserImage(img);
+    })
+    .catch((error) => console.error("Failed to load image", error));
+}
+
+/**
+ * Use an image (or a media frame canvas) as the artwork
+ * @param {CanvasImageSource} img - The artwork
+ */
+function setUserImage(img) {
+  userImage = img;
+  artworkCrop = createArtworkCrop();
+  updateArtworkControls();
+  updateStatusBarControls();
+  renderCanvas();
+  updateDownloadAvailability();
+  recordChange("artwork");
+  modelTextureDirty = true;
+  if (activeDevice?.modelPath) {
+    configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
+      console.error("Failed to update 3D viewer texture", error)
+    );
+  }
+}
+
+/**
+ * Replace the video or GIF being played as artwork
+ * @param {Object|null} player - The media player, or null for still artwork
+ */
+function setMediaPlayer(player) {
+  mediaPlayer?.dispose();
+  mediaPlayer = player;
+  if (mediaControls) {
+    mediaControls.hidden = !player;
+  }
+  if (!player) {
+    return;
+  }
+
+  player.onframe = handleMediaFrame;
+  setUserImage(player.canvas);
+  player.play().catch((error) => console.warn("Autoplay was blocked", error));
+  updateMediaControls();
+}
+
+/**
+ * Setup play/pause and scrubbing of video or GIF artwork
+ */
+function setupMediaControls() {
+  if (!mediaControls) {
+    return;
+  }
+
+  mediaPlayButton.addEventListener("click", () => {
+    if (!mediaPlayer) {
+      return;
+    }
+    if (mediaPlayer.paused) {
+      mediaPlayer
+        .play()
+        .then(updateMediaControls)
+        .catch((error) => console.error("Failed to play media", error));
+    } else {
+      mediaPlayer.pause();
+    }
+    updateMediaControls();
+  });
+
+  // Scrubbing pauses playback so the chosen frame becomes the poster for still exports
+  mediaScrubInput.addEventListener("input", () => {
+    if (!mediaPlayer?.duration) {
+      return;
+    }
+    mediaPlayer.pause();
+    mediaPlayer
+      .seek((Number(mediaScrubInput.value) / 1000) * mediaPlayer.duration)
+      .catch((error) => console.error("Failed to seek media", error));
+    updateMediaControls();
+  });
+}
+
+/**
+ * Sync the playback controls with the player
+ */
+function updateMediaControls() {
+  if (!mediaControls || !mediaPlayer) {
+    return;
+  }
+
+  const { duration, currentTime, paused } = mediaPlayer;
+  mediaPlayButton.textContent = paused ? "Play" : "Pause";
+  mediaScrubInput.disabled = !duration;
+  if (document.activeElement !== mediaScrubInput) {
+    mediaScrubInput.value = duration ? String(Math.round((currentTime / duration) * 1000)) : "0";
+  }
+  mediaTime.textContent = `${formatMediaTime(currentTime)} / ${formatMediaTime(duration)}`;
+}
+
+/**
+ * Redraw the mockup for a new video or GIF frame
+ * @param {Object} player - The player that drew the frame
+ */
+function handleMediaFrame(player) {
+  // The recorder seeks and draws frames itself
+  if (player !== mediaPlayer || recordAbort) {
+    return;
+  }
+
+  updateMediaControls();
+  if (viewMode === "2d") {
+    scheduleCanvasRender();
+  } else if (!calibration) {
+    refreshMediaTexture();
+  }
+}
+
+/**
+ * Push the current frame to the 3D screen, skipping frames while an update is in flight
+ */
+function refreshMediaTexture() {
+  if (mediaTextureRefresh) {
+    mediaTexturePending = true;
+    return;
+  }
+
+  mediaTextureRefresh = refreshModelViewerTexture(
+    modelViewer,
+    activeDevice,
+    activeDeviceAssets,
+    userImage,
+    { crop: artworkCrop, fit: artworkFit, statusBar }
+  )
+    .catch((error) => console.error("Failed to refresh 3D screen texture", error))
+    .finally(() => {
+      mediaTextureRefresh = null;
+      if (mediaTexturePending) {
+        mediaTexturePending = false;
+        refreshMediaTexture();
+      }
+    });
+}
+
+/**
+ * Get what the 3D screen shows: the calibration grid while calibrating,
+ * otherwise the artwork
+ * @returns {Object} {image, options} for updateModelViewerTexture
+ */
+function getScreenSource() {
+  if (calibration) {
+    return { image: calibration.grid, options: { fit: { mode: "stretch" } } };
+  }
+  return { image: userImage, options: { crop: artworkCrop, fit: artworkFit, statusBar } };
+}
+
+/**
+ * Configure the model viewer with the current state
+ * @param {Object} options - Configuration options
+ */
+async function configureModelViewer(options = {}) {
+  console.log("=== configureModelViewer ===", "options:", options, "userImage:", !!userImage, "modelTextureDirty:", modelTextureDirty);
+
+  if (
+    !modelViewer ||
+    typeof modelViewer.updateComplete === "undefined" ||
+    !activeDevice?.modelPath
+  ) {
+    console.log("Skipping: no modelViewer or modelPath");
+    return;
+  }
+
+  const encodedSrc = encodeURI(activeDevice.modelPath);
+  const needsLoad = modelViewer.src !== encodedSrc;
+
+  console.log("needsLoad:", needsLoad, "current src:", modelViewer.src, "target:", encodedSrc);
+
+  if (needsLoad) {
+    console.log("Loading new model:", activeDevice.name);
+    modelViewer.src = encodedSrc;
+    applyViewerSettings(modelViewer, activeDevice);
+  }
+
+  await modelViewer.updateComplete;
+
+  if (!modelViewer.model) {
+    console.warn("Model not ready yet, skipping texture configuration");
+    return;
+  }
+
+  console.log("Model is ready");
+
+  if (needsLoad) {
+    modelViewer.setAttribute("alt", `${activeDevice.name} 3D mockup`);
+    // Don't reset screenMaterialName - it should persist from device config or be discovered
+  }
+
+  // Apply the artwork (or the calibration grid) first if available
+  const screen = getScreenSource();
+  if (screen.image && typeof modelViewer.createTexture === "function") {
+    const shouldApply = needsLoad || options.forceTextureUpdate || modelTextureDirty;
+    console.log("Should apply texture?", shouldApply, "(needsLoad:", needsLoad, "forceTextureUpdate:", options.forceTextureUpdate, "modelTextureDirty:", modelTextureDirty, ")");
+
+    if (shouldApply) {
+      console.log("Applying user image texture to 3D model");
+      await updateModelViewerTexture(
+        modelViewer,
+        activeDevice,
+        activeDeviceAssets,
+        screen.image,
+        screen.options
+      );
+      modelTextureDirty = false;
+    }
+  } else if (typeof modelViewer.createTexture === "function") {
+    // Only apply black screen when no image is loaded
+    console.log("No user image, applying black screen");
+    await setBlackScreen(modelViewer, activeDevice);
+  }
+
+  await applyBodyMaterialTint(modelViewer, activeDevice);
+}
+
+/**
+ * Apply a device's lighting and camera settings to a model viewer
+ * @param {Object} viewer - The model-viewer element
+ * @param {Object} device - The device configuration
+ */
+function applyViewerSettings(viewer, device) {
+  // Use device-specific exposure or default
+  const exposure = device.exposure ?? 1.2;
+  const environmentImage = device.environmentImage ?? "neutral";
+  const environmentIntensity = device.disableEnvironmentLighting
+    ? 0
+    : device.environmentIntensity ?? 1;
+  const shadowIntensity = device.disableEnvironmentLighting
+    ? 0
+    : device.shadowIntensity ?? 0.3;
+
+  if (typeof viewer.setAttribute === "function") {
+    viewer.setAttribute("environment-image", environmentImage);
+    viewer.setAttribute("environment-intensity", String(environmentIntensity));
+    viewer.setAttribute("shadow-intensity", String(shadowIntensity));
+    viewer.setAttribute("exposure", String(exposure));
+
+    // Apply device-specific camera settings
+    if (device.cameraOrbit) {
+      viewer.setAttribute("camera-orbit", device.cameraOrbit);
+    }
+    if (device.fieldOfView) {
+      viewer.setAttribute("field-of-view", device.fieldOfView);
+    }
+  } else {
+    viewer.environmentImage = environmentImage;
+    viewer.environmentIntensity = environmentIntensity;
+    viewer.shadowIntensity = shadowIntensity;
+    viewer.exposure = exposure;
+
+    // Apply device-specific camera settings
+    if (device.cameraOrbit) {
+      viewer.cameraOrbit = device.cameraOrbit;
+    }
+    if (device.fieldOfView) {
+      viewer.fieldOfView = device.fieldOfView;
+    }
+  }
+}
+
+/**
+ * Set the view mode (2D or 3D)
+ * @param {string} mode - The view mode ("2d" or "3d")
+ * @param {Object} options - Options
+ */
+function setViewMode(mode, options = {}) {
+  if (viewMode === mode) {
+    if (!options.suppressRender) {
+      if (viewMode === "2d") {
+        renderCanvas();
+      } else {
+        configureModelViewer({
+          forceTextureUpdate: modelTextureDirty,
+        }).catch((error) =>
+          console.error("Failed to configure 3D viewer", error)
+        );
+      }
+    }
+    return;
+  }
+
+  viewMode = mode;
+  updateViewModeUI();
+  recordChange("view");
+  if (!options.suppressRender) {
+    if (viewMode === "2d") {
+      renderCanvas();
+    } else {
+      configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
+        console.error("Failed to configure 3D viewer", error)
+      );
+    }
+  }
+  updateDownloadAvailability();
+}
+
+/**
+ * Update the view mode UI
+ */
+function updateViewModeUI() {
+  if (dropZone) {
+    dropZone.dataset.viewMode = viewMode;
+  }
+
+  if (viewSelect) {
+    viewSelect.value = viewMode;
+  }
+
+  updateCompositionControls();
+  updateEffectsControls();
+  updateFinishControls();
+  updateBodyColorControls();
+  updateCameraControls();
+  updateCalibrationControls();
+}
+
+/**
+ * Update view toggle visibility based on device capabilities
+ * @param {Object} device - The device configuration
+ */
+function updateViewToggleVisibility(device) {
+  if (!viewSelectWrapper || !viewSelect) {
+    return;
+  }
+
+  const hasModel = Boolean(device.modelPath);
+  const has2DAssets = device.has2DAssets !== false;
+
+  // Clear and repopulate options based on available modes
+  viewSelect.innerHTML = "";
+
+  if (has2DAssets) {
+    const option2d = document.createElement("option");
+    option2d.value = "2d";
+    option2d.textContent = "2D Canvas";
+    viewSelect.appendChild(option2d);
+  }
+
+  if (hasModel) {
+    const option3d = document.createElement("option");
+    option3d.value = "3d";
+    option3d.textContent = "3D Viewer";
+    viewSelect.appendChild(option3d);
+  }
+
+  // Show dropdown only if both modes available
+  viewSelectWrapper.hidden = !(hasModel && has2DAssets);
+
+  // Auto-switch to available mode if current mode is unavailable
+  if (!hasModel && viewMode === "3d") {
+    setViewMode("2d");
+  } else if (!has2DAssets && viewMode === "2d" && hasModel) {
+    setViewMode("3d");
+  }
+
+  if (!hasModel && modelViewer) {
+    modelViewer.removeAttribute("src");
+  }
+}
+
+/**
+ * Update download button availability
+ */
+function updateDownloadAvailability() {
+  let canDownload = false;
+  let canCopy = false;
+
+  if (viewMode === "3d") {
+    canDownload = Boolean(activeDevice?.modelPath);
+    canCopy = canDownload;
+  } else {
+    const has2DAssets = activeDevice?.has2DAssets !== false;
+    const assetsReady = Boolean(userImage && activeDeviceAssets && has2DAssets);
+    canDownload = assetsReady;
+    canCopy = assetsReady;
+  }
+
+  downloadButton.disabled = !canDownload;
+  if (copyButton) {
+    copyButton.disabled = !canCopy;
+  }
+  if (recordButton) {
+    recordButton.disabled = !canDownload || !getRecordingMimeType();
+  }
+}
+
+/**
+ * Update screen dimensions display
+ */
+function updateScreenDimensions() {
+  if (!screenDimensions || !activeDevice) {
+    return;
+  }
+
+  if (activeDevice.screenWidth && activeDevice.screenHeight) {
+    screenDimensions.textContent = `Recommended: ${activeDevice.screenWidth}px × ${activeDevice.screenHeight}px`;
+  } else {
+    screenDimensions.textContent = "";
+  }
+}
+
+/**
+ * Setup the export dialog size and format controls
+ */
+function setupExportDialog() {
+  if (!exportDialog) {
+    return;
+  }
+
+  exportDialog.addEventListener("input", (event) => {
+    const input = event.target;
+    if (input.name === "export-size") {
+      exportSettings =
+        input.value === "exact"
+          ? { ...exportSettings, mode: "exact" }
+          : { ...exportSettings, mode: "multiplier", multiplier: Number(input.value) };
+    } else if (input === exportWidthInput || input === exportHeightInput) {
+      exportSettings = {
+        ...exportSettings,
+        width: Number(exportWidthInput.value) || exportSettings.width,
+        height: Number(exportHeightInput.value) || exportSettings.height,
+      };
+    } else if (input.name === "export-format") {
+      exportSettings = { ...exportSettings, format: input.value };
+    } else if (input === exportQualityInput) {
+      exportSettings = { ...exportSettings, quality: Number(input.value) / 100 };
+    } else if (input === exportFlattenInput) {
+      exportSettings = { ...exportSettings, flattenColor: input.value };
+    }
+    updateExportControls();
+  });
+
+  exportDialog.addEventListener("close", () => {
+    if (exportDialog.returnValue === "confirm") {
+      downloadMockup();
+    }
+  });
+}
+
+/**
+ * Sync the export dialog with the current settings
+ */
+function updateExportControls() {
+  if (!exportDialog) {
+    return;
+  }
+
+  const selected =
+    exportSettings.mode === "exact" ? "exact" : String(exportSettings.multiplier);
+  exportDialog.querySelectorAll('input[name="export-size"]').forEach((input) => {
+    input.checked = input.value === selected;
+  });
+
+  if (exportExactFields) {
+    exportExactFields.hidden = exportSettings.mode !== "exact";
+  }
+  if (exportWidthInput && document.activeElement !== exportWidthInput) {
+    exportWidthInput.value = String(exportSettings.width);
+  }
+  if (exportHeightInput && document.activeElement !== exportHeightInput) {
+    exportHeightInput.value = String(exportSettings.height);
+  }
+
+  const format = getExportFormat(exportSettings);
+  exportDialog.querySelectorAll('input[name="export-format"]').forEach((input) => {
+    input.checked = input.value === exportSettings.format;
+  });
+  if (exportQualityField) {
+    exportQualityField.hidden = !format.lossy;
+  }
+  if (exportQualityInput) {
+    exportQualityInput.value = String(Math.round(exportSettings.quality * 100));
+  }
+  if (exportFlattenField) {
+    exportFlattenField.hidden = format.alpha;
+  }
+  if (exportFlattenInput) {
+    exportFlattenInput.value = exportSettings.flattenColor;
+  }
+
+  const base = getExportBaseSize();
+  const target = base
+    ? resolveExportSize(exportSettings, base.width, base.height)
+    : null;
+  if (exportSummary) {
+    exportSummary.textContent = target ? `${target.width}px × ${target.height}px` : "";
+  }
+  if (target) {
+    scheduleExportEstimate(target);
+  }
+}
+
+/**
+ * Disable the formats this browser can't encode
+ */
+function updateExportFormatSupport() {
+  if (!exportDialog) {
+    return;
+  }
+
+  exportDialog.querySelectorAll('input[name="export-format"]').forEach((input) => {
+    isExportFormatSupported(input.value).then((supported) => {
+      input.disabled = !supported;
+      input.closest("label")?.setAttribute(
+        "title",
+        supported ? "" : `${EXPORT_FORMATS[input.value].label} isn't supported in this browser`
+      );
+      if (!supported && exportSettings.format === input.value) {
+        exportSettings = { ...exportSettings, format: "png" };
+        updateExportControls();
+      }
+    });
+  });
+}
+
+/**
+ * Estimate the export file size once the settings stop changing
+ * @param {Object} target - The export size {width, height}
+ */
+function scheduleExportEstimate(target) {
+  if (!exportEstimate) {
+    return;
+  }
+
+  clearTimeout(exportEstimateTimer);
+  const token = ++exportEstimateToken;
+  exportEstimate.textContent = "Estimating file size…";
+
+  exportEstimateTimer = setTimeout(async () => {
+    try {
+      // Encode the preview and scale by pixel count instead of rendering the full export
+      const sample =
+        viewMode === "3d" && modelViewer
+          ? await blobToCanvas(
+              await modelViewer.toBlob({ idealAspect: true, mimeType: "image/png" })
+            )
+          : canvas;
+      const bytes = await estimateExportBytes(
+        sample,
+        exportSettings,
+        target.width * target.height
+      );
+      if (token === exportEstimateToken) {
+        exportEstimate.textContent = `Estimated file size: ~${formatBytes(bytes)}`;
+      }
+    } catch (error) {
+      if (token === exportEstimateToken) {
+        exportEstimate.textContent = error.message;
+      }
+    }
+  }, 250);
+}
+
+/**
+ * Get the 1x size of the current view
+ * @returns {Object|null} The size {width, height}
+ */
+function getExportBaseSize() {
+  if (viewMode === "3d" && modelViewer) {
+    const rect = modelViewer.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    return { width: rect.width * dpr, height: rect.height * dpr };
+  }
+  if (canvasLayout) {
+    return { width: canvas.width, height: canvas.height };
+  }
+  return null;
+}
+
+/**
+ * Re-render the current view at the export size and download it
+ */
+async function downloadMockup() {
+  const fileBase = activeDevice?.assetPrefix ?? "device";
+  const { extension } = getExportFormat(exportSettings);
+  downloadButton.disabled = true;
+
+  try {
+    if (viewMode === "3d" && modelViewer) {
+      const capture = await captureModelViewerForExport(
+        modelViewer,
+        exportSettings,
+        "image/png",
+        null,
+        (limited) => {
+          if (exportSummary) {
+            exportSummary.textContent = `${exportSettings.width}px × ${exportSettings.height}px (the browser rendered 3D at ${limited.width}px × ${limited.height}px, fitted without stretching)`;
+          }
+        }
+      );
+      const blob = await encodeBlob(capture, exportSettings);
+      downloadBlob(blob, `${fileBase}-3d-mockup.${extension}`);
+    } else {
+      const exportCanvas = renderMockupForExport(
+        activeDeviceAssets,
+        userImage,
+        getRenderOptions(),
+        exportSettings
+      );
+      const blob = await encodeCanvas(exportCanvas, exportSettings);
+      downloadBlob(blob, `${fileBase}-mockup.${extension}`);
+    }
+  } catch (error) {
+    console.error("Failed to export mockup", error);
+  } finally {
+    updateDownloadAvailability();
+  }
+}
+
+/**
+ * Setup the batch dialog: sources, device and view targets, and the queue
+ */
+function setupBatchDialog() {
+  if (!batchDialog) {
+    return;
+  }
+
+  batchButton?.addEventListener("click", () => openBatchDialog());
+
+  renderBatchTargets();
+  batchTargets.addEventListener("change", updateBatchControls);
+
+  batchImageInput?.addEventListener("change", (event) => {
+    addBatchSources(event.target.files);
+    batchImageInput.value = "";
+  });
+
+  batchClearButton?.addEventListener("click", () => {
+    batchSources = [];
+    updateBatchControls();
+  });
+
+  batchDialog.addEventListener("dragover", (event) => event.preventDefault());
+  batchDialog.addEventListener("drop", (event) => {
+    event.preventDefault();
+    if (!batchAbort) {
+      addBatchSources(event.dataTransfer?.files);
+    }
+  });
+
+  batchCancelButton?.addEventListener("click", () => {
+    if (batchAbort) {
+      batchAbort.abort();
+    } else {
+      batchDialog.close();
+    }
+  });
+
+  // Closing the dialog would hide the 3D renderer mid-batch, so Escape cancels instead
+  batchDialog.addEventListener("cancel", (event) => {
+    if (batchAbort) {
+      event.preventDefault();
+      batchAbort.abort();
+    }
+  });
+
+  batchStartButton?.addEventListener("click", () => {
+    startBatch().catch((error) => console.error("Batch export failed", error));
+  });
+}
+
+/**
+ * List every registered device with a checkbox per view it supports
+ */
+function renderBatchTargets() {
+  if (!batchTargets) {
+    return;
+  }
+
+  const checked = new Set(
+    Array.from(batchTargets.querySelectorAll("input:checked")).map(
+      (input) => `${input.dataset.deviceId}:${input.dataset.view}`
+    )
+  );
+
+  batchTargets.innerHTML = "";
+  getDevices().forEach((device) => {
+    const row = document.createElement("div");
+    row.className = "batch-target";
+
+    const name = document.createElement("span");
+    name.textContent = device.name;
+    row.appendChild(name);
+
+    const views = [];
+    if (device.has2DAssets !== false) {
+      views.push(["2d", "2D"]);
+    }
+    if (device.modelPath) {
+      views.push(["3d", "3D"]);
+    }
+    views.forEach(([view, label]) => {
+      const option = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.dataset.deviceId = device.id;
+      input.dataset.view = view;
+      input.checked = checked.has(`${device.id}:${view}`);
+      option.append(input, ` ${label}`);
+      row.appendChild(option);
+    });
+
+    batchTargets.appendChild(row);
+  });
+}
+
+/**
+ * Open the batch dialog, optionally adding images to the queue
+ * @param {Array} files - Image files to add (optional)
+ */
+function openBatchDialog(files = []) {
+  if (!batchDialog) {
+    return;
+  }
+
+  // Start from the current device and view
+  const selected = batchTargets.querySelectorAll("input:checked");
+  if (selected.length === 0 && activeDevice) {
+    const current = batchTargets.querySelector(
+      `input[data-device-id="${activeDevice.id}"][data-view="${viewMode}"]`
+    );
+    if (current) {
+      current.checked = true;
+    }
+  }
+
+  addBatchSources(files);
+  updateBatchControls();
+  if (!batchDialog.open) {
+    batchDialog.showModal();
+  }
+}
+
+/**
+ * Load image files into the batch sources
+ * @param {FileList|Array} files - The files to add
+ */
+async function addBatchSources(files) {
+  const images = Array.from(files ?? []).filter((file) =>
+    file.type.startsWith("image/")
+  );
+  if (images.length === 0) {
+    return;
+  }
+
+  const loaded = await Promise.all(
+    images.map((file) =>
+      loadImageFile(file)
+        .then((image) => ({ name: file.name, image }))
+        .catch((error) => {
+          console.error("Failed to load batch image", error);
+          return null;
+        })
+    )
+  );
+  batchSources = [...batchSources, ...loaded.filter(Boolean)];
+  updateBatchControls();
+}
+
+/**
+ * Get the selected device and view combinations
+ * @returns {Array} The targets [{device, view}, ...]
+ */
+function getBatchTargets() {
+  return Array.from(batchTargets.querySelectorAll("input:checked"))
+    .map((input) => {
+      const device = getDevices().find((entry) => entry.id === input.dataset.deviceId);
+      return device ? { device: cloneDeviceConfig(device), view: input.dataset.view } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Sync the batch dialog buttons and summary with the queue state
+ */
+function updateBatchControls() {
+  if (!batchDialog) {
+    return;
+  }
+
+  const running = Boolean(batchAbort);
+  const count = batchSources.length;
+  batchSourceSummary.textContent =
+    count === 0 ? "No images selected" : `${count} image${count === 1 ? "" : "s"} selected`;
+  batchClearButton.disabled = running || count === 0;
+  batchImageInput.disabled = running;
+  batchTargets.querySelectorAll("input").forEach((input) => {
+    input.disabled = running;
+  });
+  batchStartButton.disabled =
+    running || count === 0 || getBatchTargets().length === 0;
+  batchCancelButton.textContent = running ? "Cancel" : "Close";
+}
+
+/**
+ * Render the queue list for a set of jobs
+ * @param {Array} jobs - The batch jobs
+ */
+function renderBatchQueue(jobs) {
+  batchQueue.innerHTML = "";
+  batchQueueItems.clear();
+
+  jobs.forEach((job) => {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = job.filename;
+    const status = document.createElement("span");
+    status.className = "batch-status";
+    item.append(name, status);
+    batchQueue.appendChild(item);
+    batchQueueItems.set(job, item);
+    updateBatchJob(jobs, job);
+  });
+}
+
+/**
+ * Show a job's status in the queue and update the overall progress
+ * @param {Array} jobs - All jobs of the batch
+ * @param {Object} job - The job that changed
+ */
+function updateBatchJob(jobs, job) {
+  const labels = {
+    queued: "Queued",
+    rendering: "Rendering…",
+    done: "Done",
+    failed: "Failed",
+    cancelled: "Cancelled",
+  };
+
+  const item = batchQueueItems.get(job);
+  if (item) {
+    item.dataset.status = job.status;
+    item.querySelector(".batch-status").textContent = labels[job.status] ?? job.status;
+    item.title = job.error?.message ?? "";
+    if (job.status === "rendering") {
+      item.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  const finished = jobs.filter((entry) => !["queued", "rendering"].includes(entry.status));
+  batchProgress.max = jobs.length || 1;
+  batchProgress.value = finished.length;
+}
+
+/**
+ * Render every queued mockup and download them as one ZIP
+ */
+async function startBatch() {
+  const targets = getBatchTargets();
+  if (batchAbort || batchSources.length === 0 || targets.length === 0) {
+    return;
+  }
+
+  const { extension } = getExportFormat(exportSettings);
+  const jobs = createBatchJobs(batchSources, targets, extension);
+  batchAbort = new AbortController();
+  const { signal } = batchAbort;
+  renderBatchQueue(jobs);
+  updateBatchControls();
+
+  try {
+    const files = await runBatch(jobs, renderBatchJob, {
+      signal,
+      onProgress: (job) => updateBatchJob(jobs, job),
+    });
+
+    if (!signal.aborted && files.length > 0) {
+      const zip = await createZip(files);
+      downloadBlob(zip, "mockups.zip");
+    }
+  } finally {
+    batchAbort = null;
+    batchModelViewer.hidden = true;
+    updateBatchControls();
+  }
+}
+
+/**
+ * Render one batch job with a fresh crop and the current export settings
+ * @param {Object} job - The job {device, view, source}
+ * @param {AbortSignal} signal - Cancels the job between steps and while a model loads
+ * @returns {Promise<Blob>} The encoded mockup
+ */
+async function renderBatchJob(job, signal) {
+  const crop = createArtworkCrop();
+  const assets = await loadDeviceAssets(job.device);
+  signal.throwIfAborted();
+  const deviceAssets = assets ? { ...job.device, ...assets } : null;
+
+  if (job.view === "3d") {
+    await loadViewerDevice(batchModelViewer, job.device, signal);
+    await updateModelViewerTexture(
+      batchModelViewer,
+      await withScreenLayout(job.device),
+      deviceAssets,
+      job.source.image,
+      { crop, fit: artworkFit, statusBar }
+    );
+    signal.throwIfAborted();
+
+    // Size 3D captures like the workspace rather than the small preview
+    const rect = dropZone.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const capture = await captureModelViewerForExport(
+      batchModelViewer,
+      exportSettings,
+      "image/png",
+      { width: rect.width * dpr, height: rect.height * dpr }
+    );
+    return encodeBlob(capture, exportSettings);
+  }
+
+  if (!deviceAssets) {
+    throw new Error(`${job.device.name} has no 2D assets`);
+  }
+
+  const exportCanvas = renderMockupForExport(
+    deviceAssets,
+    job.source.image,
+    { ...getRenderOptions(), crop },
+    exportSettings
+  );
+  return encodeCanvas(exportCanvas, exportSettings);
+}
+
+/**
+ * Load a device's model into a capture viewer (batch or family)
+ * @param {Object} viewer - The model-viewer element
+ * @param {Object} device - The device configuration
+ * @param {AbortSignal} signal - Stops waiting for the model (optional)
+ */
+async function loadViewerDevice(viewer, device, signal = null) {
+  // The viewer only renders while it is on screen
+  viewer.hidden = false;
+  const finished = { ...device, bodyMaterials: getDeviceBodyMaterials(device) };
+
+  if (viewer.dataset.deviceId === device.id && viewer.model) {
+    // The finish or colors may have changed since the model was loaded
+    await applyBodyMaterialTint(viewer, finished);
     return;
   }
 
-  const reader = new FileReader();
-  reader.addEventListener("load", () => {
-    const img = new Image();
-    img.addEventListener("load", () => {
-      userImage = img;
-      renderMockup(canvas, ctx, activeDeviceAssets, userImage);
-      updateDownloadAvailability();
-      modelTextureDirty = true;
-      if (activeDevice?.modelPath) {
-        configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
-          console.error("Failed to update 3D viewer texture", error)
-        );
-      }
-    });
-    img.src = reader.result;
-  });
-  reader.readAsDataURL(file);
+  delete viewer.dataset.deviceId;
+  const loaded = waitForModelLoad(viewer, signal);
+  viewer.src = encodeURI(device.modelPath);
+  applyViewerSettings(viewer, device);
+  await loaded;
+  await applyBodyMaterialTint(viewer, finished);
+  viewer.dataset.deviceId = device.id;
 }
 
 /**
- * Configure the model viewer with the current state
- * @param {Object} options - Configuration options
+ * Wait for a model-viewer to finish loading its model
+ * @param {Object} viewer - The model-viewer element
+ * @param {AbortSignal} signal - Stops waiting when aborted (optional)
+ * @returns {Promise} Resolves on load, rejects on error or abort
  */
-async function configureModelViewer(options = {}) {
-  console.log("=== configureModelViewer ===", "options:", options, "userImage:", !!userImage, "modelTextureDirty:", modelTextureDirty);
+function waitForModelLoad(viewer, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const cleanup = () => {
+      viewer.removeEventListener("load", onLoad);
+      viewer.removeEventListener("error", onError);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onLoad = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error(`Failed to load ${viewer.src}`));
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason);
+    };
+    viewer.addEventListener("load", onLoad);
+    viewer.addEventListener("error", onError);
+    signal?.addEventListener("abort", onAbort);
+  });
+}
 
-  if (
-    !modelViewer ||
-    typeof modelViewer.updateComplete === "undefined" ||
-    !activeDevice?.modelPath
-  ) {
-    console.log("Skipping: no modelViewer or modelPath");
+/**
+ * Setup the device family dialog: entries, layout and export
+ */
+function setupFamilyDialog() {
+  if (!familyDialog) {
     return;
   }
 
-  const encodedSrc = encodeURI(activeDevice.modelPath);
-  const needsLoad = modelViewer.src !== encodedSrc;
+  familyButton?.addEventListener("click", () => {
+    family = family ?? createFamily(getDevices().slice(0, 3));
+    // The artwork or settings may have changed since the last visit
+    familyRenderCache.clear();
+    renderFamilyEntries();
+    updateFamilyControls();
+    familyDialog.showModal();
+    scheduleFamilyPreview();
+  });
 
-  console.log("needsLoad:", needsLoad, "current src:", modelViewer.src, "target:", encodedSrc);
+  familyDialog.addEventListener("input", (event) => {
+    const input = event.target;
+    if (input.name === "family-layout" && FAMILY_LAYOUTS.includes(input.value)) {
+      family = { ...family, layout: input.value };
+      scheduleFamilyPreview();
+      return;
+    }
 
-  if (needsLoad) {
-    console.log("Loading new model:", activeDevice.name);
-    modelViewer.src = encodedSrc;
+    const index = Number(input.closest("[data-index]")?.dataset.index);
+    const entry = family?.entries[index];
+    if (!entry) {
+      return;
+    }
 
-    // Use device-specific exposure or default
-    const exposure = activeDevice.exposure ?? 1.2;
-    const environmentImage = activeDevice.environmentImage ?? "neutral";
-    const environmentIntensity = activeDevice.disableEnvironmentLighting
-      ? 0
-      : activeDevice.environmentIntensity ?? 1;
-    const shadowIntensity = activeDevice.disableEnvironmentLighting
-      ? 0
-      : activeDevice.shadowIntensity ?? 0.3;
-
-    if (typeof modelViewer.setAttribute === "function") {
-      modelViewer.setAttribute("environment-image", environmentImage);
-      modelViewer.setAttribute("environment-intensity", String(environmentIntensity));
-      modelViewer.setAttribute("shadow-intensity", String(shadowIntensity));
-      modelViewer.setAttribute("exposure", String(exposure));
-
-      // Apply device-specific camera settings
-      if (activeDevice.cameraOrbit) {
-        modelViewer.setAttribute("camera-orbit", activeDevice.cameraOrbit);
-      }
-      if (activeDevice.fieldOfView) {
-        modelViewer.setAttribute("field-of-view", activeDevice.fieldOfView);
-      }
-    } else {
-      modelViewer.environmentImage = environmentImage;
-      modelViewer.environmentIntensity = environmentIntensity;
-      modelViewer.shadowIntensity = shadowIntensity;
-      modelViewer.exposure = exposure;
-
-      // Apply device-specific camera settings
-      if (activeDevice.cameraOrbit) {
-        modelViewer.cameraOrbit = activeDevice.cameraOrbit;
-      }
-      if (activeDevice.fieldOfView) {
-        modelViewer.fieldOfView = activeDevice.fieldOfView;
+    if (input.dataset.field === "device") {
+      const device = getDevices().find((item) => item.id === input.value);
+      if (device) {
+        setFamilyEntry(index, createFamilyEntry(device));
+        renderFamilyEntries();
       }
+    } else if (input.dataset.field === "view") {
+      setFamilyEntry(index, { ...entry, view: input.value });
+    } else if (input.dataset.field === "scale") {
+      setFamilyEntry(index, { ...entry, scale: Number(input.value) / 100 });
     }
-  }
+    scheduleFamilyPreview();
+  });
 
-  await modelViewer.updateComplete;
+  familyEntriesList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-action='remove']");
+    if (!button) {
+      return;
+    }
+    const index = Number(button.closest("[data-index]").dataset.index);
+    family = {
+      ...family,
+      entries: family.entries.filter((_, entryIndex) => entryIndex !== index),
+    };
+    renderFamilyEntries();
+    updateFamilyControls();
+    scheduleFamilyPreview();
+  });
 
-  if (!modelViewer.model) {
-    console.warn("Model not ready yet, skipping texture configuration");
-    return;
-  }
+  familyAddButton?.addEventListener("click", () => {
+    const device = activeDevice
+      ? getDevices().find((item) => item.id === activeDevice.id)
+      : getDevices()[0];
+    family = { ...family, entries: [...family.entries, createFamilyEntry(device)] };
+    renderFamilyEntries();
+    updateFamilyControls();
+    scheduleFamilyPreview();
+  });
 
-  console.log("Model is ready");
+  familyDownloadButton?.addEventListener("click", async () => {
+    familyDownloadButton.disabled = true;
+    try {
+      const output = await queueFamilyRender();
+      const blob = await canvasToPngBlob(output);
+      downloadBlob(blob, "device-family.png");
+    } catch (error) {
+      console.error("Failed to export device family", error);
+      familyStatus.textContent = error.message;
+    } finally {
+      updateFamilyControls();
+    }
+  });
+}
 
-  if (needsLoad) {
-    modelViewer.setAttribute("alt", `${activeDevice.name} 3D mockup`);
-    // Don't reset screenMaterialName - it should persist from device config or be discovered
-  }
+/**
+ * Replace one family entry
+ * @param {number} index - The entry index
+ * @param {Object} entry - The new entry
+ */
+function setFamilyEntry(index, entry) {
+  family = {
+    ...family,
+    entries: family.entries.map((current, entryIndex) =>
+      entryIndex === index ? entry : current
+    ),
+  };
+}
 
-  // Apply user image texture first if available
-  if (userImage && typeof modelViewer.createTexture === "function") {
-    const shouldApply = needsLoad || options.forceTextureUpdate || modelTextureDirty;
-    console.log("Should apply texture?", shouldApply, "(needsLoad:", needsLoad, "forceTextureUpdate:", options.forceTextureUpdate, "modelTextureDirty:", modelTextureDirty, ")");
+/**
+ * Rebuild the family entry rows
+ */
+function renderFamilyEntries() {
+  familyEntriesList.innerHTML = "";
 
-    if (shouldApply) {
-      console.log("Applying user image texture to 3D model");
-      await updateModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, userImage);
-      modelTextureDirty = false;
+  family.entries.forEach((entry, index) => {
+    const device = getDevices().find((item) => item.id === entry.deviceId);
+    const row = document.createElement("li");
+    row.className = "family-entry";
+    row.dataset.index = String(index);
+
+    const deviceField = document.createElement("select");
+    deviceField.className = "option-select";
+    deviceField.dataset.field = "device";
+    deviceField.setAttribute("aria-label", "Device");
+    getDevices().forEach((item) => {
+      deviceField.add(new Option(item.name, item.id, false, item.id === entry.deviceId));
+    });
+
+    const viewField = document.createElement("select");
+    viewField.className = "option-select";
+    viewField.dataset.field = "view";
+    viewField.setAttribute("aria-label", "View");
+    if (device?.has2DAssets !== false) {
+      viewField.add(new Option("2D", "2d", false, entry.view === "2d"));
     }
-  } else if (!userImage && typeof modelViewer.createTexture === "function") {
-    // Only apply black screen when no image is loaded
-    console.log("No user image, applying black screen");
-    await setBlackScreen(modelViewer, activeDevice);
+    if (device?.modelPath) {
+      viewField.add(new Option("3D", "3d", false, entry.view === "3d"));
+    }
+
+    const scaleInput = document.createElement("input");
+    scaleInput.type = "range";
+    scaleInput.min = "20";
+    scaleInput.max = "200";
+    scaleInput.step = "5";
+    scaleInput.value = String(Math.round(entry.scale * 100));
+    scaleInput.dataset.field = "scale";
+    scaleInput.setAttribute("aria-label", "Scale");
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "secondary-button";
+    removeButton.dataset.action = "remove";
+    removeButton.setAttribute("aria-label", "Remove device");
+    removeButton.textContent = "×";
+
+    row.append(deviceField, viewField, scaleInput, removeButton);
+    familyEntriesList.appendChild(row);
+  });
+
+  familyDialog.querySelectorAll('input[name="family-layout"]').forEach((input) => {
+    input.checked = input.value === family.layout;
+  });
+}
+
+/**
+ * Sync the family dialog buttons with its entries
+ */
+function updateFamilyControls() {
+  if (!familyDialog || !family) {
+    return;
   }
+  familyDownloadButton.disabled = family.entries.length === 0;
+}
 
-  await applyBodyMaterialTint(modelViewer, activeDevice);
+/**
+ * Refresh the family preview once the settings stop changing
+ */
+function scheduleFamilyPreview() {
+  clearTimeout(familyPreviewTimer);
+  familyPreviewTimer = setTimeout(() => {
+    if (!familyDialog.open) {
+      return;
+    }
+
+    familyStatus.textContent = "Rendering…";
+    queueFamilyRender()
+      .then((output) => {
+        // Keep the preview bitmap small, the export re-uses the full render
+        const previewScale = Math.min(1, 960 / Math.max(output.width, output.height));
+        familyPreviewCanvas.width = Math.round(output.width * previewScale);
+        familyPreviewCanvas.height = Math.round(output.height * previewScale);
+        const previewCtx = familyPreviewCanvas.getContext("2d");
+        previewCtx.imageSmoothingQuality = "high";
+        previewCtx.drawImage(output, 0, 0, familyPreviewCanvas.width, familyPreviewCanvas.height);
+        familyStatus.textContent = `${output.width}px × ${output.height}px`;
+      })
+      .catch((error) => {
+        console.error("Failed to render device family", error);
+        familyStatus.textContent = error.message;
+      });
+  }, 200);
 }
 
 /**
- * Set the view mode (2D or 3D)
- * @param {string} mode - The view mode ("2d" or "3d")
- * @param {Object} options - Options
+ * Render the family after any render already in progress,
+ * since the 3D entries share one capture viewer
+ * @returns {Promise<HTMLCanvasElement>} The composed family image
  */
-function setViewMode(mode, options = {}) {
-  if (viewMode === mode) {
-    if (!options.suppressRender) {
-      if (viewMode === "2d") {
-        renderMockup(canvas, ctx, activeDeviceAssets, userImage);
-      } else {
-        configureModelViewer({
-          forceTextureUpdate: modelTextureDirty,
-        }).catch((error) =>
-          console.error("Failed to configure 3D viewer", error)
-        );
+function queueFamilyRender() {
+  const run = familyRenderQueue.then(renderFamily);
+  familyRenderQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Render every entry and arrange them on the current composition
+ * @returns {Promise<HTMLCanvasElement>} The composed family image
+ */
+async function renderFamily() {
+  const snapshot = family;
+  const renders = [];
+  const entries = [];
+
+  try {
+    for (const entry of snapshot.entries) {
+      const render = await getFamilyRender(entry);
+      if (render) {
+        renders.push(render);
+        entries.push(entry);
       }
     }
-    return;
+  } finally {
+    familyModelViewer.hidden = true;
   }
 
-  viewMode = mode;
-  updateViewModeUI();
-  if (!options.suppressRender) {
-    if (viewMode === "2d") {
-      renderMockup(canvas, ctx, activeDeviceAssets, userImage);
+  if (renders.length === 0) {
+    throw new Error("None of the selected devices could be rendered");
+  }
+
+  const layer = renderFamilyLayer(renders, { ...snapshot, entries });
+  const output = document.createElement("canvas");
+  composeMockup(output, output.getContext("2d"), layer, composition);
+  return output;
+}
+
+/**
+ * Render one family entry, reusing earlier renders of the same device and view
+ * @param {Object} entry - The family entry {deviceId, view, scale}
+ * @returns {Promise<HTMLCanvasElement|null>} The trimmed render, or null when unavailable
+ */
+async function getFamilyRender(entry) {
+  const source = getDevices().find((item) => item.id === entry.deviceId);
+  if (!source) {
+    return null;
+  }
+
+  // 2D renders are sized for the entry scale, 3D captures are large enough for any scale
+  const key =
+    entry.view === "3d"
+      ? `${entry.deviceId}:3d`
+      : `${entry.deviceId}:2d:${entry.scale}`;
+  if (familyRenderCache.has(key)) {
+    return familyRenderCache.get(key);
+  }
+
+  const device = await withScreenLayout(cloneDeviceConfig(source));
+  const assets = await loadDeviceAssets(device);
+  const deviceAssets = assets ? { ...device, ...assets } : null;
+  let render = null;
+
+  if (entry.view === "3d" && device.modelPath) {
+    await loadViewerDevice(familyModelViewer, device);
+    if (userImage) {
+      await updateModelViewerTexture(familyModelViewer, device, deviceAssets, userImage, {
+        crop: artworkCrop,
+        fit: artworkFit,
+        statusBar,
+      });
     } else {
-      configureModelViewer({ forceTextureUpdate: true }).catch((error) =>
-        console.error("Failed to configure 3D viewer", error)
-      );
+      await setBlackScreen(familyModelViewer, device);
     }
+    const capture = await captureModelViewerForExport(
+      familyModelViewer,
+      { mode: "exact", width: 2048, height: 2048 },
+      "image/png"
+    );
+    render = trimTransparent(await blobToCanvas(capture));
+  } else if (deviceAssets) {
+    render = renderMockupForExport(
+      deviceAssets,
+      userImage,
+      { crop: artworkCrop, fit: artworkFit, effects, statusBar },
+      {
+        mode: "multiplier",
+        multiplier: getFamilyItemHeight(entry.scale) / deviceAssets.bgImage.height,
+      }
+    );
   }
-  updateDownloadAvailability();
+
+  if (render) {
+    familyRenderCache.set(key, render);
+  }
+  return render;
 }
 
 /**
- * Update the view mode UI
+ * Setup the video recording dialog
  */
-function updateViewModeUI() {
-  if (dropZone) {
-    dropZone.dataset.viewMode = viewMode;
+function setupRecordDialog() {
+  if (!recordDialog) {
+    return;
   }
 
-  if (viewSelect) {
-    viewSelect.value = viewMode;
-  }
+  recordButton?.addEventListener("click", () => {
+    recordStatus.textContent = "";
+    recordProgress.value = 0;
+    updateRecordControls();
+    recordDialog.showModal();
+  });
+
+  recordDialog.addEventListener("input", (event) => {
+    const input = event.target;
+    if (input.name === "record-camera") {
+      recordingSettings = { ...recordingSettings, camera: input.value };
+    } else if (input === recordLoopInput) {
+      recordingSettings = { ...recordingSettings, loopRotation: input.checked };
+    } else if (input === recordDurationInput) {
+      recordingSettings = {
+        ...recordingSettings,
+        duration: Math.min(MAX_RECORDING_DURATION, Math.max(1, Number(input.value) || 1)),
+      };
+    } else if (input === recordFpsSelect) {
+      recordingSettings = { ...recordingSettings, fps: Number(input.value) };
+    } else if (input === recordResolutionSelect) {
+      recordingSettings = { ...recordingSettings, resolution: Number(input.value) };
+    } else if (input === recordBackgroundInput) {
+      recordingSettings = { ...recordingSettings, background: input.value };
+    }
+    recordStatus.textContent = "";
+    updateRecordControls();
+  });
+
+  recordCancelButton.addEventListener("click", () => {
+    if (recordAbort) {
+      recordAbort.abort();
+    } else {
+      recordDialog.close();
+    }
+  });
+
+  recordDialog.addEventListener("cancel", (event) => {
+    if (recordAbort) {
+      event.preventDefault();
+      recordAbort.abort();
+    }
+  });
+
+  recordStartButton.addEventListener("click", () => {
+    startRecording().catch((error) => console.error("Recording failed", error));
+  });
 }
 
 /**
- * Update view toggle visibility based on device capabilities
- * @param {Object} device - The device configuration
+ * Sync the recording dialog with the settings and the current view
  */
-function updateViewToggleVisibility(device) {
-  if (!viewSelectWrapper || !viewSelect) {
+function updateRecordControls() {
+  if (!recordDialog) {
     return;
   }
 
-  const hasModel = Boolean(device.modelPath);
-  const has2DAssets = device.has2DAssets !== false;
+  const running = Boolean(recordAbort);
+  const is3D = viewMode === "3d";
+  recordCameraGroup.hidden = !is3D;
+  recordLoopField.hidden = recordingSettings.camera !== "turntable";
+  recordDialog.querySelectorAll('input[name="record-camera"]').forEach((input) => {
+    input.checked = input.value === recordingSettings.camera;
+  });
+  recordLoopInput.checked = recordingSettings.loopRotation;
+  if (document.activeElement !== recordDurationInput) {
+    recordDurationInput.value = String(recordingSettings.duration);
+  }
+  recordFpsSelect.value = String(recordingSettings.fps);
+  recordResolutionSelect.value = String(recordingSettings.resolution);
+  recordBackgroundInput.value = recordingSettings.background;
 
-  // Clear and repopulate options based on available modes
-  viewSelect.innerHTML = "";
+  recordDialog.querySelectorAll("input, select").forEach((input) => {
+    input.disabled = running;
+  });
+  recordStartButton.disabled = running;
+  recordCancelButton.textContent = running ? "Cancel" : "Close";
 
-  if (has2DAssets) {
-    const option2d = document.createElement("option");
-    option2d.value = "2d";
-    option2d.textContent = "2D Canvas";
-    viewSelect.appendChild(option2d);
+  if (!running) {
+    const base = getExportBaseSize();
+    if (base && !recordStatus.textContent) {
+      const { width, height } = getRecordingSize(base.width, base.height, recordingSettings.resolution);
+      const frames = Math.round(recordingSettings.duration * recordingSettings.fps);
+      recordStatus.textContent = `${width}px × ${height}px · ${frames} frames`;
+    }
   }
+}
 
-  if (hasModel) {
-    const option3d = document.createElement("option");
-    option3d.value = "3d";
-    option3d.textContent = "3D Viewer";
-    viewSelect.appendChild(option3d);
+/**
+ * Render the current view as a WebM video and download it
+ */
+async function startRecording() {
+  if (recordAbort) {
+    return;
   }
 
-  // Show dropdown only if both modes available
-  viewSelectWrapper.hidden = !(hasModel && has2DAssets);
+  recordAbort = new AbortController();
+  const { signal } = recordAbort;
+  const settings = recordingSettings;
+  const resumePlayback = Boolean(mediaPlayer && !mediaPlayer.paused);
+  mediaPlayer?.pause();
+  recordStatus.textContent = "Preparing…";
+  updateRecordControls();
 
-  // Auto-switch to available mode if current mode is unavailable
-  if (!hasModel && viewMode === "3d") {
-    setViewMode("2d");
-  } else if (!has2DAssets && viewMode === "2d" && hasModel) {
-    setViewMode("3d");
+  let recording = null;
+  try {
+    recording = viewMode === "3d" ? await prepare3DRecording(settings) : prepare2DRecording(settings);
+
+    const video = await recordAnimation({
+      width: recording.width,
+      height: recording.height,
+      duration: settings.duration,
+      fps: settings.fps,
+      background: settings.background,
+      renderFrame: recording.renderFrame,
+      signal,
+      onProgress: (phase, fraction) => {
+        recordProgress.value = phase === "render" ? fraction * 0.5 : 0.5 + fraction * 0.5;
+        recordStatus.textContent = `${phase === "render" ? "Rendering frames" : "Encoding video"}… ${Math.round(fraction * 100)}%`;
+      },
+    });
+
+    const fileBase = activeDevice?.assetPrefix ?? "device";
+    downloadBlob(video, `${fileBase}-${viewMode === "3d" ? "3d-" : ""}mockup.webm`);
+    recordStatus.textContent = "Video saved";
+  } catch (error) {
+    if (error.name === "AbortError") {
+      recordStatus.textContent = "Recording cancelled";
+    } else {
+      console.error("Failed to record video", error);
+      recordStatus.textContent = error.message;
+    }
+  } finally {
+    recording?.restore();
+    recordAbort = null;
+    if (resumePlayback) {
+      mediaPlayer.play().catch((error) => console.warn("Failed to resume media", error));
+    }
+    updateMediaControls();
+    updateRecordControls();
   }
+}
 
-  if (!hasModel && modelViewer) {
-    modelViewer.removeAttribute("src");
+/**
+ * Prepare frame rendering for the 2D canvas
+ * @param {Object} settings - The recording settings
+ * @returns {Object} {width, height, renderFrame, restore}
+ */
+function prepare2DRecording(settings) {
+  const base = getExportBaseSize();
+  if (!base || !activeDeviceAssets) {
+    throw new Error("Nothing to record yet");
   }
+
+  const { width, height } = getRecordingSize(base.width, base.height, settings.resolution);
+  const frameCanvas = document.createElement("canvas");
+  const frameCtx = frameCanvas.getContext("2d");
+  const options = { ...getRenderOptions(), scale: height / base.height };
+
+  return {
+    width,
+    height,
+    restore: () => {},
+    renderFrame: async (ctx, time) => {
+      await seekMediaForRecording(time);
+      renderMockup(frameCanvas, frameCtx, activeDeviceAssets, userImage, options);
+      ctx.drawImage(frameCanvas, 0, 0, width, height);
+    },
+  };
 }
 
 /**
- * Update download button availability
+ * Prepare frame rendering for the 3D viewer: resize it to the recording
+ * size and take over the camera until restored
+ * @param {Object} settings - The recording settings
+ * @returns {Promise<Object>} {width, height, renderFrame, restore}
  */
-function updateDownloadAvailability() {
-  let canDownload = false;
-  let canCopy = false;
+async function prepare3DRecording(settings) {
+  const rect = modelViewer.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  const { width, height } = getRecordingSize(rect.width * dpr, rect.height * dpr, settings.resolution);
+  const startOrbit = modelViewer.getCameraOrbit();
+  const autoRotate = modelViewer.autoRotate;
 
-  if (viewMode === "3d") {
-    canDownload = Boolean(activeDevice?.modelPath);
-    canCopy = canDownload;
-  } else {
-    const has2DAssets = activeDevice?.has2DAssets !== false;
-    const assetsReady = Boolean(userImage && activeDeviceAssets && has2DAssets);
-    canDownload = assetsReady;
-    canCopy = assetsReady;
-  }
+  modelViewer.autoRotate = false;
+  const restoreSize = await resizeModelViewer(modelViewer, width, height);
 
-  downloadButton.disabled = !canDownload;
-  if (copyButton) {
-    copyButton.disabled = !canCopy;
-  }
+  return {
+    width,
+    height,
+    restore: () => {
+      restoreSize();
+      modelViewer.cameraOrbit = `${startOrbit.theta}rad ${startOrbit.phi}rad ${startOrbit.radius}m`;
+      modelViewer.jumpCameraToGoal?.();
+      modelViewer.autoRotate = autoRotate;
+    },
+    renderFrame: async (ctx, time, progress) => {
+      if (mediaPlayer?.duration) {
+        await seekMediaForRecording(time);
+        await refreshModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, userImage, {
+          crop: artworkCrop,
+          fit: artworkFit,
+          statusBar,
+        });
+      }
+      if (settings.camera === "turntable") {
+        modelViewer.cameraOrbit = getTurntableOrbit(startOrbit, time, progress, settings);
+        modelViewer.jumpCameraToGoal?.();
+      }
+
+      const frame = await captureViewerFrame(modelViewer);
+      ctx.drawImage(frame, 0, 0, width, height);
+      frame.close();
+    },
+  };
 }
 
 /**
- * Update screen dimensions display
+ * Move video or GIF artwork to the time of a recorded frame, looping it
+ * @param {number} time - The frame time in seconds
  */
-function updateScreenDimensions() {
-  if (!screenDimensions || !activeDevice) {
-    return;
+async function seekMediaForRecording(time) {
+  if (mediaPlayer?.duration) {
+    await mediaPlayer.seek(time % mediaPlayer.duration);
   }
+}
 
-  if (activeDevice.screenWidth && activeDevice.screenHeight) {
-    screenDimensions.textContent = `Recommended: ${activeDevice.screenWidth}px × ${activeDevice.screenHeight}px`;
-  } else {
-    screenDimensions.textContent = "";
-  }
+function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 async function canvasToPngBlob(canvasElement) {
@@ -655,3 +4622,19 @@ async function writeBlobToClipboard(blob) {
 
   throw new Error("Clipboard API not supported in this browser");
 }
+
+/**
+ * Check whether a control changes continuously as it's used (sliders, color
+ * pickers, typed values), rather than once per choice
+ */
+function isContinuousControl(element) {
+  const continuous = ["color", "number", "range", "text"];
+  return element instanceof HTMLInputElement && continuous.includes(element.type);
+}
+
+/**
+ * Keep only the camera fields of a preset or saved view
+ */
+function pickCameraView({ cameraOrbit, cameraTarget, fieldOfView }) {
+  return { cameraOrbit, cameraTarget, fieldOfView };
+}
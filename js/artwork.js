@@ -0,0 +1,228 @@
+/**
+ * Artwork Placement
+ * Computes where the user's artwork lands inside a screen region, including fit mode, pan and zoom
+ */
+
+export const MIN_ARTWORK_ZOOM = 1;
+export const MAX_ARTWORK_ZOOM = 8;
+
+/**
+ * Available fit modes
+ * - cover: fill the screen, cropping the overflow
+ * - contain: show the whole artwork, letterboxed with the fill color
+ * - stretch: fill the screen exactly, ignoring the aspect ratio
+ * - actual: one artwork pixel per screen pixel, aligned by the anchor
+ */
+export const FIT_MODES = ["cover", "contain", "stretch", "actual"];
+export const FIT_ANCHORS = ["top", "center", "bottom"];
+
+/**
+ * Create a crop that shows the artwork centered at its base fit
+ * @returns {Object} The crop {zoom, panX, panY}
+ */
+export function createArtworkCrop() {
+  return { zoom: 1, panX: 0, panY: 0 };
+}
+
+/**
+ * Create the default fit settings
+ * @returns {Object} The fit {mode, anchor, fillColor}
+ */
+export function createArtworkFit() {
+  return { mode: "cover", anchor: "top", fillColor: "#000000" };
+}
+
+/**
+ * Get the color that fills the screen behind the artwork
+ * @param {Object} fit - The fit settings (optional)
+ * @returns {string|null} The fill color, or null when the artwork always covers the screen
+ */
+export function getArtworkFill(fit) {
+  if (fit?.mode === "contain" || fit?.mode === "actual") {
+    return fit.fillColor || "#000000";
+  }
+  return null;
+}
+
+/**
+ * Compute the draw rectangle of the artwork inside the given bounds.
+ * Pan values are stored as a fraction of the bounds size so the same crop
+ * can be reused by the 2D canvas and the 3D screen texture.
+ * @param {Image} image - The artwork to place
+ * @param {Object} bounds - The bounds to fill {width, height}
+ * @param {Object} crop - The crop {zoom, panX, panY} (optional)
+ * @param {Object} fit - The fit settings {mode, anchor} (optional, defaults to cover)
+ * @returns {Object} Draw dimensions and offsets relative to the bounds
+ */
+export function computeArtworkPlacement(image, bounds, crop, fit) {
+  const zoom = clampZoom(crop?.zoom ?? 1);
+  const { width, height } = computeBaseSize(image, bounds, fit?.mode);
+
+  const drawWidth = width * zoom;
+  const drawHeight = height * zoom;
+  const centeredX = (bounds.width - drawWidth) / 2;
+  const centeredY = computeAnchoredY(bounds.height, drawHeight, fit);
+
+  // Artwork larger than the bounds keeps covering them while panning,
+  // artwork smaller than the bounds stays inside them
+  const offsetX = clampOffset(
+    centeredX + (crop?.panX ?? 0) * bounds.width,
+    bounds.width,
+    drawWidth
+  );
+  const offsetY = clampOffset(
+    centeredY + (crop?.panY ?? 0) * bounds.height,
+    bounds.height,
+    drawHeight
+  );
+
+  return { drawWidth, drawHeight, offsetX, offsetY, centeredX, centeredY };
+}
+
+/**
+ * Draw the artwork into a context at the given bounds
+ * @param {CanvasRenderingContext2D} ctx - The target context
+ * @param {Image} image - The artwork to draw
+ * @param {Object} bounds - The target bounds {x, y, width, height}
+ * @param {Object} crop - The crop to apply (optional)
+ * @param {Object} fit - The fit settings (optional)
+ */
+export function drawArtwork(ctx, image, bounds, crop, fit) {
+  const { drawWidth, drawHeight, offsetX, offsetY } = computeArtworkPlacement(
+    image,
+    bounds,
+    crop,
+    fit
+  );
+
+  ctx.drawImage(
+    image,
+    bounds.x + offsetX,
+    bounds.y + offsetY,
+    drawWidth,
+    drawHeight
+  );
+}
+
+/**
+ * Move the artwork by a distance in bounds pixels
+ * @param {Image} image - The artwork being placed
+ * @param {Object} bounds - The bounds the artwork fills {width, height}
+ * @param {Object} crop - The current crop
+ * @param {number} deltaX - Horizontal distance in bounds pixels
+ * @param {number} deltaY - Vertical distance in bounds pixels
+ * @param {Object} fit - The fit settings (optional)
+ * @returns {Object} The updated crop
+ */
+export function panArtworkCrop(image, bounds, crop, deltaX, deltaY, fit) {
+  return normalizeArtworkCrop(
+    image,
+    bounds,
+    {
+      ...crop,
+      panX: (crop?.panX ?? 0) + deltaX / bounds.width,
+      panY: (crop?.panY ?? 0) + deltaY / bounds.height,
+    },
+    fit
+  );
+}
+
+/**
+ * Zoom the artwork around an anchor point, keeping that point in place
+ * @param {Image} image - The artwork being placed
+ * @param {Object} bounds - The bounds the artwork fills {width, height}
+ * @param {Object} crop - The current crop
+ * @param {number} factor - Multiplier applied to the current zoom
+ * @param {Object} anchor - Anchor point relative to the bounds {x, y} (defaults to the center)
+ * @param {Object} fit - The fit settings (optional)
+ * @returns {Object} The updated crop
+ */
+export function zoomArtworkCrop(image, bounds, crop, factor, anchor, fit) {
+  const point = anchor ?? { x: bounds.width / 2, y: bounds.height / 2 };
+  const current = computeArtworkPlacement(image, bounds, crop, fit);
+  const zoom = clampZoom((crop?.zoom ?? 1) * factor);
+
+  // Position of the anchor within the artwork, from 0 to 1
+  const relativeX = (point.x - current.offsetX) / current.drawWidth;
+  const relativeY = (point.y - current.offsetY) / current.drawHeight;
+
+  const next = computeArtworkPlacement(
+    image,
+    bounds,
+    { zoom, panX: 0, panY: 0 },
+    fit
+  );
+  const offsetX = point.x - relativeX * next.drawWidth;
+  const offsetY = point.y - relativeY * next.drawHeight;
+
+  return normalizeArtworkCrop(
+    image,
+    bounds,
+    {
+      zoom,
+      panX: (offsetX - next.centeredX) / bounds.width,
+      panY: (offsetY - next.centeredY) / bounds.height,
+    },
+    fit
+  );
+}
+
+/**
+ * Clamp a crop so its stored pan matches what will actually be drawn
+ * @param {Image} image - The artwork being placed
+ * @param {Object} bounds - The bounds the artwork fills {width, height}
+ * @param {Object} crop - The crop to normalize
+ * @param {Object} fit - The fit settings (optional)
+ * @returns {Object} The normalized crop
+ */
+export function normalizeArtworkCrop(image, bounds, crop, fit) {
+  const placement = computeArtworkPlacement(image, bounds, crop, fit);
+  return {
+    zoom: clampZoom(crop?.zoom ?? 1),
+    panX: (placement.offsetX - placement.centeredX) / bounds.width,
+    panY: (placement.offsetY - placement.centeredY) / bounds.height,
+  };
+}
+
+function computeBaseSize(image, bounds, mode = "cover") {
+  if (mode === "stretch") {
+    return { width: bounds.width, height: bounds.height };
+  }
+  if (mode === "actual") {
+    return { width: image.width, height: image.height };
+  }
+
+  const widthScale = bounds.width / image.width;
+  const heightScale = bounds.height / image.height;
+  const scale =
+    mode === "contain"
+      ? Math.min(widthScale, heightScale)
+      : Math.max(widthScale, heightScale);
+
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+function computeAnchoredY(boundsHeight, drawHeight, fit) {
+  if (fit?.mode === "actual") {
+    if (fit.anchor === "top") {
+      return 0;
+    }
+    if (fit.anchor === "bottom") {
+      return boundsHeight - drawHeight;
+    }
+  }
+  return (boundsHeight - drawHeight) / 2;
+}
+
+function clampOffset(offset, boundsSize, drawSize) {
+  const gap = boundsSize - drawSize;
+  return clamp(offset, Math.min(0, gap), Math.max(0, gap));
+}
+
+function clampZoom(zoom) {
+  return clamp(zoom, MIN_ARTWORK_ZOOM, MAX_ARTWORK_ZOOM);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
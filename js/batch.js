@@ -0,0 +1,131 @@
+/**
+ * Batch Rendering
+ * Builds and runs a queue of mockups for many images across devices and views
+ */
+
+/**
+ * Read an image file into a loaded image element
+ * @param {File} file - The image file
+ * @returns {Promise<Image>} The loaded image
+ */
+export function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!file || !file.type.startsWith("image/")) {
+      reject(new Error(`${file?.name ?? "File"} is not an image`));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.addEventListener("error", () => reject(new Error(`Failed to read ${file.name}`)));
+    reader.addEventListener("load", () => {
+      const image = new Image();
+      image.addEventListener("load", () => resolve(image), { once: true });
+      image.addEventListener(
+        "error",
+        () => reject(new Error(`Failed to decode ${file.name}`)),
+        { once: true }
+      );
+      image.src = reader.result;
+    });
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Create the jobs for every combination of device, view and source image.
+ * Jobs are grouped by device and view so each 3D model is only loaded once.
+ * @param {Array} sources - The source images [{name, image}, ...]
+ * @param {Array} targets - The selected outputs [{device, view}, ...]
+ * @param {string} extension - File extension of the export format
+ * @returns {Array} The jobs [{device, view, source, filename, status}, ...]
+ */
+export function createBatchJobs(sources, targets, extension) {
+  const usedNames = new Set();
+  const jobs = [];
+
+  targets.forEach(({ device, view }) => {
+    sources.forEach((source) => {
+      jobs.push({
+        device,
+        view,
+        source,
+        filename: getBatchFilename(device, view, source.name, extension, usedNames),
+        status: "queued",
+      });
+    });
+  });
+
+  return jobs;
+}
+
+/**
+ * Name a batch output after its device and source file,
+ * e.g. `iphone-17-pro-release-notes.png` or `iphone-17-pro-3d-release-notes.png`
+ * @param {Object} device - The device configuration
+ * @param {string} view - The view ("2d" or "3d")
+ * @param {string} sourceName - The source file name
+ * @param {string} extension - File extension of the export format
+ * @param {Set} usedNames - Names already taken in this batch (updated)
+ * @returns {string} A unique file name
+ */
+export function getBatchFilename(device, view, sourceName, extension, usedNames = new Set()) {
+  const prefix = device.assetPrefix || slugify(device.name) || "device";
+  const source = slugify(String(sourceName ?? "").replace(/\.[^.]+$/, "")) || "image";
+  const base = view === "3d" ? `${prefix}-3d-${source}` : `${prefix}-${source}`;
+
+  let filename = `${base}.${extension}`;
+  for (let copy = 2; usedNames.has(filename); copy += 1) {
+    filename = `${base}-${copy}.${extension}`;
+  }
+  usedNames.add(filename);
+  return filename;
+}
+
+/**
+ * Render the jobs one at a time
+ * @param {Array} jobs - The jobs from createBatchJobs (statuses are updated in place)
+ * @param {Function} renderJob - Renders one job, resolving to a Blob: (job, signal) => Promise<Blob>
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Stops the queue when aborted (optional)
+ * @param {Function} options.onProgress - Called with each job whenever its status changes (optional)
+ * @returns {Promise<Array>} The rendered files [{name, blob}, ...]
+ */
+export async function runBatch(jobs, renderJob, options = {}) {
+  const { signal, onProgress } = options;
+  const files = [];
+
+  for (const job of jobs) {
+    if (signal?.aborted) {
+      job.status = "cancelled";
+      onProgress?.(job);
+      continue;
+    }
+
+    job.status = "rendering";
+    onProgress?.(job);
+
+    try {
+      const blob = await renderJob(job, signal);
+      files.push({ name: job.filename, blob });
+      job.status = "done";
+    } catch (error) {
+      job.status = signal?.aborted ? "cancelled" : "failed";
+      job.error = error;
+      if (job.status === "failed") {
+        console.error(`Failed to render ${job.filename}`, error);
+      }
+    }
+    onProgress?.(job);
+  }
+
+  return files;
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
@@ -0,0 +1,345 @@
+/**
+ * Screen Calibration
+ * Test pattern, editable values and config export for fitting the screen texture to a 3D model
+ */
+
+/**
+ * Values shown in the calibration panel, with the slider range for each
+ * - uMin/uMax/vMin/vMax: the screenTextureUV rectangle
+ * - rotation: screenTextureRotation, in degrees here and radians in the config
+ * - scaleX/scaleY: screenTextureScaleX/Y, negative values mirror the image
+ * - translateX/translateY: screenTextureTranslateX/Y in texture pixels
+ * - offset: screenTextureOffset, moves the artwork down inside the screen
+ */
+export const CALIBRATION_FIELDS = [
+  { key: "uMin", label: "U min", min: 0, max: 1, step: 0.001 },
+  { key: "uMax", label: "U max", min: 0, max: 1, step: 0.001 },
+  { key: "vMin", label: "V min", min: 0, max: 1, step: 0.001 },
+  { key: "vMax", label: "V max", min: 0, max: 1, step: 0.001 },
+  { key: "rotation", label: "Rotation", min: -180, max: 180, step: 0.5 },
+  { key: "scaleX", label: "Scale X", min: -2, max: 2, step: 0.01 },
+  { key: "scaleY", label: "Scale Y", min: -2, max: 2, step: 0.01 },
+  { key: "translateX", label: "Move X", min: -1024, max: 1024, step: 1 },
+  { key: "translateY", label: "Move Y", min: -1024, max: 1024, step: 1 },
+  { key: "offset", label: "Offset", min: -500, max: 500, step: 1 },
+];
+
+// Smallest UV rectangle the handles can make
+const MIN_UV_SIZE = 0.005;
+
+const CORNER_MARKERS = [
+  { id: "TL", color: "#ff3b30", x: 0, y: 0 },
+  { id: "TR", color: "#34c759", x: 1, y: 0 },
+  { id: "BL", color: "#007aff", x: 0, y: 1 },
+  { id: "BR", color: "#ffcc00", x: 1, y: 1 },
+];
+
+/**
+ * Read a device's screen texture placement as calibration values
+ * @param {Object} device - The device configuration
+ * @returns {Object} The values {uMin, uMax, vMin, vMax, rotation, scaleX, scaleY, translateX, translateY, offset}
+ */
+export function getCalibrationValues(device) {
+  const uv = device?.screenTextureUV ?? { uMin: 0, vMin: 0, uMax: 1, vMax: 1 };
+  return {
+    uMin: uv.uMin,
+    uMax: uv.uMax,
+    vMin: uv.vMin,
+    vMax: uv.vMax,
+    rotation: round(((device?.screenTextureRotation ?? 0) * 180) / Math.PI, 2),
+    // The texture code treats a zero scale as 1
+    scaleX: device?.screenTextureScaleX || 1,
+    scaleY: device?.screenTextureScaleY || 1,
+    translateX: device?.screenTextureTranslateX ?? 0,
+    translateY: device?.screenTextureTranslateY ?? 0,
+    offset: device?.screenTextureOffset ?? 0,
+  };
+}
+
+/**
+ * Convert calibration values to device config fields
+ * @param {Object} values - The calibration values
+ * @returns {Object} The screenTexture* fields, ready to merge into a device
+ */
+export function getCalibrationConfig(values) {
+  return {
+    screenTextureUV: {
+      uMin: values.uMin,
+      vMin: values.vMin,
+      uMax: values.uMax,
+      vMax: values.vMax,
+    },
+    screenTextureRotation: (values.rotation * Math.PI) / 180,
+    screenTextureScaleX: values.scaleX,
+    screenTextureScaleY: values.scaleY,
+    screenTextureTranslateX: values.translateX,
+    screenTextureTranslateY: values.translateY,
+    screenTextureOffset: values.offset,
+  };
+}
+
+/**
+ * Change one calibration value, keeping the UV rectangle valid
+ * @param {Object} values - The calibration values
+ * @param {string} key - The value to change
+ * @param {number} value - The new value
+ * @returns {Object} New calibration values
+ */
+export function setCalibrationValue(values, key, value) {
+  if (!Number.isFinite(value)) {
+    return values;
+  }
+
+  const next = { ...values, [key]: value };
+  if (key === "uMin") {
+    next.uMin = clamp(value, 0, values.uMax - MIN_UV_SIZE);
+  } else if (key === "uMax") {
+    next.uMax = clamp(value, values.uMin + MIN_UV_SIZE, 1);
+  } else if (key === "vMin") {
+    next.vMin = clamp(value, 0, values.vMax - MIN_UV_SIZE);
+  } else if (key === "vMax") {
+    next.vMax = clamp(value, values.vMin + MIN_UV_SIZE, 1);
+  }
+  return next;
+}
+
+/**
+ * Draw the calibration test pattern: a grid with a center cross, a label at
+ * the top edge and a colored, labelled marker in each corner, so any
+ * rotation or mirroring on the model is obvious
+ * @param {number} width - Pattern width (the screen width)
+ * @param {number} height - Pattern height (the screen height)
+ * @returns {HTMLCanvasElement} The pattern
+ */
+export function createCalibrationGrid(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext("2d");
+  const unit = Math.min(canvas.width, canvas.height);
+
+  ctx.fillStyle = "#1c1c1e";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Grid lines every tenth, heavier through the center
+  for (let step = 1; step < 10; step += 1) {
+    const x = (canvas.width * step) / 10;
+    const y = (canvas.height * step) / 10;
+    ctx.strokeStyle = step === 5 ? "#ffffff" : "rgba(255, 255, 255, 0.35)";
+    ctx.lineWidth = Math.max(1, unit / (step === 5 ? 200 : 400));
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, canvas.height);
+    ctx.moveTo(0, y);
+    ctx.lineTo(canvas.width, y);
+    ctx.stroke();
+  }
+
+  // Border, so cropped edges show
+  const border = Math.max(2, unit / 80);
+  ctx.strokeStyle = "#ff2d55";
+  ctx.lineWidth = border;
+  ctx.strokeRect(border / 2, border / 2, canvas.width - border, canvas.height - border);
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `600 ${Math.round(unit / 14)}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillText("▲ TOP", canvas.width / 2, canvas.height * 0.15);
+  ctx.font = `${Math.round(unit / 20)}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.fillText(`${canvas.width} × ${canvas.height}`, canvas.width / 2, canvas.height * 0.85);
+
+  const size = unit / 6;
+  ctx.font = `700 ${Math.round(size / 2.4)}px -apple-system, BlinkMacSystemFont, sans-serif`;
+  CORNER_MARKERS.forEach((marker) => {
+    const x = marker.x * (canvas.width - size);
+    const y = marker.y * (canvas.height - size);
+    ctx.fillStyle = marker.color;
+    ctx.fillRect(x, y, size, size);
+    ctx.fillStyle = "#000000";
+    ctx.fillText(marker.id, x + size / 2, y + size / 2);
+  });
+
+  return canvas;
+}
+
+/**
+ * Get the drag handles of the UV rectangle, in UV coordinates.
+ * Corner handles resize the rectangle, "move" drags all of it and
+ * "translate" moves the image inside it.
+ * @param {Object} values - The calibration values
+ * @param {number} textureSize - The texture size in pixels, to place the translate handle
+ * @returns {Array} The handles [{id, u, v}, ...]
+ */
+export function getCalibrationHandles(values, textureSize) {
+  const centerU = (values.uMin + values.uMax) / 2;
+  const centerV = (values.vMin + values.vMax) / 2;
+  return [
+    { id: "top-left", u: values.uMin, v: values.vMax },
+    { id: "top-right", u: values.uMax, v: values.vMax },
+    { id: "bottom-left", u: values.uMin, v: values.vMin },
+    { id: "bottom-right", u: values.uMax, v: values.vMin },
+    {
+      id: "translate",
+      u: centerU + values.translateX / textureSize,
+      v: centerV - values.translateY / textureSize,
+    },
+    { id: "move", u: centerU, v: centerV },
+  ];
+}
+
+/**
+ * Find the handle under a point
+ * @param {Object} values - The calibration values
+ * @param {number} textureSize - The texture size in pixels
+ * @param {number} u - The point's U coordinate
+ * @param {number} v - The point's V coordinate
+ * @param {number} tolerance - Grab distance in UV units
+ * @returns {string|null} The handle id, "move" inside the rectangle, or null
+ */
+export function findCalibrationHandle(values, textureSize, u, v, tolerance) {
+  const handle = getCalibrationHandles(values, textureSize).find(
+    (item) => Math.abs(item.u - u) <= tolerance && Math.abs(item.v - v) <= tolerance
+  );
+  if (handle) {
+    return handle.id;
+  }
+  const inside = u >= values.uMin && u <= values.uMax && v >= values.vMin && v <= values.vMax;
+  return inside ? "move" : null;
+}
+
+/**
+ * Drag a handle by a distance from where the drag started
+ * @param {Object} values - The values when the drag started
+ * @param {string} handle - The handle id from findCalibrationHandle
+ * @param {number} deltaU - Distance moved in U
+ * @param {number} deltaV - Distance moved in V
+ * @param {number} textureSize - The texture size in pixels
+ * @returns {Object} New calibration values
+ */
+export function dragCalibrationHandle(values, handle, deltaU, deltaV, textureSize) {
+  if (handle === "translate") {
+    return {
+      ...values,
+      translateX: Math.round(values.translateX + deltaU * textureSize),
+      translateY: Math.round(values.translateY - deltaV * textureSize),
+    };
+  }
+
+  if (handle === "move") {
+    const shiftU = clamp(deltaU, -values.uMin, 1 - values.uMax);
+    const shiftV = clamp(deltaV, -values.vMin, 1 - values.vMax);
+    return {
+      ...values,
+      uMin: round(values.uMin + shiftU, 6),
+      uMax: round(values.uMax + shiftU, 6),
+      vMin: round(values.vMin + shiftV, 6),
+      vMax: round(values.vMax + shiftV, 6),
+    };
+  }
+
+  const [vertical, horizontal] = handle.split("-");
+  const uKey = horizontal === "left" ? "uMin" : "uMax";
+  const vKey = vertical === "top" ? "vMax" : "vMin";
+  let next = setCalibrationValue(values, uKey, round(values[uKey] + deltaU, 6));
+  next = setCalibrationValue(next, vKey, round(values[vKey] + deltaV, 6));
+  return next;
+}
+
+/**
+ * Draw the UV rectangle and its handles over a preview of the texture
+ * @param {CanvasRenderingContext2D} ctx - The preview context
+ * @param {Object} values - The calibration values
+ * @param {number} textureSize - The texture size in pixels
+ * @param {string} activeHandle - The handle being dragged (optional)
+ */
+export function drawCalibrationOverlay(ctx, values, textureSize, activeHandle = null) {
+  const { width, height } = ctx.canvas;
+  const toX = (u) => u * width;
+  const toY = (v) => (1 - v) * height;
+
+  ctx.save();
+  ctx.lineWidth = Math.max(1, width / 240);
+  ctx.strokeStyle = "#0a84ff";
+  ctx.setLineDash([6, 4]);
+  ctx.strokeRect(
+    toX(values.uMin),
+    toY(values.vMax),
+    toX(values.uMax) - toX(values.uMin),
+    toY(values.vMin) - toY(values.vMax)
+  );
+  ctx.setLineDash([]);
+
+  const radius = Math.max(4, width / 50);
+  getCalibrationHandles(values, textureSize)
+    .filter((handle) => handle.id !== "move")
+    .forEach((handle) => {
+      ctx.beginPath();
+      ctx.arc(toX(handle.u), toY(handle.v), radius, 0, Math.PI * 2);
+      ctx.fillStyle = handle.id === "translate" ? "#ff9f0a" : "#0a84ff";
+      ctx.globalAlpha = handle.id === activeHandle ? 1 : 0.85;
+      ctx.fill();
+      ctx.strokeStyle = "#ffffff";
+      ctx.stroke();
+    });
+  ctx.restore();
+}
+
+/**
+ * Format calibration values as device config lines for devices.js.
+ * Quarter-turn rotations are written as fractions of Math.PI, and values
+ * left at their defaults are omitted.
+ * @param {Object} values - The calibration values
+ * @returns {string} The config snippet
+ */
+export function formatCalibrationSnippet(values) {
+  const lines = [
+    "screenTextureUV: {",
+    `  uMin: ${round(values.uMin, 6)},`,
+    `  vMin: ${round(values.vMin, 6)},`,
+    `  uMax: ${round(values.uMax, 6)},`,
+    `  vMax: ${round(values.vMax, 6)},`,
+    "},",
+  ];
+
+  if (values.rotation) {
+    lines.push(`screenTextureRotation: ${formatRotation(values.rotation)},`);
+  }
+  [
+    ["screenTextureScaleX", values.scaleX, 1],
+    ["screenTextureScaleY", values.scaleY, 1],
+    ["screenTextureTranslateX", values.translateX, 0],
+    ["screenTextureTranslateY", values.translateY, 0],
+    ["screenTextureOffset", values.offset, 0],
+  ].forEach(([name, value, fallback]) => {
+    if (value !== fallback) {
+      lines.push(`${name}: ${round(value, 4)},`);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+function formatRotation(degrees) {
+  const quarters = degrees / 90;
+  if (Number.isInteger(quarters)) {
+    const sign = quarters < 0 ? "-" : "";
+    const turns = Math.abs(quarters);
+    if (turns === 1) {
+      return `${sign}Math.PI / 2`;
+    }
+    if (turns === 2) {
+      return `${sign}Math.PI`;
+    }
+  }
+  return String(round((degrees * Math.PI) / 180, 6));
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,146 @@
+/**
+ * Camera Views
+ * Preset and user-saved camera positions for the 3D viewer
+ */
+
+const SAVED_VIEWS_KEY = "mockitship.cameraViews";
+
+/**
+ * Get the preset camera angles for a device
+ * @param {Object} device - The device configuration
+ * @returns {Array} The presets [{id, name, cameraOrbit, cameraTarget, fieldOfView}, ...]
+ */
+export function getCameraPresets(device) {
+  return Array.isArray(device?.cameraPresets) ? device.cameraPresets : [];
+}
+
+/**
+ * Read the viewer's current camera position.
+ * The orbit is stored relative to the model, so auto-rotate's turntable
+ * spin is folded into the angle.
+ * @param {Object} modelViewer - The model-viewer element
+ * @returns {Object} The view {cameraOrbit, cameraTarget, fieldOfView}
+ */
+export function readCameraView(modelViewer) {
+  const orbit = modelViewer.getCameraOrbit();
+  const target = modelViewer.getCameraTarget();
+  const theta = toDegrees(orbit.theta - (modelViewer.turntableRotation ?? 0));
+
+  return {
+    cameraOrbit: `${round(normalizeDegrees(theta))}deg ${round(toDegrees(orbit.phi))}deg ${round(orbit.radius)}m`,
+    cameraTarget: `${round(target.x)}m ${round(target.y)}m ${round(target.z)}m`,
+    fieldOfView: `${round(modelViewer.getFieldOfView())}deg`,
+  };
+}
+
+/**
+ * Move the camera to a stored view.
+ * Auto-rotate is stopped so the view holds, and the orbit is turned the
+ * short way round so model-viewer animates straight to it.
+ * @param {Object} modelViewer - The model-viewer element
+ * @param {Object} view - The view {cameraOrbit, cameraTarget, fieldOfView}
+ */
+export function applyCameraView(modelViewer, view) {
+  modelViewer.autoRotate = false;
+
+  const current = modelViewer.getCameraOrbit();
+  modelViewer.cameraTarget = view.cameraTarget || "auto auto auto";
+  modelViewer.cameraOrbit = resolveOrbit(
+    view.cameraOrbit || "auto auto auto",
+    modelViewer.turntableRotation ?? 0,
+    current.theta
+  );
+  modelViewer.fieldOfView = view.fieldOfView || "auto";
+}
+
+/**
+ * Load the camera views saved for a device
+ * @param {string} deviceId - The device id
+ * @returns {Array} The saved views [{name, cameraOrbit, cameraTarget, fieldOfView}, ...]
+ */
+export function loadSavedCameraViews(deviceId) {
+  const views = readStore()[deviceId];
+  return Array.isArray(views) ? views : [];
+}
+
+/**
+ * Save a named camera view for a device, replacing any view with the same name
+ * @param {string} deviceId - The device id
+ * @param {string} name - The view name
+ * @param {Object} view - The view from readCameraView
+ * @returns {Array} The device's saved views
+ */
+export function saveCameraView(deviceId, name, view) {
+  const store = readStore();
+  const views = (store[deviceId] ?? []).filter((saved) => saved.name !== name);
+  views.push({ name, ...view });
+  store[deviceId] = views;
+  writeStore(store);
+  return views;
+}
+
+/**
+ * Delete a saved camera view
+ * @param {string} deviceId - The device id
+ * @param {string} name - The view name
+ * @returns {Array} The device's remaining saved views
+ */
+export function deleteSavedCameraView(deviceId, name) {
+  const store = readStore();
+  const views = (store[deviceId] ?? []).filter((saved) => saved.name !== name);
+  if (views.length > 0) {
+    store[deviceId] = views;
+  } else {
+    delete store[deviceId];
+  }
+  writeStore(store);
+  return views;
+}
+
+/**
+ * Convert a model-relative orbit into a camera orbit for the current
+ * turntable angle, choosing the turn closest to the current camera angle
+ */
+function resolveOrbit(orbit, turntable, currentTheta) {
+  const [theta, ...rest] = orbit.trim().split(/\s+/);
+  const match = /^(-?[\d.]+)(deg|rad)$/.exec(theta);
+  if (!match) {
+    return orbit;
+  }
+
+  const degrees = match[2] === "rad" ? toDegrees(Number(match[1])) : Number(match[1]);
+  const target = degrees + toDegrees(turntable);
+  const current = toDegrees(currentTheta);
+  const nearest = target + 360 * Math.round((current - target) / 360);
+  return [`${round(nearest)}deg`, ...rest].join(" ");
+}
+
+function readStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) ?? "{}");
+    return store && typeof store === "object" ? store : {};
+  } catch (error) {
+    console.warn("Failed to read saved camera views", error);
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.warn("Failed to save camera views", error);
+  }
+}
+
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 540) % 360 - 180;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
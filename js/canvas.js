@@ -3,71 +3,210 @@
  * Handles 2D canvas rendering for device mockups
  */
 
+import { drawArtwork, getArtworkFill } from './artwork.js';
+import { composeMockup } from './composition.js';
+import { applyDeviceEffects } from './effects.js';
+import { drawImageToQuad, getQuadSize } from './perspective.js';
+import { drawStatusBar } from './statusbar.js';
+
 /**
  * Render the mockup to the 2D canvas
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Object} activeDeviceAssets - The loaded device assets
  * @param {Image} userImage - The user's uploaded image (optional)
+ * @param {Object} options - Render options
+ * @param {Object} options.crop - Pan and zoom applied to the artwork (optional)
+ * @param {Object} options.fit - Fit mode, anchor and fill color (optional)
+ * @param {Object} options.effects - Shadow, reflection and tilt applied to the device (optional)
+ * @param {Object} options.composition - Background, padding and output size (optional)
+ * @param {Object} options.statusBar - Status bar and home indicator overlay (optional)
+ * @param {number} options.scale - Render resolution multiplier (defaults to 1)
+ * @returns {Object|null} The canvas layout {width, height, x, y, scale, toDevicePoint(x, y)}
+ *   where toDevicePoint maps a canvas point back onto the untilted device at 1x
  */
-export function renderMockup(canvas, ctx, activeDeviceAssets, userImage) {
+export function renderMockup(canvas, ctx, activeDeviceAssets, userImage, options = {}) {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
   if (!activeDeviceAssets) {
-    return;
+    return null;
   }
 
+  const deviceLayer = renderDeviceLayer(activeDeviceAssets, userImage, options);
+  const { canvas: effectsLayer, toLayerPoint } = applyDeviceEffects(
+    deviceLayer,
+    options.effects
+  );
+  const renderScale = options.scale ?? 1;
+  const layout = composeMockup(
+    canvas,
+    ctx,
+    effectsLayer,
+    options.composition,
+    renderScale
+  );
+
+  return {
+    ...layout,
+    toDevicePoint: (x, y) => {
+      const point = toLayerPoint(
+        (x - layout.x) / layout.scale,
+        (y - layout.y) / layout.scale
+      );
+      return { x: point.x / renderScale, y: point.y / renderScale };
+    },
+  };
+}
+
+/**
+ * Render the device with the artwork masked into its screen
+ * @param {Object} activeDeviceAssets - The loaded device assets
+ * @param {Image} userImage - The user's uploaded image (optional)
+ * @param {Object} options - Render options (see renderMockup)
+ * @returns {HTMLCanvasElement} The device layer at background image size times the scale
+ */
+function renderDeviceLayer(activeDeviceAssets, userImage, options) {
   const { bgImage, maskImage, maskBounds, chromeOffset } = activeDeviceAssets;
+  const scale = options.scale ?? 1;
+
+  // The artwork is drawn at the target resolution rather than upscaled afterwards
+  const layer = document.createElement("canvas");
+  layer.width = Math.round(bgImage.width * scale);
+  layer.height = Math.round(bgImage.height * scale);
+  const layerCtx = layer.getContext("2d");
+  layerCtx.imageSmoothingQuality = "high";
 
-  ctx.drawImage(bgImage, 0, 0);
+  layerCtx.drawImage(bgImage, 0, 0, layer.width, layer.height);
 
   if (!userImage) {
-    return;
+    return layer;
   }
 
   const offscreenCanvas = document.createElement("canvas");
   const offscreenCtx = offscreenCanvas.getContext("2d");
-  offscreenCanvas.width = bgImage.width;
-  offscreenCanvas.height = bgImage.height;
+  offscreenCanvas.width = layer.width;
+  offscreenCanvas.height = layer.height;
   offscreenCtx.clearRect(0, 0, offscreenCanvas.width, offscreenCanvas.height);
+  offscreenCtx.imageSmoothingQuality = "high";
+
+  // Draw in background image coordinates, scaled up to the layer resolution
+  offscreenCtx.scale(scale, scale);
 
   offscreenCtx.drawImage(maskImage, 0, 0);
   offscreenCtx.globalCompositeOperation = "source-in";
 
-  const { drawWidth, drawHeight, offsetX, offsetY } = computeCoverFit(
-    userImage,
-    maskBounds
-  );
+  if (activeDeviceAssets.screenCorners) {
+    // Angled photos: the screen is laid out flat, then warped into the corners
+    offscreenCtx.setTransform(1, 0, 0, 1, 0, 0);
+    offscreenCtx.drawImage(renderWarpedScreen(activeDeviceAssets, userImage, options, layer), 0, 0);
+  } else {
+    // Letterboxed fits paint the whole screen first, then keep the fill under the artwork
+    const fillColor = getArtworkFill(options.fit);
+    if (fillColor) {
+      offscreenCtx.fillStyle = fillColor;
+      offscreenCtx.fillRect(
+        maskBounds.x,
+        maskBounds.y,
+        maskBounds.width,
+        maskBounds.height
+      );
+      offscreenCtx.globalCompositeOperation = "source-atop";
+    }
 
-  offscreenCtx.drawImage(
-    userImage,
-    maskBounds.x + offsetX,
-    maskBounds.y + offsetY + chromeOffset,
-    drawWidth,
-    drawHeight
-  );
+    drawArtwork(
+      offscreenCtx,
+      userImage,
+      {
+        x: maskBounds.x,
+        y: maskBounds.y + chromeOffset,
+        width: maskBounds.width,
+        height: maskBounds.height,
+      },
+      options.crop,
+      options.fit
+    );
+
+    // The overlay stays inside the mask like the artwork
+    offscreenCtx.globalCompositeOperation = "source-atop";
+    offscreenCtx.translate(maskBounds.x, maskBounds.y);
+    drawScreenOverlay(offscreenCtx, maskBounds.width, maskBounds.height, activeDeviceAssets, options);
+  }
 
   offscreenCtx.globalCompositeOperation = "source-over";
-  ctx.drawImage(offscreenCanvas, 0, 0);
+  layerCtx.drawImage(offscreenCanvas, 0, 0);
+
+  return layer;
 }
 
 /**
- * Compute cover-fit dimensions for an image
- * @param {Image} image - The image to fit
- * @param {Object} bounds - The bounds to fit within
- * @returns {Object} Draw dimensions and offsets
+ * Get the flat screen the artwork is laid out on before it's warped into a
+ * device's screenCorners: screenWidth × screenHeight, or the quad's edge lengths
+ * @param {Object} device - The device configuration or loaded assets
+ * @returns {Object} The size {width, height}
+ */
+export function getCornerScreenSize(device) {
+  if (device.screenWidth && device.screenHeight) {
+    return { width: device.screenWidth, height: device.screenHeight };
+  }
+  return getQuadSize(device.screenCorners);
+}
+
+/**
+ * Lay the artwork out on the flat screen, then warp it into the screen corners
+ * @param {Object} activeDeviceAssets - The loaded device assets
+ * @param {Image} userImage - The user's uploaded image
+ * @param {Object} options - Render options (see renderMockup)
+ * @param {HTMLCanvasElement} layer - The device layer, for its size
+ * @returns {HTMLCanvasElement} The warped screen at the layer size
  */
-function computeCoverFit(image, bounds) {
-  const widthScale = bounds.width / image.width;
-  const heightScale = bounds.height / image.height;
-  const scale = Math.max(widthScale, heightScale);
+function renderWarpedScreen(activeDeviceAssets, userImage, options, layer) {
+  const { screenCorners, chromeOffset = 0 } = activeDeviceAssets;
+  const scale = options.scale ?? 1;
+  const { width, height } = getCornerScreenSize(activeDeviceAssets);
 
-  const drawWidth = image.width * scale;
-  const drawHeight = image.height * scale;
-  const offsetX = (bounds.width - drawWidth) / 2;
-  const offsetY = (bounds.height - drawHeight) / 2;
+  const screen = document.createElement("canvas");
+  screen.width = Math.round(width * scale);
+  screen.height = Math.round(height * scale);
+  const screenCtx = screen.getContext("2d");
+  screenCtx.imageSmoothingQuality = "high";
+  screenCtx.scale(scale, scale);
 
-  return { drawWidth, drawHeight, offsetX, offsetY };
+  const fillColor = getArtworkFill(options.fit);
+  if (fillColor) {
+    screenCtx.fillStyle = fillColor;
+    screenCtx.fillRect(0, 0, width, height);
+  }
+  drawArtwork(
+    screenCtx,
+    userImage,
+    { x: 0, y: chromeOffset, width, height },
+    options.crop,
+    options.fit
+  );
+  drawScreenOverlay(screenCtx, width, height, activeDeviceAssets, options);
+
+  // Warped on its own so the overlapping triangle edges don't composite against the mask
+  const warped = document.createElement("canvas");
+  warped.width = layer.width;
+  warped.height = layer.height;
+  const warpedCtx = warped.getContext("2d");
+  warpedCtx.imageSmoothingQuality = "high";
+  warpedCtx.scale(scale, scale);
+  drawImageToQuad(warpedCtx, screen, screenCorners);
+
+  return warped;
+}
+
+/**
+ * Draw the status bar overlay on the 2D screen. Backgrounds that already show
+ * a status bar above the screen mask only get the home indicator, and the
+ * artwork's own status bar is covered at chromeOffset, where it's drawn.
+ */
+function drawScreenOverlay(ctx, width, height, activeDeviceAssets, options) {
+  drawStatusBar(ctx, width, height, options.statusBar, activeDeviceAssets, {
+    skipStatusBar: activeDeviceAssets.backgroundHasStatusBar,
+    coverOffset: activeDeviceAssets.chromeOffset ?? 0,
+  });
 }
 
 /**
@@ -0,0 +1,152 @@
+/**
+ * Body Colors
+ * Conversions and edits for custom device body colors
+ */
+
+/**
+ * Convert a normalized color to a hex string
+ * @param {Array} color - RGBA with components from 0 to 1
+ * @returns {string} The color as "#rrggbb"
+ */
+export function colorToHex(color) {
+  return `#${(color ?? [0, 0, 0])
+    .slice(0, 3)
+    .map((value) => Math.round(clamp01(value) * 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Parse a hex color into a normalized color
+ * @param {string} hex - "#rgb" or "#rrggbb", the "#" is optional
+ * @param {number} alpha - Alpha of the result
+ * @returns {Array|null} RGBA from 0 to 1, or null when the hex is invalid
+ */
+export function hexToColor(hex, alpha = 1) {
+  let value = String(hex ?? "").trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(value)) {
+    value = value.replace(/./g, "$&$&");
+  }
+  if (!/^[0-9a-f]{6}$/i.test(value)) {
+    return null;
+  }
+
+  const channels = [0, 2, 4].map((start) => parseInt(value.slice(start, start + 2), 16) / 255);
+  return [...channels.map(round), alpha];
+}
+
+/**
+ * Get the body materials a user can edit (hidden parts are left alone)
+ * @param {Array} materials - Body material descriptors
+ * @returns {Array} The visible descriptors
+ */
+export function getEditableMaterials(materials) {
+  return (materials ?? []).filter((descriptor) => descriptor.name && !descriptor.hide);
+}
+
+/**
+ * Edit one body material
+ * @param {Array} materials - Body material descriptors
+ * @param {string} name - The material to change
+ * @param {Object} changes - Any of {color, metallicFactor, roughnessFactor}
+ * @returns {Array} New descriptors with the change applied
+ */
+export function updateBodyMaterial(materials, name, changes) {
+  return materials.map((descriptor) =>
+    descriptor.name === name ? { ...descriptor, ...changes } : descriptor
+  );
+}
+
+/**
+ * Edit every visible body material at once while keeping their relative shading.
+ * The brightest material takes the new color and the others keep their
+ * brightness relative to it; metalness and roughness move by the same amount
+ * for every material.
+ * @param {Array} materials - Body material descriptors
+ * @param {Object} changes - Any of {color, metallicFactor, roughnessFactor}
+ * @param {Array} reference - Descriptors whose shading is kept, such as the
+ *   device's finish, so repeated edits (even to black) don't flatten it (optional)
+ * @returns {Array} New descriptors with the change applied
+ */
+export function updateAllBodyMaterials(materials, changes, reference = materials) {
+  const editable = getEditableMaterials(materials);
+  if (editable.length === 0) {
+    return materials;
+  }
+
+  const shading = new Map(
+    getEditableMaterials(reference).map((descriptor) => [descriptor.name, luminance(descriptor.color)])
+  );
+  const getShading = (descriptor) => shading.get(descriptor.name) ?? luminance(descriptor.color);
+  const brightest = Math.max(...editable.map(getShading));
+  const metallicShift =
+    typeof changes.metallicFactor === "number"
+      ? changes.metallicFactor - getSharedValue(editable, "metallicFactor")
+      : 0;
+  const roughnessShift =
+    typeof changes.roughnessFactor === "number"
+      ? changes.roughnessFactor - getSharedValue(editable, "roughnessFactor")
+      : 0;
+
+  return materials.map((descriptor) => {
+    if (!editable.includes(descriptor)) {
+      return descriptor;
+    }
+
+    const next = { ...descriptor };
+    if (changes.color) {
+      const shade = brightest > 0 ? getShading(descriptor) / brightest : 1;
+      next.color = [
+        ...changes.color.slice(0, 3).map((value) => round(clamp01(value * shade))),
+        descriptor.color?.[3] ?? 1,
+      ];
+    }
+    if (metallicShift) {
+      next.metallicFactor = round(clamp01((descriptor.metallicFactor ?? 0) + metallicShift));
+    }
+    if (roughnessShift) {
+      next.roughnessFactor = round(clamp01((descriptor.roughnessFactor ?? 0) + roughnessShift));
+    }
+    return next;
+  });
+}
+
+/**
+ * Summarize the visible materials for the "all materials" editor row
+ * @param {Array} materials - Body material descriptors
+ * @returns {Object} {color, metallicFactor, roughnessFactor}: the brightest
+ *   color and the average metalness and roughness
+ */
+export function getSharedBodyMaterial(materials) {
+  const editable = getEditableMaterials(materials);
+  const brightest = editable.reduce(
+    (best, descriptor) =>
+      !best || luminance(descriptor.color) > luminance(best.color) ? descriptor : best,
+    null
+  );
+  return {
+    color: brightest?.color ?? [0, 0, 0, 1],
+    metallicFactor: getSharedValue(editable, "metallicFactor"),
+    roughnessFactor: getSharedValue(editable, "roughnessFactor"),
+  };
+}
+
+function getSharedValue(materials, key) {
+  if (materials.length === 0) {
+    return 0;
+  }
+  const total = materials.reduce((sum, descriptor) => sum + (descriptor[key] ?? 0), 0);
+  return round(total / materials.length);
+}
+
+function luminance(color) {
+  const [r = 0, g = 0, b = 0] = color ?? [];
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,178 @@
+/**
+ * Composition
+ * Places the rendered device on a background with padding and a fixed output size
+ */
+
+import { drawArtwork } from './artwork.js';
+
+/**
+ * Output aspect ratio presets (width / height). `auto` keeps the device's own aspect.
+ */
+export const ASPECT_PRESETS = {
+  auto: null,
+  "1:1": 1,
+  "4:5": 4 / 5,
+  "16:9": 16 / 9,
+};
+
+export const BACKGROUND_TYPES = ["none", "solid", "linear", "radial", "image"];
+
+/**
+ * Create the default composition: transparent, no padding, device-sized output
+ * @returns {Object} The composition settings
+ */
+export function createComposition() {
+  return {
+    background: {
+      type: "none",
+      color: "#f5f5f7",
+      colorEnd: "#c9d6f2",
+      angle: 180,
+      image: null,
+    },
+    padding: 0,
+    aspect: "auto",
+    customWidth: 1920,
+    customHeight: 1080,
+  };
+}
+
+/**
+ * Compute the output size and where the device layer lands in it
+ * @param {number} layerWidth - Width of the device layer
+ * @param {number} layerHeight - Height of the device layer
+ * @param {Object} composition - The composition settings (optional)
+ * @param {number} scale - Multiplier for fixed pixel sizes (defaults to 1)
+ * @returns {Object} The layout {width, height, x, y, scale}
+ */
+export function computeCompositionLayout(layerWidth, layerHeight, composition, scale = 1) {
+  // Padding is a percentage of the device's larger side, on every edge
+  const padding =
+    (Math.max(0, composition?.padding ?? 0) / 100) *
+    Math.max(layerWidth, layerHeight);
+  const paddedWidth = layerWidth + padding * 2;
+  const paddedHeight = layerHeight + padding * 2;
+
+  let width = paddedWidth;
+  let height = paddedHeight;
+
+  if (composition?.aspect === "custom") {
+    width = Math.max(1, Math.round((composition.customWidth || paddedWidth) * scale));
+    height = Math.max(1, Math.round((composition.customHeight || paddedHeight) * scale));
+  } else {
+    const ratio = ASPECT_PRESETS[composition?.aspect] ?? null;
+    if (ratio) {
+      // Grow the shorter side so the padded device fits the ratio
+      if (paddedWidth / paddedHeight > ratio) {
+        height = paddedWidth / ratio;
+      } else {
+        width = paddedHeight * ratio;
+      }
+    }
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+  }
+
+  const layerScale = Math.min(width / paddedWidth, height / paddedHeight);
+  const drawWidth = layerWidth * layerScale;
+  const drawHeight = layerHeight * layerScale;
+
+  return {
+    width,
+    height,
+    x: (width - drawWidth) / 2,
+    y: (height - drawHeight) / 2,
+    scale: layerScale,
+  };
+}
+
+/**
+ * Draw the device layer onto its background
+ * @param {HTMLCanvasElement} canvas - The output canvas (resized to the layout)
+ * @param {CanvasRenderingContext2D} ctx - The output context
+ * @param {HTMLCanvasElement} deviceLayer - The rendered device
+ * @param {Object} composition - The composition settings (optional)
+ * @param {number} scale - Multiplier for fixed pixel sizes (defaults to 1)
+ * @returns {Object} The layout used {width, height, x, y, scale}
+ */
+export function composeMockup(canvas, ctx, deviceLayer, composition, scale = 1) {
+  const layout = computeCompositionLayout(
+    deviceLayer.width,
+    deviceLayer.height,
+    composition,
+    scale
+  );
+
+  if (canvas.width !== layout.width || canvas.height !== layout.height) {
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+  } else {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  drawBackground(ctx, layout.width, layout.height, composition?.background);
+
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    deviceLayer,
+    layout.x,
+    layout.y,
+    deviceLayer.width * layout.scale,
+    deviceLayer.height * layout.scale
+  );
+
+  return layout;
+}
+
+/**
+ * Paint a background fill over the whole output
+ * @param {CanvasRenderingContext2D} ctx - The output context
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {Object} background - The background settings (optional)
+ */
+function drawBackground(ctx, width, height, background) {
+  if (!background || background.type === "none") {
+    return;
+  }
+
+  if (background.type === "image") {
+    if (background.image) {
+      drawArtwork(ctx, background.image, { x: 0, y: 0, width, height });
+    }
+    return;
+  }
+
+  if (background.type === "linear") {
+    // 0deg points up and angles turn clockwise, like CSS linear-gradient()
+    const radians = ((background.angle ?? 180) * Math.PI) / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const gradient = ctx.createLinearGradient(
+      width / 2 - dx * halfLength,
+      height / 2 - dy * halfLength,
+      width / 2 + dx * halfLength,
+      height / 2 + dy * halfLength
+    );
+    gradient.addColorStop(0, background.color);
+    gradient.addColorStop(1, background.colorEnd);
+    ctx.fillStyle = gradient;
+  } else if (background.type === "radial") {
+    const gradient = ctx.createRadialGradient(
+      width / 2,
+      height / 2,
+      0,
+      width / 2,
+      height / 2,
+      Math.hypot(width, height) / 2
+    );
+    gradient.addColorStop(0, background.color);
+    gradient.addColorStop(1, background.colorEnd);
+    ctx.fillStyle = gradient;
+  } else {
+    ctx.fillStyle = background.color;
+  }
+
+  ctx.fillRect(0, 0, width, height);
+}
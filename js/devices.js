@@ -12,6 +12,9 @@ export const DEVICE_LIBRARY = [
     chromeOffset: 100,
     screenWidth: 402,
     screenHeight: 874,
+    // Status bar overlay: insets in screen points; the 2D background draws its own status bar
+    safeAreaInsets: { top: 62, bottom: 34 },
+    backgroundHasStatusBar: true,
     modelPath: "devices/iPhone 17 Pro /iphone-17-pro/source/iphone 17_4.glb",
     screenTextureSlot: "emissiveTexture",
     screenTextureSize: 2048,
@@ -26,6 +29,14 @@ export const DEVICE_LIBRARY = [
     screenTextureScaleY: -1.02,
     screenTextureTranslateY: 80,
     screenTextureOffset: 100,
+    // Camera angles offered in the 3D view; orbits are relative to the model
+    cameraPresets: [
+      { id: "front", name: "Front", cameraOrbit: "0deg 90deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-left", name: "Three-quarter left", cameraOrbit: "-35deg 80deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-right", name: "Three-quarter right", cameraOrbit: "35deg 80deg 105%", fieldOfView: "30deg" },
+      { id: "top-down", name: "Top-down", cameraOrbit: "0deg 0deg 115%", fieldOfView: "30deg" },
+      { id: "side", name: "Side profile", cameraOrbit: "90deg 90deg 105%", fieldOfView: "30deg" },
+    ],
     bodyMaterials: [
       {
         name: "Plastic",
@@ -70,6 +81,43 @@ export const DEVICE_LIBRARY = [
         roughnessFactor: 0.75,
       },
     ],
+    // Named colorways; each finish's materials replace the matching bodyMaterials by name
+    finishes: [
+      {
+        id: "deep-blue",
+        name: "Deep Blue",
+        swatch: "#575c6d",
+        // Uses the bodyMaterials above
+      },
+      {
+        id: "silver",
+        name: "Silver",
+        swatch: "#dcdcde",
+        bodyMaterials: [
+          { name: "Plastic", color: [0.860, 0.860, 0.870, 1], metallicFactor: 0.55, roughnessFactor: 0.45 },
+          { name: "Screen_Rim", color: [0.800, 0.800, 0.815, 1], metallicFactor: 0.5, roughnessFactor: 0.5 },
+          { name: "Material.004", color: [0.830, 0.830, 0.845, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Material.002", color: [0.800, 0.800, 0.815, 1], metallicFactor: 0.45, roughnessFactor: 0.4 },
+          { name: "Rim_Buttons", color: [0.830, 0.830, 0.845, 1], metallicFactor: 0.55, roughnessFactor: 0.4 },
+          { name: "Material.001", color: [0.860, 0.860, 0.870, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Material.003", color: [0.830, 0.830, 0.845, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+        ],
+      },
+      {
+        id: "cosmic-orange",
+        name: "Cosmic Orange",
+        swatch: "#d95c1f",
+        bodyMaterials: [
+          { name: "Plastic", color: [0.850, 0.360, 0.120, 1], metallicFactor: 0.35, roughnessFactor: 0.6 },
+          { name: "Screen_Rim", color: [0.780, 0.320, 0.100, 1], metallicFactor: 0.3, roughnessFactor: 0.65 },
+          { name: "Material.004", color: [0.815, 0.340, 0.110, 1], metallicFactor: 0.3, roughnessFactor: 0.6 },
+          { name: "Material.002", color: [0.780, 0.320, 0.100, 1], metallicFactor: 0.25, roughnessFactor: 0.55 },
+          { name: "Rim_Buttons", color: [0.815, 0.340, 0.110, 1], metallicFactor: 0.35, roughnessFactor: 0.55 },
+          { name: "Material.001", color: [0.850, 0.360, 0.120, 1], metallicFactor: 0.3, roughnessFactor: 0.6 },
+          { name: "Material.003", color: [0.815, 0.340, 0.110, 1], metallicFactor: 0.3, roughnessFactor: 0.6 },
+        ],
+      },
+    ],
   },
   {
     id: "macbook-pro-m3-16",
@@ -90,13 +138,18 @@ export const DEVICE_LIBRARY = [
       uMax: 0.993469,
       vMax: 0.993509,
     },
-    screenTextureScaleX: 1.01,
-    screenTextureScaleY: -1.02,
-    screenTextureTranslateY: 10,
     screenTextureScaleX: 1,
     screenTextureScaleY: -1,
+    screenTextureTranslateY: 10,
     cameraOrbit: "0deg 75deg 105%",
     fieldOfView: "30deg",
+    cameraPresets: [
+      { id: "front", name: "Front", cameraOrbit: "0deg 75deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-left", name: "Three-quarter left", cameraOrbit: "-40deg 65deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-right", name: "Three-quarter right", cameraOrbit: "40deg 65deg 105%", fieldOfView: "30deg" },
+      { id: "top-down", name: "Top-down", cameraOrbit: "0deg 0deg 115%", fieldOfView: "30deg" },
+      { id: "side", name: "Side profile", cameraOrbit: "90deg 90deg 105%", fieldOfView: "30deg" },
+    ],
     exposure: 0.5,
     screenUnlit: true,
     disableEnvironmentLighting: true,
@@ -133,6 +186,7 @@ export const DEVICE_LIBRARY = [
     chromeOffset: 0,
     screenWidth: 768,
     screenHeight: 1024,
+    safeAreaInsets: { top: 24, bottom: 20 },
   },
   {
     id: "imac-24",
@@ -158,6 +212,13 @@ export const DEVICE_LIBRARY = [
     screenTextureScaleY: -0.56,
     screenTextureOffset: -10,
     screenTextureTranslateY: 25,
+    cameraPresets: [
+      { id: "front", name: "Front", cameraOrbit: "0deg 85deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-left", name: "Three-quarter left", cameraOrbit: "-35deg 75deg 105%", fieldOfView: "30deg" },
+      { id: "three-quarter-right", name: "Three-quarter right", cameraOrbit: "35deg 75deg 105%", fieldOfView: "30deg" },
+      { id: "top-down", name: "Top-down", cameraOrbit: "0deg 0deg 115%", fieldOfView: "30deg" },
+      { id: "side", name: "Side profile", cameraOrbit: "90deg 90deg 105%", fieldOfView: "30deg" },
+    ],
     exposure: 0.5,
     screenUnlit: true,
     disableEnvironmentLighting: true,
@@ -206,5 +267,69 @@ export const DEVICE_LIBRARY = [
         roughnessFactor: 0.5,
       },
     ],
+    finishes: [
+      {
+        id: "silver",
+        name: "Silver",
+        swatch: "#d9d9db",
+        // Uses the bodyMaterials above
+      },
+      {
+        id: "blue",
+        name: "Blue",
+        swatch: "#8fb3d9",
+        bodyMaterials: [
+          { name: "LightBlue", color: [0.560, 0.700, 0.850, 1], metallicFactor: 0.55, roughnessFactor: 0.4 },
+          { name: "DarkBlue", color: [0.200, 0.350, 0.600, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Metal", color: [0.480, 0.620, 0.780, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Metal2", color: [0.480, 0.620, 0.780, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Black", color: [0.200, 0.350, 0.600, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "Black.001", color: [0.200, 0.350, 0.600, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "White", color: [0.920, 0.920, 0.925, 1], metallicFactor: 0.1, roughnessFactor: 0.5 },
+        ],
+      },
+      {
+        id: "green",
+        name: "Green",
+        swatch: "#a3cfb0",
+        bodyMaterials: [
+          { name: "LightBlue", color: [0.640, 0.810, 0.690, 1], metallicFactor: 0.55, roughnessFactor: 0.4 },
+          { name: "DarkBlue", color: [0.200, 0.480, 0.330, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Metal", color: [0.560, 0.740, 0.620, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Metal2", color: [0.560, 0.740, 0.620, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Black", color: [0.200, 0.480, 0.330, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "Black.001", color: [0.200, 0.480, 0.330, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "White", color: [0.920, 0.920, 0.925, 1], metallicFactor: 0.1, roughnessFactor: 0.5 },
+        ],
+      },
+      {
+        id: "pink",
+        name: "Pink",
+        swatch: "#eeb0b8",
+        bodyMaterials: [
+          { name: "LightBlue", color: [0.930, 0.690, 0.720, 1], metallicFactor: 0.55, roughnessFactor: 0.4 },
+          { name: "DarkBlue", color: [0.780, 0.300, 0.380, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Metal", color: [0.880, 0.620, 0.660, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Metal2", color: [0.880, 0.620, 0.660, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Black", color: [0.780, 0.300, 0.380, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "Black.001", color: [0.780, 0.300, 0.380, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "White", color: [0.920, 0.920, 0.925, 1], metallicFactor: 0.1, roughnessFactor: 0.5 },
+        ],
+      },
+      {
+        id: "orange",
+        name: "Orange",
+        swatch: "#f0b48c",
+        bodyMaterials: [
+          { name: "LightBlue", color: [0.940, 0.700, 0.550, 1], metallicFactor: 0.55, roughnessFactor: 0.4 },
+          { name: "DarkBlue", color: [0.880, 0.380, 0.180, 1], metallicFactor: 0.5, roughnessFactor: 0.45 },
+          { name: "Metal", color: [0.900, 0.640, 0.490, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Metal2", color: [0.900, 0.640, 0.490, 1], metallicFactor: 0.6, roughnessFactor: 0.35 },
+          { name: "Black", color: [0.880, 0.380, 0.180, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "Black.001", color: [0.880, 0.380, 0.180, 1], metallicFactor: 0.45, roughnessFactor: 0.5 },
+          { name: "White", color: [0.920, 0.920, 0.925, 1], metallicFactor: 0.1, roughnessFactor: 0.5 },
+        ],
+      },
+    ],
   },
 ];
@@ -0,0 +1,213 @@
+/**
+ * Device Effects
+ * Drop shadow, floor reflection and perspective tilt for the 2D device layer
+ */
+
+import {
+  computeHomography,
+  drawImageToQuad,
+  projectPoint,
+} from './perspective.js';
+
+/**
+ * Create the default effects, all disabled.
+ * Blur, offset and gap values are percentages of the device's larger side,
+ * so the same settings look identical at any export size.
+ * @returns {Object} The effects settings
+ */
+export function createEffects() {
+  return {
+    shadow: {
+      enabled: false,
+      color: "#000000",
+      opacity: 0.35,
+      blur: 4,
+      offsetY: 3,
+    },
+    reflection: {
+      enabled: false,
+      opacity: 0.25,
+      height: 0.3,
+      gap: 0,
+    },
+    tilt: {
+      enabled: false,
+      rotateX: 10,
+      rotateY: -20,
+      rotateZ: 0,
+    },
+  };
+}
+
+/**
+ * Apply the enabled effects to a device layer
+ * @param {HTMLCanvasElement} layer - The rendered device
+ * @param {Object} effects - The effects settings (optional)
+ * @returns {Object} The result {canvas, toLayerPoint(x, y)} where toLayerPoint maps
+ *   a point on the result back onto the original layer
+ */
+export function applyDeviceEffects(layer, effects) {
+  const shadow = effects?.shadow?.enabled ? effects.shadow : null;
+  const reflection = effects?.reflection?.enabled ? effects.reflection : null;
+  const tilt = effects?.tilt?.enabled ? effects.tilt : null;
+
+  if (!shadow && !reflection && !tilt) {
+    return { canvas: layer, toLayerPoint: (x, y) => ({ x, y }) };
+  }
+
+  const unit = Math.max(layer.width, layer.height) / 100;
+  const tilted = tilt ? tiltLayer(layer, tilt) : { canvas: layer, quad: rectQuad(layer) };
+  const device = tilted.canvas;
+
+  // Room around the device for the blurred shadow and the reflection
+  const shadowBlur = shadow ? Math.max(0, shadow.blur) * unit : 0;
+  const shadowOffsetY = shadow ? shadow.offsetY * unit : 0;
+  const shadowMargin = shadow ? Math.ceil(shadowBlur * 2) : 0;
+  const reflectionGap = reflection ? Math.max(0, reflection.gap) * unit : 0;
+  const reflectionHeight = reflection
+    ? Math.round(device.height * clamp(reflection.height, 0, 1))
+    : 0;
+
+  const marginX = shadowMargin;
+  const marginTop = Math.max(0, shadowMargin - shadowOffsetY);
+  const marginBottom = Math.max(
+    shadowMargin + Math.max(0, shadowOffsetY),
+    reflectionGap + reflectionHeight
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(device.width + marginX * 2);
+  canvas.height = Math.ceil(device.height + marginTop + marginBottom);
+  const ctx = canvas.getContext("2d");
+
+  if (reflection && reflectionHeight > 0) {
+    drawReflection(
+      ctx,
+      device,
+      marginX,
+      marginTop + device.height + reflectionGap,
+      reflectionHeight,
+      reflection.opacity
+    );
+  }
+
+  if (shadow) {
+    ctx.save();
+    ctx.shadowColor = toRgba(shadow.color, shadow.opacity);
+    ctx.shadowBlur = shadowBlur;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = shadowOffsetY;
+    ctx.drawImage(device, marginX, marginTop);
+    ctx.restore();
+  } else {
+    ctx.drawImage(device, marginX, marginTop);
+  }
+
+  // Map result coordinates back through the tilt onto the flat layer
+  const quad = tilted.quad.map(([x, y]) => [x + marginX, y + marginTop]);
+  const inverse = computeHomography(quad, rectQuad(layer));
+
+  return {
+    canvas,
+    toLayerPoint: (x, y) => {
+      if (!inverse) {
+        return { x: x - marginX, y: y - marginTop };
+      }
+      const [layerX, layerY] = projectPoint(inverse, x, y);
+      return { x: layerX, y: layerY };
+    },
+  };
+}
+
+/**
+ * Rotate the layer in 3D and project it with perspective
+ * @param {HTMLCanvasElement} layer - The flat device layer
+ * @param {Object} tilt - Rotation in degrees {rotateX, rotateY, rotateZ}
+ * @returns {Object} The tilted canvas and where the layer corners landed {canvas, quad}
+ */
+function tiltLayer(layer, tilt) {
+  const toRadians = (degrees) => ((degrees ?? 0) * Math.PI) / 180;
+  const rx = toRadians(tilt.rotateX);
+  const ry = toRadians(tilt.rotateY);
+  const rz = toRadians(tilt.rotateZ);
+  const distance = Math.max(layer.width, layer.height) * 2.5;
+  const halfWidth = layer.width / 2;
+  const halfHeight = layer.height / 2;
+
+  const projected = rectQuad(layer).map(([x, y]) => {
+    let px = x - halfWidth;
+    let py = y - halfHeight;
+    let pz = 0;
+
+    // Rotate around Y (turn left/right)
+    [px, pz] = [px * Math.cos(ry) + pz * Math.sin(ry), -px * Math.sin(ry) + pz * Math.cos(ry)];
+    // Rotate around X (lean back/forward)
+    [py, pz] = [py * Math.cos(rx) - pz * Math.sin(rx), py * Math.sin(rx) + pz * Math.cos(rx)];
+    // Rotate around Z (in-plane)
+    [px, py] = [px * Math.cos(rz) - py * Math.sin(rz), px * Math.sin(rz) + py * Math.cos(rz)];
+
+    const perspective = distance / (distance + pz);
+    return [px * perspective, py * perspective];
+  });
+
+  const minX = Math.min(...projected.map(([x]) => x));
+  const minY = Math.min(...projected.map(([, y]) => y));
+  const maxX = Math.max(...projected.map(([x]) => x));
+  const maxY = Math.max(...projected.map(([, y]) => y));
+
+  const quad = projected.map(([x, y]) => [x - minX, y - minY]);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.ceil(maxX - minX));
+  canvas.height = Math.max(1, Math.ceil(maxY - minY));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  drawImageToQuad(ctx, layer, quad);
+
+  return { canvas, quad };
+}
+
+/**
+ * Draw a mirrored, fading copy of the device below it
+ */
+function drawReflection(ctx, device, x, y, height, opacity) {
+  const reflection = document.createElement("canvas");
+  reflection.width = device.width;
+  reflection.height = height;
+  const reflectionCtx = reflection.getContext("2d");
+
+  reflectionCtx.save();
+  reflectionCtx.translate(0, device.height);
+  reflectionCtx.scale(1, -1);
+  reflectionCtx.drawImage(device, 0, 0);
+  reflectionCtx.restore();
+
+  const fade = reflectionCtx.createLinearGradient(0, 0, 0, height);
+  fade.addColorStop(0, `rgba(0, 0, 0, ${clamp(opacity, 0, 1)})`);
+  fade.addColorStop(1, "rgba(0, 0, 0, 0)");
+  reflectionCtx.globalCompositeOperation = "destination-in";
+  reflectionCtx.fillStyle = fade;
+  reflectionCtx.fillRect(0, 0, reflection.width, height);
+
+  ctx.drawImage(reflection, x, y);
+}
+
+function rectQuad(layer) {
+  return [
+    [0, 0],
+    [layer.width, 0],
+    [layer.width, layer.height],
+    [0, layer.height],
+  ];
+}
+
+function toRgba(hex, alpha) {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  const r = (value >> 16) & 255;
+  const g = (value >> 8) & 255;
+  const b = value & 255;
+  return `rgba(${r}, ${g}, ${b}, ${clamp(alpha, 0, 1)})`;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
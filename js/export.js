@@ -0,0 +1,378 @@
+/**
+ * Export
+ * Offscreen re-rendering and encoding of the 2D and 3D mockups at export resolution
+ */
+
+import { renderMockup } from './canvas.js';
+
+export const EXPORT_MULTIPLIERS = [1, 2, 3, 4];
+export const MAX_EXPORT_SIZE = 8192;
+
+/**
+ * Supported image formats. Formats without alpha are flattened onto a solid color.
+ */
+export const EXPORT_FORMATS = {
+  png: { label: "PNG", mimeType: "image/png", extension: "png", alpha: true, lossy: false },
+  jpeg: { label: "JPEG", mimeType: "image/jpeg", extension: "jpg", alpha: false, lossy: true },
+  webp: { label: "WebP", mimeType: "image/webp", extension: "webp", alpha: true, lossy: true },
+  avif: { label: "AVIF", mimeType: "image/avif", extension: "avif", alpha: true, lossy: true },
+};
+
+const formatSupportCache = new Map();
+
+/**
+ * Create the default export settings
+ * - multiplier: the preview size times `multiplier`
+ * - exact: exactly `width` × `height` pixels
+ * @returns {Object} The export settings
+ */
+export function createExportSettings() {
+  return {
+    mode: "multiplier",
+    multiplier: 2,
+    width: 2048,
+    height: 2048,
+    format: "png",
+    quality: 0.9,
+    flattenColor: "#ffffff",
+  };
+}
+
+/**
+ * Get the format description for export settings
+ * @param {Object} settings - The export settings
+ * @returns {Object} The format entry from EXPORT_FORMATS
+ */
+export function getExportFormat(settings) {
+  return EXPORT_FORMATS[settings?.format] ?? EXPORT_FORMATS.png;
+}
+
+/**
+ * Check whether this browser can encode a format.
+ * Canvas encoders silently fall back to PNG for unknown types, so a tiny
+ * test image is encoded and its type compared.
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {Promise<boolean>} Whether the format is supported
+ */
+export function isExportFormatSupported(format) {
+  if (formatSupportCache.has(format)) {
+    return formatSupportCache.get(format);
+  }
+
+  const { mimeType } = EXPORT_FORMATS[format] ?? {};
+  const probe = document.createElement("canvas");
+  probe.width = 1;
+  probe.height = 1;
+  const support = new Promise((resolve) => {
+    if (!mimeType) {
+      resolve(false);
+      return;
+    }
+    probe.toBlob((blob) => resolve(blob?.type === mimeType), mimeType);
+  });
+
+  formatSupportCache.set(format, support);
+  return support;
+}
+
+/**
+ * Encode a canvas with the export format, quality and flatten color
+ * @param {HTMLCanvasElement} canvas - The rendered mockup
+ * @param {Object} settings - The export settings
+ * @returns {Promise<Blob>} The encoded image
+ */
+export function encodeCanvas(canvas, settings) {
+  const format = getExportFormat(settings);
+  let source = canvas;
+
+  if (!format.alpha) {
+    source = document.createElement("canvas");
+    source.width = canvas.width;
+    source.height = canvas.height;
+    const ctx = source.getContext("2d");
+    ctx.fillStyle = settings?.flattenColor || "#ffffff";
+    ctx.fillRect(0, 0, source.width, source.height);
+    ctx.drawImage(canvas, 0, 0);
+  }
+
+  return new Promise((resolve, reject) => {
+    source.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error(`Failed to encode ${format.label}`));
+        } else if (blob.type !== format.mimeType) {
+          reject(new Error(`This browser can't encode ${format.label}`));
+        } else {
+          resolve(blob);
+        }
+      },
+      format.mimeType,
+      format.lossy ? settings?.quality ?? 0.9 : undefined
+    );
+  });
+}
+
+/**
+ * Encode an image blob (e.g. a 3D capture) with the export settings
+ * @param {Blob} blob - The source image
+ * @param {Object} settings - The export settings
+ * @returns {Promise<Blob>} The encoded image
+ */
+export async function encodeBlob(blob, settings) {
+  const format = getExportFormat(settings);
+  if (blob.type === format.mimeType && !format.lossy) {
+    return blob;
+  }
+
+  return encodeCanvas(await blobToCanvas(blob), settings);
+}
+
+/**
+ * Decode an image blob into a canvas
+ * @param {Blob} blob - The image
+ * @returns {Promise<HTMLCanvasElement>} A canvas holding the image
+ */
+export async function blobToCanvas(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * Estimate the file size of an export by encoding a smaller render
+ * and scaling the result by the pixel count
+ * @param {HTMLCanvasElement} sample - A render of the current view
+ * @param {Object} settings - The export settings
+ * @param {number} targetPixels - Pixel count of the real export
+ * @returns {Promise<number>} The estimated size in bytes
+ */
+export async function estimateExportBytes(sample, settings, targetPixels) {
+  const blob = await encodeCanvas(sample, settings);
+  const samplePixels = sample.width * sample.height;
+  return samplePixels > 0 ? (blob.size * targetPixels) / samplePixels : blob.size;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string} e.g. "1.4 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${Math.round(bytes)} B`;
+}
+
+/**
+ * Compute the pixel size an export will have
+ * @param {Object} settings - The export settings
+ * @param {number} baseWidth - Width of the 1x render
+ * @param {number} baseHeight - Height of the 1x render
+ * @returns {Object} The target {width, height, scale}
+ */
+export function resolveExportSize(settings, baseWidth, baseHeight) {
+  if (settings?.mode === "exact") {
+    const width = clampSize(settings.width);
+    const height = clampSize(settings.height);
+    return {
+      width,
+      height,
+      scale: Math.min(width / baseWidth, height / baseHeight),
+    };
+  }
+
+  // Large multipliers are scaled down so the longer side stays within MAX_EXPORT_SIZE
+  const multiplier = settings?.multiplier ?? 1;
+  const scale = Math.min(multiplier, MAX_EXPORT_SIZE / baseWidth, MAX_EXPORT_SIZE / baseHeight);
+  return {
+    width: clampSize(baseWidth * scale),
+    height: clampSize(baseHeight * scale),
+    scale,
+  };
+}
+
+/**
+ * Re-render the 2D mockup offscreen at the export size
+ * @param {Object} activeDeviceAssets - The loaded device assets
+ * @param {Image} userImage - The user's uploaded image
+ * @param {Object} renderOptions - The options used for the preview (see renderMockup)
+ * @param {Object} settings - The export settings
+ * @returns {HTMLCanvasElement} The rendered mockup
+ */
+export function renderMockupForExport(activeDeviceAssets, userImage, renderOptions, settings) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  // Measure the 1x output first; effects and padding change its size
+  const base = renderMockup(canvas, ctx, activeDeviceAssets, userImage, {
+    ...renderOptions,
+    scale: 1,
+  });
+  if (!base) {
+    return canvas;
+  }
+
+  const target = resolveExportSize(settings, base.width, base.height);
+  const options = { ...renderOptions, scale: target.scale };
+
+  if (settings?.mode === "exact") {
+    // Fill the exact size with the background rather than letterboxing afterwards
+    options.composition = {
+      ...renderOptions.composition,
+      aspect: "custom",
+      customWidth: target.width / target.scale,
+      customHeight: target.height / target.scale,
+    };
+  }
+
+  renderMockup(canvas, ctx, activeDeviceAssets, userImage, options);
+  return canvas;
+}
+
+/**
+ * Capture the 3D viewer at the export size.
+ * The viewer is briefly resized so model-viewer renders at the target
+ * resolution instead of upscaling the on-screen bitmap.
+ * @param {Object} modelViewer - The model-viewer element
+ * @param {Object} settings - The export settings
+ * @param {string} mimeType - The image type to capture (defaults to PNG)
+ * @param {Object} baseSize - The 1x size {width, height} in device pixels (defaults to the viewer's size)
+ * @param {Function} onLimited - Called with the size {width, height} the browser
+ *   actually rendered when it capped an exact capture, before it's letterboxed (optional)
+ * @returns {Promise<Blob>} The captured image
+ */
+export async function captureModelViewerForExport(
+  modelViewer,
+  settings,
+  mimeType = "image/png",
+  baseSize = null,
+  onLimited = null
+) {
+  const dpr = window.devicePixelRatio || 1;
+  const rect = modelViewer.getBoundingClientRect();
+  const target = resolveExportSize(
+    settings,
+    baseSize?.width ?? rect.width * dpr,
+    baseSize?.height ?? rect.height * dpr
+  );
+  const exact = settings?.mode === "exact";
+  const restore = await resizeModelViewer(modelViewer, target.width, target.height);
+
+  try {
+    const blob = await modelViewer.toBlob({
+      idealAspect: !exact,
+      mimeType,
+    });
+
+    return exact
+      ? await fitBlobToSize(blob, target.width, target.height, mimeType, onLimited)
+      : blob;
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * Resize the 3D viewer so it renders at a pixel size, until restored
+ * @param {Object} modelViewer - The model-viewer element
+ * @param {number} width - Target width in device pixels
+ * @param {number} height - Target height in device pixels
+ * @returns {Promise<Function>} Resolves once the resized frame rendered, with a function
+ *   that restores the original size
+ */
+export async function resizeModelViewer(modelViewer, width, height) {
+  const dpr = window.devicePixelRatio || 1;
+  const viewerClass = modelViewer.constructor;
+  const previousStyle = modelViewer.getAttribute("style");
+  const previousRenderScale = viewerClass?.minimumRenderScale;
+
+  const restore = () => {
+    if (previousStyle === null) {
+      modelViewer.removeAttribute("style");
+    } else {
+      modelViewer.setAttribute("style", previousStyle);
+    }
+    if (typeof previousRenderScale === "number") {
+      viewerClass.minimumRenderScale = previousRenderScale;
+    }
+  };
+
+  try {
+    // Keep model-viewer from lowering the resolution while it renders the large frame
+    if (typeof previousRenderScale === "number") {
+      viewerClass.minimumRenderScale = 1;
+    }
+    modelViewer.style.width = `${width / dpr}px`;
+    modelViewer.style.height = `${height / dpr}px`;
+    modelViewer.style.flex = "none";
+
+    await waitForFrames(3);
+    if (typeof modelViewer.requestRender === "function") {
+      modelViewer.requestRender();
+      await waitForFrames(2);
+    }
+  } catch (error) {
+    restore();
+    throw error;
+  }
+
+  return restore;
+}
+
+/**
+ * Make sure a captured image has exactly the requested size
+ * (browsers may cap the WebGL canvas below very large targets). A capped
+ * capture is scaled to fit and centered, so it keeps its aspect ratio.
+ */
+async function fitBlobToSize(blob, width, height, mimeType, onLimited) {
+  const bitmap = await createImageBitmap(blob);
+  if (bitmap.width === width && bitmap.height === height) {
+    bitmap.close();
+    return blob;
+  }
+
+  onLimited?.({ width: bitmap.width, height: bitmap.height });
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  const scale = Math.min(width / bitmap.width, height / bitmap.height);
+  const drawWidth = bitmap.width * scale;
+  const drawHeight = bitmap.height * scale;
+  ctx.drawImage(bitmap, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) =>
+        result ? resolve(result) : reject(new Error("Failed to resize 3D capture")),
+      mimeType
+    );
+  });
+}
+
+function waitForFrames(count) {
+  return new Promise((resolve) => {
+    const step = (remaining) => {
+      if (remaining <= 0) {
+        resolve();
+        return;
+      }
+      requestAnimationFrame(() => step(remaining - 1));
+    };
+    step(count);
+  });
+}
+
+function clampSize(value) {
+  return Math.max(1, Math.min(MAX_EXPORT_SIZE, Math.round(Number(value) || 1)));
+}
@@ -0,0 +1,176 @@
+/**
+ * Device Family
+ * Arranges renders of several devices showing the same artwork into one image
+ */
+
+/**
+ * Available layouts
+ * - row: side by side, resting on a shared baseline
+ * - cascade: overlapping, each device stepping right and down
+ * - staggered: side by side with every other device raised
+ */
+export const FAMILY_LAYOUTS = ["row", "cascade", "staggered"];
+
+export const MIN_FAMILY_SCALE = 0.2;
+export const MAX_FAMILY_SCALE = 2;
+
+// Height in pixels of a device at scale 1, before the composition is applied
+const FAMILY_BASE_HEIGHT = 1200;
+
+/**
+ * Create a family from a list of devices
+ * @param {Array} devices - Device configurations to include
+ * @returns {Object} The family {layout, entries}
+ */
+export function createFamily(devices) {
+  return {
+    layout: "row",
+    entries: devices.map((device) => createFamilyEntry(device)),
+  };
+}
+
+/**
+ * Create a family entry for a device, preferring its 2D view.
+ * Landscape devices (laptops, desktops) start larger than portrait ones.
+ * @param {Object} device - The device configuration
+ * @returns {Object} The entry {deviceId, view, scale}
+ */
+export function createFamilyEntry(device) {
+  const landscape = (device.screenWidth ?? 0) > (device.screenHeight ?? 0);
+  return {
+    deviceId: device.id,
+    view: device.has2DAssets !== false ? "2d" : "3d",
+    scale: landscape ? 1 : 0.7,
+  };
+}
+
+/**
+ * Get the pixel height a device render should have for an entry scale
+ * @param {number} scale - The entry scale
+ * @returns {number} The target height in pixels
+ */
+export function getFamilyItemHeight(scale) {
+  return FAMILY_BASE_HEIGHT * clamp(scale ?? 1, MIN_FAMILY_SCALE, MAX_FAMILY_SCALE);
+}
+
+/**
+ * Compute where each device lands in the family image
+ * @param {Array} sizes - Natural sizes of the renders [{width, height}, ...]
+ * @param {Array} scales - The entry scales, in the same order
+ * @param {string} layout - One of FAMILY_LAYOUTS
+ * @returns {Object} The layout {width, height, items: [{x, y, width, height}, ...]}
+ */
+export function computeFamilyLayout(sizes, scales, layout) {
+  const items = sizes.map((size, index) => {
+    const height = getFamilyItemHeight(scales[index]);
+    return { x: 0, y: 0, width: (size.width / size.height) * height, height };
+  });
+
+  if (items.length === 0) {
+    return { width: 1, height: 1, items };
+  }
+
+  const tallest = Math.max(...items.map((item) => item.height));
+  const gap = FAMILY_BASE_HEIGHT * 0.06;
+  let cursor = 0;
+
+  items.forEach((item, index) => {
+    item.x = cursor;
+
+    if (layout === "cascade") {
+      // Overlap the previous device and step down a little
+      item.y = tallest + index * gap - item.height;
+      cursor += item.width * 0.6;
+    } else if (layout === "staggered") {
+      const raised = index % 2 === 1;
+      item.y = tallest + (raised ? 0 : gap * 2) - item.height;
+      cursor += item.width + gap;
+    } else {
+      item.y = tallest - item.height;
+      cursor += item.width + gap;
+    }
+  });
+
+  const minX = Math.min(...items.map((item) => item.x));
+  const minY = Math.min(...items.map((item) => item.y));
+  items.forEach((item) => {
+    item.x -= minX;
+    item.y -= minY;
+  });
+
+  return {
+    width: Math.ceil(Math.max(...items.map((item) => item.x + item.width))),
+    height: Math.ceil(Math.max(...items.map((item) => item.y + item.height))),
+    items,
+  };
+}
+
+/**
+ * Draw the device renders into one transparent layer
+ * @param {Array} renders - The device renders (canvases), in entry order
+ * @param {Object} family - The family {layout, entries}
+ * @returns {HTMLCanvasElement} The family layer
+ */
+export function renderFamilyLayer(renders, family) {
+  const layout = computeFamilyLayout(
+    renders,
+    family.entries.map((entry) => entry.scale),
+    family.layout
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, layout.width);
+  canvas.height = Math.max(1, layout.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+
+  // Later entries are drawn on top, which sets the cascade's stacking order
+  renders.forEach((render, index) => {
+    const { x, y, width, height } = layout.items[index];
+    ctx.drawImage(render, x, y, width, height);
+  });
+
+  return canvas;
+}
+
+/**
+ * Crop the fully transparent margins off a render
+ * (3D captures leave empty space around the model)
+ * @param {HTMLCanvasElement} canvas - The render
+ * @returns {HTMLCanvasElement} The trimmed render, or the input when nothing is trimmed
+ */
+export function trimTransparent(canvas) {
+  const { width, height } = canvas;
+  const data = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (data[(y * width + x) * 4 + 3] > 0) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0 || (minX === 0 && minY === 0 && maxX === width - 1 && maxY === height - 1)) {
+    return canvas;
+  }
+
+  const trimmed = document.createElement("canvas");
+  trimmed.width = maxX - minX + 1;
+  trimmed.height = maxY - minY + 1;
+  trimmed
+    .getContext("2d")
+    .drawImage(canvas, minX, minY, trimmed.width, trimmed.height, 0, 0, trimmed.width, trimmed.height);
+  return trimmed;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
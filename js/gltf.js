@@ -0,0 +1,429 @@
+/**
+ * glTF Screen Detection
+ * Reads the screen mesh's UV rectangle and orientation straight from a GLB model
+ */
+
+import { findScreenMaterial } from './materials.js';
+
+const GLB_MAGIC = 0x46546c67;
+const JSON_CHUNK = 0x4e4f534a;
+const BIN_CHUNK = 0x004e4942;
+
+const COMPONENT_TYPES = {
+  5120: { size: 1, read: "getInt8", normalize: (value) => Math.max(value / 127, -1) },
+  5121: { size: 1, read: "getUint8", normalize: (value) => value / 255 },
+  5122: { size: 2, read: "getInt16", normalize: (value) => Math.max(value / 32767, -1) },
+  5123: { size: 2, read: "getUint16", normalize: (value) => value / 65535 },
+  5125: { size: 4, read: "getUint32", normalize: (value) => value },
+  5126: { size: 4, read: "getFloat32", normalize: (value) => value },
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+// Geometry these extensions compress can't be read without their decoders
+const COMPRESSION_EXTENSIONS = ["KHR_draco_mesh_compression", "EXT_meshopt_compression"];
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const layoutCache = new Map();
+
+/**
+ * Load a model and detect its screen layout. Results are cached per model URL
+ * and screen material, so repeated calls don't refetch the file.
+ * @param {string} modelUrl - The GLB URL
+ * @param {string} preferredName - The device's screenMaterialName (optional)
+ * @returns {Promise<Object|null>} The layout from detectScreenLayout, or null
+ *   when the model can't be read
+ */
+export function loadScreenLayout(modelUrl, preferredName) {
+  const key = `${modelUrl}\n${preferredName ?? ""}`;
+  if (!layoutCache.has(key)) {
+    const layout = fetch(encodeURI(modelUrl))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((buffer) => detectScreenLayout(buffer, preferredName))
+      .catch((error) => {
+        console.warn(`Could not detect the screen layout of ${modelUrl}`, error);
+        return null;
+      });
+    layoutCache.set(key, layout);
+  }
+  return layoutCache.get(key);
+}
+
+/**
+ * Detect where the screen sits in a GLB's texture space.
+ * The UV rectangle is the bounding box of the screen mesh's texture
+ * coordinates. The orientation compares the mesh's UV directions with the
+ * model's up axis (+Y), so the artwork's top lands at the top of the screen.
+ * @param {ArrayBuffer} buffer - The GLB file
+ * @param {string} preferredName - The device's screenMaterialName (optional)
+ * @returns {Object|null} {materialName, screenTextureUV, screenTextureRotation,
+ *   screenTextureScaleX, screenTextureScaleY}, or null without a readable screen mesh
+ */
+export function detectScreenLayout(buffer, preferredName) {
+  const { json, bin } = parseGlb(buffer);
+  const compressed = (json.extensionsUsed ?? []).filter((name) => COMPRESSION_EXTENSIONS.includes(name));
+  if (compressed.length > 0) {
+    throw new Error(`Compressed geometry (${compressed.join(", ")}) isn't supported`);
+  }
+
+  const materials = json.materials ?? [];
+  const material = findScreenMaterial(materials, preferredName ?? null);
+  if (!material) {
+    return null;
+  }
+  const materialIndex = materials.indexOf(material);
+  const textureInfo = material.emissiveTexture ?? material.pbrMetallicRoughness?.baseColorTexture;
+  const texCoord = `TEXCOORD_${textureInfo?.texCoord ?? 0}`;
+
+  const bounds = { sMin: Infinity, tMin: Infinity, sMax: -Infinity, tMax: -Infinity };
+  const tangent = [0, 0, 0];
+  const bitangent = [0, 0, 0];
+  const normal = [0, 0, 0];
+
+  getMeshNodes(json).forEach(({ mesh, matrix }) => {
+    json.meshes[mesh].primitives
+      .filter((primitive) => primitive.material === materialIndex)
+      .forEach((primitive) => {
+        const uvIndex = primitive.attributes?.[texCoord];
+        const positionIndex = primitive.attributes?.POSITION;
+        if (uvIndex === undefined || positionIndex === undefined) {
+          return;
+        }
+
+        const uvs = readAccessor(json, bin, uvIndex);
+        uvs.forEach(([s, t]) => {
+          bounds.sMin = Math.min(bounds.sMin, s);
+          bounds.sMax = Math.max(bounds.sMax, s);
+          bounds.tMin = Math.min(bounds.tMin, t);
+          bounds.tMax = Math.max(bounds.tMax, t);
+        });
+
+        // Triangles only; strips and fans still count toward the bounds
+        if ((primitive.mode ?? 4) !== 4) {
+          return;
+        }
+        const positions = readAccessor(json, bin, positionIndex).map((point) =>
+          transformPoint(matrix, point)
+        );
+        const indices =
+          primitive.indices !== undefined
+            ? readAccessor(json, bin, primitive.indices).map(([index]) => index)
+            : positions.map((_, index) => index);
+        // A mirroring transform flips the winding, and so the front face
+        const winding = determinant3(matrix) < 0 ? -1 : 1;
+
+        for (let index = 0; index + 2 < indices.length; index += 3) {
+          const [a, b, c] = [indices[index], indices[index + 1], indices[index + 2]];
+          accumulateTriangle(
+            [positions[a], positions[b], positions[c]],
+            [uvs[a], uvs[b], uvs[c]],
+            winding,
+            { tangent, bitangent, normal }
+          );
+        }
+      });
+  });
+
+  if (!Number.isFinite(bounds.sMin) || bounds.sMin >= bounds.sMax || bounds.tMin >= bounds.tMax) {
+    return null;
+  }
+
+  // Config V runs up the texture while glTF t runs down it
+  return {
+    materialName: material.name,
+    screenTextureUV: {
+      uMin: round(clamp01(bounds.sMin)),
+      vMin: round(clamp01(1 - bounds.tMax)),
+      uMax: round(clamp01(bounds.sMax)),
+      vMax: round(clamp01(1 - bounds.tMin)),
+    },
+    ...detectOrientation(tangent, bitangent, normal),
+  };
+}
+
+/**
+ * Fill in the screen placement a device config leaves out.
+ * The UV rectangle is used only when the config has none; the orientation
+ * fills in rotation and scale signs only alongside a detected rectangle,
+ * since hand-measured rectangles come with hand-tuned orientations.
+ * @param {Object} device - The device configuration
+ * @param {Object} layout - The layout from detectScreenLayout
+ * @returns {Object} A new device configuration
+ */
+export function applyScreenLayout(device, layout) {
+  if (!layout || device.screenTextureUV) {
+    return device;
+  }
+
+  const next = { ...device, screenTextureUV: { ...layout.screenTextureUV } };
+  next.screenMaterialName = device.screenMaterialName ?? layout.materialName;
+  ["screenTextureRotation", "screenTextureScaleX", "screenTextureScaleY"].forEach((key) => {
+    if (next[key] === undefined) {
+      next[key] = layout[key];
+    }
+  });
+  return next;
+}
+
+/**
+ * Split a GLB into its JSON and binary chunks
+ */
+function parseGlb(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error("Not a GLB file");
+  }
+
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (type === JSON_CHUNK) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, start, length)));
+    } else if (type === BIN_CHUNK && !bin) {
+      bin = new DataView(buffer, start, length);
+    }
+    offset = start + length;
+  }
+
+  if (!json) {
+    throw new Error("GLB has no JSON chunk");
+  }
+  return { json, bin };
+}
+
+/**
+ * Read an accessor into an array of tuples
+ */
+function readAccessor(json, bin, index) {
+  const accessor = json.accessors[index];
+  const component = COMPONENT_TYPES[accessor.componentType];
+  const width = TYPE_SIZES[accessor.type];
+  const bufferView = json.bufferViews?.[accessor.bufferView];
+  if (!component || !width || !bufferView || !bin || (bufferView.buffer ?? 0) !== 0) {
+    // Sparse-only accessors and external buffers aren't read
+    throw new Error(`Accessor ${index} can't be read from the GLB`);
+  }
+
+  const stride = bufferView.byteStride || component.size * width;
+  const start = (bufferView.byteOffset ?? 0) + (accessor.byteOffset ?? 0);
+  const normalize = accessor.normalized ? component.normalize : (value) => value;
+  const values = [];
+  for (let item = 0; item < accessor.count; item += 1) {
+    const tuple = [];
+    for (let part = 0; part < width; part += 1) {
+      const raw = bin[component.read](start + item * stride + part * component.size, true);
+      tuple.push(normalize(raw));
+    }
+    values.push(tuple);
+  }
+  return values;
+}
+
+/**
+ * List the scene's mesh nodes with their world matrices
+ */
+function getMeshNodes(json) {
+  const nodes = json.nodes ?? [];
+  const scene = json.scenes?.[json.scene ?? 0];
+  const roots = scene?.nodes ?? nodes.map((_, index) => index);
+  const result = [];
+
+  const visit = (index, parentMatrix) => {
+    const node = nodes[index];
+    if (!node) {
+      return;
+    }
+    const matrix = multiplyMatrices(parentMatrix, getLocalMatrix(node));
+    if (node.mesh !== undefined && json.meshes?.[node.mesh]) {
+      result.push({ mesh: node.mesh, matrix });
+    }
+    (node.children ?? []).forEach((child) => visit(child, matrix));
+  };
+  roots.forEach((index) => visit(index, IDENTITY));
+  return result;
+}
+
+/**
+ * A node's column-major local matrix, from `matrix` or translation/rotation/scale
+ */
+function getLocalMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) {
+    return node.matrix;
+  }
+  const [tx, ty, tz] = node.translation ?? [0, 0, 0];
+  const [x, y, z, w] = node.rotation ?? [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale ?? [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+}
+
+function multiplyMatrices(a, b) {
+  const result = new Array(16).fill(0);
+  for (let column = 0; column < 4; column += 1) {
+    for (let row = 0; row < 4; row += 1) {
+      for (let k = 0; k < 4; k += 1) {
+        result[column * 4 + row] += a[k * 4 + row] * b[column * 4 + k];
+      }
+    }
+  }
+  return result;
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+function determinant3(m) {
+  return (
+    m[0] * (m[5] * m[10] - m[9] * m[6]) -
+    m[4] * (m[1] * m[10] - m[9] * m[2]) +
+    m[8] * (m[1] * m[6] - m[5] * m[2])
+  );
+}
+
+/**
+ * Add one triangle's UV directions (dP/ds, dP/dt) and face normal, weighted by its UV area
+ */
+function accumulateTriangle(points, uvs, winding, totals) {
+  const edge1 = subtract(points[1], points[0]);
+  const edge2 = subtract(points[2], points[0]);
+  const [ds1, dt1] = [uvs[1][0] - uvs[0][0], uvs[1][1] - uvs[0][1]];
+  const [ds2, dt2] = [uvs[2][0] - uvs[0][0], uvs[2][1] - uvs[0][1]];
+  const area = ds1 * dt2 - ds2 * dt1;
+  if (Math.abs(area) < 1e-12) {
+    return;
+  }
+
+  // Scaling by the signed UV area leaves each direction weighted by |area|
+  const sign = Math.sign(area);
+  for (let axis = 0; axis < 3; axis += 1) {
+    totals.tangent[axis] += (edge1[axis] * dt2 - edge2[axis] * dt1) * sign;
+    totals.bitangent[axis] += (edge2[axis] * ds1 - edge1[axis] * ds2) * sign;
+  }
+  const face = cross(edge1, edge2);
+  for (let axis = 0; axis < 3; axis += 1) {
+    totals.normal[axis] += face[axis] * winding;
+  }
+}
+
+/**
+ * Choose the quarter-turn rotation and scale signs that put the artwork's
+ * top toward the model's up axis and its right side toward the viewer's right
+ */
+function detectOrientation(tangent, bitangent, normal) {
+  const fallback = { screenTextureRotation: 0, screenTextureScaleX: 1, screenTextureScaleY: 1 };
+  const front = normalize(normal);
+  if (!front || !normalize(tangent) || !normalize(bitangent)) {
+    return fallback;
+  }
+
+  // The screen's up is the model's +Y flattened onto the screen; a screen
+  // lying flat is read from its near edge, so up points away (-Z)
+  let up = subtract([0, 1, 0], scale(front, front[1]));
+  if (!normalize(up)) {
+    up = subtract([0, 0, -1], scale(front, -front[2]));
+  }
+  up = normalize(up) ?? [0, 1, 0];
+  const right = cross(up, front);
+
+  // Texture directions (s, t) for the screen's up and right
+  const upUv = solveUv(tangent, bitangent, up);
+  const rightUv = solveUv(tangent, bitangent, right);
+  if (!upUv || !rightUv) {
+    return fallback;
+  }
+  // glTF textures aren't flipped, so (s, t) runs the same way as canvas (x, y)
+  const upCanvas = snapToAxis(upUv);
+  const rightCanvas = snapToAxis(rightUv);
+
+  // The texture draws the artwork rotated, then scaled: its up (0, -1)
+  // becomes R(rotation)·(0, -scaleY) and its right R(rotation)·(scaleX, 0)
+  for (const quarter of [0, -1, 1, 2]) {
+    const angle = (quarter * Math.PI) / 2;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+    for (const [scaleX, scaleY] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+      const imageUp = [sin * scaleY, -cos * scaleY];
+      const imageRight = [cos * scaleX, sin * scaleX];
+      if (sameDirection(imageUp, upCanvas) && sameDirection(imageRight, rightCanvas)) {
+        return {
+          screenTextureRotation: angle,
+          screenTextureScaleX: scaleX,
+          screenTextureScaleY: scaleY,
+        };
+      }
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Find the texture direction (s, t) whose surface direction best matches a
+ * model-space direction: a least-squares fit over the tangent and bitangent
+ */
+function solveUv(tangent, bitangent, direction) {
+  const tt = dot(tangent, tangent);
+  const tb = dot(tangent, bitangent);
+  const bb = dot(bitangent, bitangent);
+  const det = tt * bb - tb * tb;
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+  const td = dot(tangent, direction);
+  const bd = dot(bitangent, direction);
+  return [(bb * td - tb * bd) / det, (tt * bd - tb * td) / det];
+}
+
+function snapToAxis([x, y]) {
+  return Math.abs(x) >= Math.abs(y) ? [Math.sign(x), 0] : [0, Math.sign(y)];
+}
+
+function sameDirection(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scale(vector, factor) {
+  return vector.map((value) => value * factor);
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(vector) {
+  const length = Math.hypot(...vector);
+  return length > 1e-9 ? vector.map((value) => value / length) : null;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,124 @@
+/**
+ * Undo History
+ * Keeps mockup states before and after each change for undo and redo
+ */
+
+// Steps kept before the oldest are dropped
+export const HISTORY_LIMIT = 100;
+
+// Continuous changes of the same kind (a drag, a slider) closer together than this are one step
+const COALESCE_WINDOW = 1000;
+
+/**
+ * Create an empty history
+ * @param {number} limit - Most undo steps to keep
+ * @returns {Object} The history {past, future, current, lastKey, lastTime, limit}
+ */
+export function createHistory(limit = HISTORY_LIMIT) {
+  return { past: [], future: [], current: null, lastKey: null, lastTime: 0, limit };
+}
+
+/**
+ * Record the mockup state after a change. The state before it becomes an undo
+ * step, unless nothing changed or a continuous change carries on the last one
+ * (same key, within a second). The first state recorded is the starting point.
+ * @param {Object} history - The history
+ * @param {Object} state - The state from captureMockupState
+ * @param {string} key - The kind of change, e.g. "crop" or "camera"
+ * @param {Object} options - Record options
+ * @param {boolean} options.continuous - Part of a drag or slider movement, merged
+ *   with the continuous change before it (optional)
+ * @param {number} options.time - When it happened (optional)
+ * @returns {boolean} True when the state changed
+ */
+export function recordHistoryState(history, state, key, options = {}) {
+  const { continuous = false, time = Date.now() } = options;
+  const previous = history.current;
+  history.current = state;
+  if (!previous) {
+    return false;
+  }
+  if (isSameState(previous, state)) {
+    return false;
+  }
+
+  const continues =
+    continuous && key === history.lastKey && time - history.lastTime < COALESCE_WINDOW;
+  // Only a continuous change can be carried on by the next one
+  history.lastKey = continuous ? key : null;
+  history.lastTime = time;
+  if (continues) {
+    return true;
+  }
+
+  history.past.push(previous);
+  if (history.past.length > history.limit) {
+    history.past.shift();
+  }
+  history.future = [];
+  return true;
+}
+
+/**
+ * Update the current state without adding a step, e.g. with the camera view
+ * before a drag, and end the change being coalesced
+ * @param {Object} history - The history
+ * @param {Object} changes - The state fields to replace
+ */
+export function updateHistoryState(history, changes) {
+  if (history.current) {
+    history.current = { ...history.current, ...changes };
+  }
+  history.lastKey = null;
+}
+
+/**
+ * Step back one change
+ * @param {Object} history - The history
+ * @returns {Object|null} The state to restore, or null when there's nothing to undo
+ */
+export function undoHistory(history) {
+  if (history.past.length === 0) {
+    return null;
+  }
+  history.future.push(history.current);
+  history.current = history.past.pop();
+  history.lastKey = null;
+  return history.current;
+}
+
+/**
+ * Step forward one undone change
+ * @param {Object} history - The history
+ * @returns {Object|null} The state to restore, or null when there's nothing to redo
+ */
+export function redoHistory(history) {
+  if (history.future.length === 0) {
+    return null;
+  }
+  history.past.push(history.current);
+  history.current = history.future.pop();
+  history.lastKey = null;
+  return history.current;
+}
+
+/**
+ * States are replaced, not mutated, on each change, so objects compare by reference
+ */
+function isSameState(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).every((key) =>
+    key === "camera" ? isSameCamera(a.camera, b.camera) : a[key] === b[key]
+  );
+}
+
+function isSameCamera(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return (
+    a.cameraOrbit === b.cameraOrbit &&
+    a.cameraTarget === b.cameraTarget &&
+    a.fieldOfView === b.fieldOfView
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * Screen Masks
+ * Generates a device's screen mask from its background image or a shape or corners in its config
+ */
+
+// Background pixels below this alpha count as part of the screen hole
+const HOLE_ALPHA = 128;
+
+/**
+ * Create a screen mask for a device without a _screenmask.png: from its
+ * screenShape, else its screenCorners, else traced from the background's
+ * transparent screen
+ * @param {CanvasImageSource} bgImage - The device background
+ * @param {Object} device - The device configuration
+ * @returns {HTMLCanvasElement} The mask, the size of the background
+ */
+export function createScreenMask(bgImage, device) {
+  if (device.screenShape) {
+    return createShapeMask(bgImage.width, bgImage.height, device.screenShape);
+  }
+  if (device.screenCorners) {
+    return createQuadMask(bgImage.width, bgImage.height, device.screenCorners);
+  }
+  return createMaskFromBackground(bgImage);
+}
+
+/**
+ * Draw a screen mask from a shape: a rounded rectangle with an optional
+ * notch or Dynamic Island cut out of it
+ * @param {number} width - Mask width (the background width)
+ * @param {number} height - Mask height (the background height)
+ * @param {Object} shape - The shape, in background pixels
+ * @param {number} shape.x - Left edge of the screen
+ * @param {number} shape.y - Top edge of the screen
+ * @param {number} shape.width - Screen width
+ * @param {number} shape.height - Screen height
+ * @param {number} shape.cornerRadius - Screen corner radius (optional)
+ * @param {Object} shape.cutout - {type: "notch"|"island", width, height, radius, offsetY} (optional)
+ * @returns {HTMLCanvasElement} The mask
+ */
+export function createShapeMask(width, height, shape) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#ffffff";
+  traceRoundedRect(ctx, shape.x, shape.y, shape.width, shape.height, {
+    top: shape.cornerRadius ?? 0,
+    bottom: shape.cornerRadius ?? 0,
+  });
+  ctx.fill();
+
+  const cutout = shape.cutout;
+  if (cutout) {
+    const x = shape.x + (shape.width - cutout.width) / 2;
+    const y = shape.y + (cutout.offsetY ?? 0);
+    // A notch hangs from the top edge with rounded lower corners, an island is a pill
+    const radius =
+      cutout.radius ?? (cutout.type === "island" ? cutout.height / 2 : cutout.height / 3);
+    ctx.globalCompositeOperation = "destination-out";
+    traceRoundedRect(ctx, x, y, cutout.width, cutout.height, {
+      top: cutout.type === "island" ? radius : 0,
+      bottom: radius,
+    });
+    ctx.fill();
+    ctx.globalCompositeOperation = "source-over";
+  }
+
+  return canvas;
+}
+
+/**
+ * Fill a screen mask from four corner points
+ * @param {number} width - Mask width (the background width)
+ * @param {number} height - Mask height (the background height)
+ * @param {Array} corners - [topLeft, topRight, bottomRight, bottomLeft] as [x, y] in background pixels
+ * @returns {HTMLCanvasElement} The mask
+ */
+export function createQuadMask(width, height, corners) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  corners.forEach(([x, y], index) => {
+    if (index === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.closePath();
+  ctx.fill();
+
+  return canvas;
+}
+
+/**
+ * Trace the transparent screen hole in a device background into a mask.
+ * The hole is the largest transparent area that doesn't touch the image's
+ * edges (those areas are outside the device). Opaque islands inside it,
+ * like a camera cutout, stay out of the mask, and the bezel's anti-aliased
+ * edge carries over as partial alpha.
+ * @param {CanvasImageSource} bgImage - The device background
+ * @returns {HTMLCanvasElement} The mask
+ * @throws {Error} When the background has no enclosed transparent area
+ */
+export function createMaskFromBackground(bgImage) {
+  const { width, height } = bgImage;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bgImage, 0, 0);
+  const image = ctx.getImageData(0, 0, width, height);
+  const { data } = image;
+  const alphaAt = (index) => data[index * 4 + 3];
+
+  // Label each transparent area with a flood fill and keep the largest enclosed one
+  const labels = new Int32Array(width * height);
+  const queue = new Int32Array(width * height);
+  let label = 0;
+  let tail = 0;
+  let hole = { label: 0, size: 0 };
+  const visit = (neighbor) => {
+    if (labels[neighbor] === 0 && alphaAt(neighbor) < HOLE_ALPHA) {
+      labels[neighbor] = label;
+      queue[tail] = neighbor;
+      tail += 1;
+    }
+  };
+
+  for (let start = 0; start < labels.length; start += 1) {
+    if (labels[start] !== 0 || alphaAt(start) >= HOLE_ALPHA) {
+      continue;
+    }
+
+    label += 1;
+    labels[start] = label;
+    queue[0] = start;
+    let head = 0;
+    tail = 1;
+    let touchesEdge = false;
+
+    while (head < tail) {
+      const index = queue[head];
+      head += 1;
+      const x = index % width;
+      const y = (index - x) / width;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        touchesEdge = true;
+      }
+      if (x > 0) {
+        visit(index - 1);
+      }
+      if (x < width - 1) {
+        visit(index + 1);
+      }
+      if (y > 0) {
+        visit(index - width);
+      }
+      if (y < height - 1) {
+        visit(index + width);
+      }
+    }
+
+    if (!touchesEdge && tail > hole.size) {
+      hole = { label, size: tail };
+    }
+  }
+
+  if (hole.size === 0) {
+    throw new Error("The background has no transparent screen area to trace a mask from");
+  }
+
+  const mask = ctx.createImageData(width, height);
+  const setMask = (index, alpha) => {
+    const offset = index * 4;
+    mask.data[offset] = 255;
+    mask.data[offset + 1] = 255;
+    mask.data[offset + 2] = 255;
+    mask.data[offset + 3] = Math.max(mask.data[offset + 3], alpha);
+  };
+
+  // Soften into the partly transparent pixels along the bezel
+  const soften = (neighbor) => {
+    if (labels[neighbor] !== hole.label) {
+      setMask(neighbor, 255 - alphaAt(neighbor));
+    }
+  };
+
+  for (let index = 0; index < labels.length; index += 1) {
+    if (labels[index] !== hole.label) {
+      continue;
+    }
+    setMask(index, 255);
+
+    const x = index % width;
+    if (x > 0) {
+      soften(index - 1);
+    }
+    if (x < width - 1) {
+      soften(index + 1);
+    }
+    if (index >= width) {
+      soften(index - width);
+    }
+    if (index + width < labels.length) {
+      soften(index + width);
+    }
+  }
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.putImageData(mask, 0, 0);
+  return canvas;
+}
+
+/**
+ * Trace a rectangle with separate radii for its top and bottom corners
+ */
+function traceRoundedRect(ctx, x, y, width, height, { top, bottom }) {
+  const limit = Math.min(width, height) / 2;
+  const topRadius = Math.max(0, Math.min(top, limit));
+  const bottomRadius = Math.max(0, Math.min(bottom, limit));
+
+  ctx.beginPath();
+  ctx.moveTo(x + topRadius, y);
+  ctx.lineTo(x + width - topRadius, y);
+  ctx.arcTo(x + width, y, x + width, y + topRadius, topRadius);
+  ctx.lineTo(x + width, y + height - bottomRadius);
+  ctx.arcTo(x + width, y + height, x + width - bottomRadius, y + height, bottomRadius);
+  ctx.lineTo(x + bottomRadius, y + height);
+  ctx.arcTo(x, y + height, x, y + height - bottomRadius, bottomRadius);
+  ctx.lineTo(x, y + topRadius);
+  ctx.arcTo(x, y, x + topRadius, y, topRadius);
+  ctx.closePath();
+}
@@ -6,17 +6,18 @@
 /**
  * Find the screen material in a model's materials list
  * @param {Array} materials - Array of materials from the model
+ * @param {string} preferredName - Known screen material name (defaults to the active device's)
  * @returns {Object|null} The screen material or null if not found
  */
-export function findScreenMaterial(materials) {
+export function findScreenMaterial(materials, preferredName = window.activeDevice?.screenMaterialName) {
   if (!materials?.length) {
     return null;
   }
 
   // Check if we have a cached screen material name
-  if (window.activeDevice?.screenMaterialName) {
+  if (preferredName) {
     const cached = materials.find(
-      (mat) => mat.name === window.activeDevice.screenMaterialName
+      (mat) => mat.name === preferredName
     );
     if (cached) {
       return cached;
@@ -58,6 +59,48 @@ export function findScreenMaterial(materials) {
   return bestMaterial ?? materials[0] ?? null;
 }
 
+/**
+ * Get the named finishes (colorways) a device offers
+ * @param {Object} device - The device configuration
+ * @returns {Array} The finishes [{id, name, swatch, bodyMaterials}, ...]
+ */
+export function getDeviceFinishes(device) {
+  return Array.isArray(device?.finishes) ? device.finishes : [];
+}
+
+/**
+ * Get the body materials for one of a device's finishes.
+ * A finish's materials replace the device's bodyMaterials by name, so
+ * materials it leaves out (like hidden parts) keep their defaults.
+ * @param {Object} device - The device configuration
+ * @param {string} finishId - The finish id; unknown ids give the default materials
+ * @returns {Array} The body material descriptors
+ */
+export function getFinishMaterials(device, finishId) {
+  const base = device?.bodyMaterials ?? [];
+  const finish = getDeviceFinishes(device).find((item) => item.id === finishId);
+  if (!finish?.bodyMaterials) {
+    return base.map((descriptor) => ({ ...descriptor }));
+  }
+
+  const overrides = new Map(
+    finish.bodyMaterials.map((descriptor) => [descriptor.name.toLowerCase(), descriptor])
+  );
+  const materials = base.map((descriptor) => ({
+    ...descriptor,
+    ...overrides.get(descriptor.name?.toLowerCase()),
+  }));
+
+  // Materials only the finish lists are tinted too
+  const baseNames = new Set(base.map((descriptor) => descriptor.name?.toLowerCase()));
+  finish.bodyMaterials.forEach((descriptor) => {
+    if (!baseNames.has(descriptor.name.toLowerCase())) {
+      materials.push({ ...descriptor });
+    }
+  });
+  return materials;
+}
+
 /**
  * Apply color tints to body materials
  * @param {Object} modelViewer - The model-viewer element
@@ -73,7 +116,8 @@ export async function applyBodyMaterialTint(modelViewer, activeDevice) {
   }
 
   const getSolidTexture = async (color) => {
-    const key = color.join(",");
+    // Textures belong to the viewer that created them
+    const key = `${modelViewer.id}:${color.join(",")}`;
     if (window.solidTextureCache.has(key)) {
       return window.solidTextureCache.get(key);
     }
@@ -0,0 +1,240 @@
+/**
+ * Animated Media
+ * Plays videos and animated GIFs into a canvas that the renderers treat like a still image
+ */
+
+/**
+ * Check whether a file may be animated screen content
+ * @param {File} file - The file to check
+ * @returns {boolean} True for videos and GIFs
+ */
+export function isAnimatedMediaFile(file) {
+  return Boolean(file?.type.startsWith("video/") || file?.type === "image/gif");
+}
+
+/**
+ * Create a player for a video or animated GIF.
+ * The player draws the current frame into `player.canvas` and calls
+ * `player.onframe(player)` whenever that frame changes.
+ * @param {File} file - The video or GIF file
+ * @returns {Promise<Object|null>} The player, or null when the file is a still
+ *   (a single-frame GIF, or GIF decoding is unsupported)
+ *   {canvas, duration, currentTime, paused, onframe, play(), pause(), seek(time), dispose()}
+ */
+export async function createMediaPlayer(file) {
+  if (file.type.startsWith("video/")) {
+    return createVideoPlayer(file);
+  }
+  if (file.type === "image/gif" && typeof ImageDecoder !== "undefined") {
+    return createGifPlayer(file);
+  }
+  return null;
+}
+
+/**
+ * Format a playback time for display
+ * @param {number} seconds - The time in seconds
+ * @returns {string} e.g. "0:07.4"
+ */
+export function formatMediaTime(seconds) {
+  const value = Math.max(0, Number.isFinite(seconds) ? seconds : 0);
+  const minutes = Math.floor(value / 60);
+  const rest = (value - minutes * 60).toFixed(1).padStart(4, "0");
+  return `${minutes}:${rest}`;
+}
+
+async function createVideoPlayer(file) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = url;
+
+  try {
+    await waitForEvent(video, "loadeddata");
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw new Error(`Failed to load ${file.name}`);
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const ctx = canvas.getContext("2d");
+  let frameRequest = null;
+
+  const player = {
+    canvas,
+    // Recordings without duration metadata report Infinity until fully read
+    duration: Number.isFinite(video.duration) ? video.duration : 0,
+    onframe: null,
+    get currentTime() {
+      return video.currentTime;
+    },
+    get paused() {
+      return video.paused;
+    },
+    play() {
+      return video.play().then(tick);
+    },
+    pause() {
+      video.pause();
+      cancelAnimationFrame(frameRequest);
+      draw();
+    },
+    async seek(time) {
+      video.currentTime = clamp(time, 0, player.duration || 0);
+      await waitForEvent(video, "seeked");
+      draw();
+    },
+    dispose() {
+      video.pause();
+      cancelAnimationFrame(frameRequest);
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    },
+  };
+
+  const draw = () => {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    player.onframe?.(player);
+  };
+
+  const tick = () => {
+    cancelAnimationFrame(frameRequest);
+    if (video.paused) {
+      return;
+    }
+    draw();
+    frameRequest = requestAnimationFrame(tick);
+  };
+
+  video.addEventListener("durationchange", () => {
+    if (Number.isFinite(video.duration)) {
+      player.duration = video.duration;
+    }
+  });
+
+  draw();
+  return player;
+}
+
+async function createGifPlayer(file) {
+  const decoder = new ImageDecoder({ data: await file.arrayBuffer(), type: file.type });
+  await decoder.tracks.ready;
+  await decoder.completed;
+
+  const frameCount = decoder.tracks.selectedTrack?.frameCount ?? 0;
+  if (frameCount < 2) {
+    decoder.close();
+    return null;
+  }
+
+  // Decode every frame up front; GIF delays come back in microseconds
+  const frames = [];
+  let duration = 0;
+  for (let frameIndex = 0; frameIndex < frameCount; frameIndex += 1) {
+    const { image } = await decoder.decode({ frameIndex });
+    const frameDuration = (image.duration || 100000) / 1e6;
+    frames.push({ bitmap: await createImageBitmap(image), start: duration });
+    duration += frameDuration;
+    image.close();
+  }
+  decoder.close();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = frames[0].bitmap.width;
+  canvas.height = frames[0].bitmap.height;
+  const ctx = canvas.getContext("2d");
+
+  let time = 0;
+  let playing = false;
+  let lastTick = null;
+  let frameRequest = null;
+  let shownFrame = null;
+
+  const player = {
+    canvas,
+    duration,
+    onframe: null,
+    get currentTime() {
+      return time;
+    },
+    get paused() {
+      return !playing;
+    },
+    play() {
+      if (!playing) {
+        playing = true;
+        lastTick = null;
+        frameRequest = requestAnimationFrame(tick);
+      }
+      return Promise.resolve();
+    },
+    pause() {
+      playing = false;
+      cancelAnimationFrame(frameRequest);
+    },
+    async seek(value) {
+      time = clamp(value, 0, duration);
+      draw();
+    },
+    dispose() {
+      player.pause();
+      frames.forEach((frame) => frame.bitmap.close());
+    },
+  };
+
+  const draw = () => {
+    let current = frames[0];
+    for (const frame of frames) {
+      if (frame.start <= time) {
+        current = frame;
+      }
+    }
+    if (current === shownFrame) {
+      return;
+    }
+    shownFrame = current;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(current.bitmap, 0, 0);
+    player.onframe?.(player);
+  };
+
+  const tick = (now) => {
+    if (!playing) {
+      return;
+    }
+    if (lastTick !== null) {
+      time = (time + (now - lastTick) / 1000) % duration;
+    }
+    lastTick = now;
+    draw();
+    frameRequest = requestAnimationFrame(tick);
+  };
+
+  draw();
+  return player;
+}
+
+function waitForEvent(target, type) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      target.removeEventListener("error", onError);
+      resolve();
+    };
+    const onError = () => {
+      target.removeEventListener(type, onEvent);
+      reject(new Error(`Media error while waiting for ${type}`));
+    };
+    target.addEventListener(type, onEvent, { once: true });
+    target.addEventListener("error", onError, { once: true });
+  });
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,207 @@
+/**
+ * Perspective Warping
+ * Projective transforms and quad-mapped image drawing for the 2D canvas
+ */
+
+/**
+ * Solve the homography that maps four source points onto four destination points
+ * @param {Array} from - Source points [[x, y], ...] (4 entries)
+ * @param {Array} to - Destination points [[x, y], ...] (4 entries)
+ * @returns {Array|null} The 3x3 matrix as 9 row-major values, or null when degenerate
+ */
+export function computeHomography(from, to) {
+  const rows = [];
+  const values = [];
+
+  for (let i = 0; i < 4; i += 1) {
+    const [x, y] = from[i];
+    const [u, v] = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    values.push(u);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    values.push(v);
+  }
+
+  const solution = solveLinearSystem(rows, values);
+  return solution ? [...solution, 1] : null;
+}
+
+/**
+ * Apply a homography to a point
+ * @param {Array} matrix - The 3x3 matrix as 9 row-major values
+ * @param {number} x - Source x
+ * @param {number} y - Source y
+ * @returns {Array} The projected point [x, y]
+ */
+export function projectPoint(matrix, x, y) {
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return [
+    (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    (matrix[3] * x + matrix[4] * y + matrix[5]) / w,
+  ];
+}
+
+/**
+ * Estimate the flat size of a quad from the average length of its opposite edges
+ * @param {Array} quad - Corners [topLeft, topRight, bottomRight, bottomLeft] as [x, y]
+ * @returns {Object} The size {width, height}, rounded to whole pixels
+ */
+export function getQuadSize(quad) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const length = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+  return {
+    width: Math.max(1, Math.round((length(topLeft, topRight) + length(bottomLeft, bottomRight)) / 2)),
+    height: Math.max(1, Math.round((length(topLeft, bottomLeft) + length(topRight, bottomRight)) / 2)),
+  };
+}
+
+/**
+ * Draw an image warped into an arbitrary quad.
+ * The quad is split into a grid of triangles that are each drawn with an
+ * affine transform, which approximates the projective warp closely at the
+ * default subdivision.
+ * @param {CanvasRenderingContext2D} ctx - The target context
+ * @param {CanvasImageSource} image - The image to warp
+ * @param {Array} quad - Destination corners [topLeft, topRight, bottomRight, bottomLeft] as [x, y]
+ * @param {Object} options - Drawing options
+ * @param {number} options.subdivisions - Grid cells per side (defaults to 16)
+ */
+export function drawImageToQuad(ctx, image, quad, options = {}) {
+  const width = image.width;
+  const height = image.height;
+  if (!width || !height) {
+    return;
+  }
+
+  const matrix = computeHomography(
+    [
+      [0, 0],
+      [width, 0],
+      [width, height],
+      [0, height],
+    ],
+    quad
+  );
+  if (!matrix) {
+    return;
+  }
+
+  // A parallelogram needs no subdivision, its warp is exactly affine
+  const subdivisions = isParallelogram(quad)
+    ? 1
+    : Math.max(1, Math.round(options.subdivisions ?? 16));
+
+  const grid = [];
+  for (let row = 0; row <= subdivisions; row += 1) {
+    const line = [];
+    for (let column = 0; column <= subdivisions; column += 1) {
+      const sx = (column / subdivisions) * width;
+      const sy = (row / subdivisions) * height;
+      line.push({ source: [sx, sy], target: projectPoint(matrix, sx, sy) });
+    }
+    grid.push(line);
+  }
+
+  for (let row = 0; row < subdivisions; row += 1) {
+    for (let column = 0; column < subdivisions; column += 1) {
+      const topLeft = grid[row][column];
+      const topRight = grid[row][column + 1];
+      const bottomLeft = grid[row + 1][column];
+      const bottomRight = grid[row + 1][column + 1];
+
+      drawTriangle(ctx, image, topLeft, topRight, bottomRight);
+      drawTriangle(ctx, image, topLeft, bottomRight, bottomLeft);
+    }
+  }
+}
+
+/**
+ * Draw one triangle of the source image with an affine transform
+ */
+function drawTriangle(ctx, image, p0, p1, p2) {
+  const [sx0, sy0] = p0.source;
+  const [sx1, sy1] = p1.source;
+  const [sx2, sy2] = p2.source;
+  const [dx0, dy0] = p0.target;
+  const [dx1, dy1] = p1.target;
+  const [dx2, dy2] = p2.target;
+
+  const denom = (sx1 - sx0) * (sy2 - sy0) - (sx2 - sx0) * (sy1 - sy0);
+  if (Math.abs(denom) < 1e-9) {
+    return;
+  }
+
+  const a = ((dx1 - dx0) * (sy2 - sy0) - (dx2 - dx0) * (sy1 - sy0)) / denom;
+  const b = ((dy1 - dy0) * (sy2 - sy0) - (dy2 - dy0) * (sy1 - sy0)) / denom;
+  const c = ((dx2 - dx0) * (sx1 - sx0) - (dx1 - dx0) * (sx2 - sx0)) / denom;
+  const d = ((dy2 - dy0) * (sx1 - sx0) - (dy1 - dy0) * (sx2 - sx0)) / denom;
+  const e = dx0 - a * sx0 - c * sy0;
+  const f = dy0 - b * sx0 - d * sy0;
+
+  // Grow the clip slightly so neighbouring triangles overlap and hide seams
+  const centerX = (dx0 + dx1 + dx2) / 3;
+  const centerY = (dy0 + dy1 + dy2) / 3;
+  const grow = (x, y) => {
+    const length = Math.hypot(x - centerX, y - centerY) || 1;
+    return [x + ((x - centerX) / length) * 0.6, y + ((y - centerY) / length) * 0.6];
+  };
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(...grow(dx0, dy0));
+  ctx.lineTo(...grow(dx1, dy1));
+  ctx.lineTo(...grow(dx2, dy2));
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, e, f);
+  ctx.drawImage(image, 0, 0);
+  ctx.restore();
+}
+
+function isParallelogram(quad) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const epsilon = 1e-6;
+  return (
+    Math.abs(topRight[0] - topLeft[0] - (bottomRight[0] - bottomLeft[0])) < epsilon &&
+    Math.abs(topRight[1] - topLeft[1] - (bottomRight[1] - bottomLeft[1])) < epsilon
+  );
+}
+
+/**
+ * Solve a square linear system with Gaussian elimination and partial pivoting
+ */
+function solveLinearSystem(rows, values) {
+  const size = rows.length;
+  const matrix = rows.map((row, index) => [...row, values[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+    for (let row = column + 1; row < size; row += 1) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k <= size; k += 1) {
+        matrix[row][k] -= factor * matrix[column][k];
+      }
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row -= 1) {
+    let sum = matrix[row][size];
+    for (let k = row + 1; k < size; k += 1) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+
+  return solution;
+}
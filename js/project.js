@@ -0,0 +1,184 @@
+/**
+ * Project Files
+ * Saves a mockup (device, view, artwork, crop, colors, camera) as one .mockit file and reads it back
+ */
+
+import { createArtworkCrop, createArtworkFit } from './artwork.js';
+import { createComposition } from './composition.js';
+import { createEffects } from './effects.js';
+import { createStatusBar } from './statusbar.js';
+
+export const PROJECT_EXTENSION = ".mockit";
+export const PROJECT_MIME_TYPE = "application/vnd.mockit+json";
+
+const PROJECT_FORMAT = "mockit-project";
+const PROJECT_VERSION = 1;
+
+/**
+ * Check whether a file is a saved project
+ * @param {File} file - The file
+ * @returns {boolean} True for a .mockit file
+ */
+export function isProjectFile(file) {
+  return Boolean(file?.name?.toLowerCase().endsWith(PROJECT_EXTENSION));
+}
+
+/**
+ * Write a mockup state to a project file. The artwork and a background
+ * image are embedded as data URLs, so the file stands on its own.
+ * @param {Object} state - The mockup state
+ * @param {string} state.deviceId - The device id
+ * @param {string} state.viewMode - "2d" or "3d"
+ * @param {Blob} state.artwork - The source image or video file (optional)
+ * @param {Object} state.crop - Artwork pan and zoom
+ * @param {Object} state.fit - Artwork fit mode
+ * @param {Object} state.composition - Background, padding and output size
+ * @param {Object} state.effects - Shadow, reflection and tilt
+ * @param {Object} state.statusBar - Status bar overlay
+ * @param {string} state.finishId - The chosen finish (optional)
+ * @param {Array} state.bodyMaterials - Custom body colors (optional)
+ * @param {Object} state.camera - The camera view {cameraOrbit, cameraTarget, fieldOfView} (optional)
+ * @returns {Promise<Blob>} The project file contents
+ */
+export async function createProjectFile(state) {
+  const background = state.composition?.background;
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    deviceId: state.deviceId,
+    viewMode: state.viewMode,
+    artwork: state.artwork
+      ? {
+          name: state.artwork.name ?? "artwork",
+          type: state.artwork.type,
+          data: await blobToDataURL(state.artwork),
+        }
+      : null,
+    crop: state.crop,
+    fit: state.fit,
+    composition: {
+      ...state.composition,
+      background: { ...background, image: background?.image ? imageToDataURL(background.image) : null },
+    },
+    effects: state.effects,
+    statusBar: state.statusBar,
+    finishId: state.finishId ?? null,
+    bodyMaterials: state.bodyMaterials ?? null,
+    camera: state.camera ?? null,
+  };
+
+  return new Blob([JSON.stringify(project)], { type: PROJECT_MIME_TYPE });
+}
+
+/**
+ * Read a project file back into a mockup state (see createProjectFile).
+ * Settings the file leaves out get their defaults.
+ * @param {Blob} file - The .mockit file
+ * @returns {Promise<Object>} The state, with the artwork as a File and the
+ *   background image loaded
+ * @throws {Error} When the file isn't a project this version can open
+ */
+export async function readProjectFile(file) {
+  let project;
+  try {
+    project = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`${file.name ?? "The file"} is not a Mockit project`);
+  }
+  if (project?.format !== PROJECT_FORMAT) {
+    throw new Error(`${file.name ?? "The file"} is not a Mockit project`);
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`${file.name ?? "The project"} was saved by a newer version of the app`);
+  }
+  if (typeof project.deviceId !== "string") {
+    throw new Error("The project doesn't name a device");
+  }
+
+  const defaults = createComposition();
+  const composition = { ...defaults, ...project.composition };
+  composition.background = { ...defaults.background, ...project.composition?.background };
+  if (typeof composition.background.image === "string") {
+    composition.background.image = await loadImage(composition.background.image);
+  } else {
+    composition.background.image = null;
+  }
+  if (composition.background.type === "image" && !composition.background.image) {
+    composition.background.type = "none";
+  }
+
+  const effects = createEffects();
+  Object.keys(effects).forEach((key) => {
+    effects[key] = { ...effects[key], ...project.effects?.[key] };
+  });
+
+  return {
+    deviceId: project.deviceId,
+    viewMode: project.viewMode === "3d" ? "3d" : "2d",
+    artwork: project.artwork?.data ? await dataURLToFile(project.artwork) : null,
+    crop: { ...createArtworkCrop(), ...project.crop },
+    fit: { ...createArtworkFit(), ...project.fit },
+    composition,
+    effects,
+    statusBar: { ...createStatusBar(), ...project.statusBar },
+    finishId: project.finishId ?? null,
+    bodyMaterials: Array.isArray(project.bodyMaterials) ? project.bodyMaterials : null,
+    camera: project.camera ?? null,
+  };
+}
+
+/**
+ * Build a file name for a project from the device and the date
+ * @param {Object} device - The device configuration (optional)
+ * @returns {string} e.g. "iphone-17-pro-2026-10-18.mockit"
+ */
+export function getProjectFileName(device) {
+  const prefix = device?.assetPrefix || slugify(device?.name ?? "") || "mockup";
+  const date = new Date().toISOString().slice(0, 10);
+  return `${prefix}-${date}${PROJECT_EXTENSION}`;
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => resolve(reader.result));
+    reader.addEventListener("error", () => reject(reader.error));
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function dataURLToFile({ name, type, data }) {
+  const blob = await (await fetch(data)).blob();
+  return new File([blob], name ?? "artwork", { type: type || blob.type });
+}
+
+/**
+ * Encode an image as a data URL, reusing its source when it already is one
+ */
+function imageToDataURL(image) {
+  if (typeof image.src === "string" && image.src.startsWith("data:")) {
+    return image.src;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  return canvas.toDataURL("image/png");
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener("load", () => resolve(image), { once: true });
+    image.addEventListener("error", () => reject(new Error("The project's background image is damaged")), { once: true });
+    image.src = src;
+  });
+}
@@ -0,0 +1,204 @@
+/**
+ * Video Recorder
+ * Renders mockup animations frame by frame and encodes them to WebM with MediaRecorder
+ */
+
+export const RECORDING_RESOLUTIONS = [720, 1080, 1440, 2160];
+export const RECORDING_FRAME_RATES = [24, 30, 60];
+export const MAX_RECORDING_DURATION = 30;
+
+// Turntable speed when the recording isn't locked to one full rotation
+const TURNTABLE_DEGREES_PER_SECOND = 30;
+
+const WEBM_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+/**
+ * Create the default recording settings
+ * - camera: "turntable" spins the 3D model, "fixed" keeps the current camera
+ * - resolution: output height in pixels, the width follows the view's aspect
+ * - loopRotation: make the turntable turn exactly once over the duration
+ * - background: color behind transparent areas (WebM has no alpha here)
+ * @returns {Object} The recording settings
+ */
+export function createRecordingSettings() {
+  return {
+    camera: "turntable",
+    duration: 6,
+    fps: 30,
+    resolution: 1080,
+    loopRotation: true,
+    background: "#ffffff",
+  };
+}
+
+/**
+ * Get the WebM type this browser can record
+ * @returns {string|null} The MIME type with codecs, or null when recording is unsupported
+ */
+export function getRecordingMimeType() {
+  if (
+    typeof MediaRecorder === "undefined" ||
+    typeof HTMLCanvasElement.prototype.captureStream !== "function"
+  ) {
+    return null;
+  }
+  return WEBM_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Compute the recording size for a view
+ * @param {number} baseWidth - Width of the view
+ * @param {number} baseHeight - Height of the view
+ * @param {number} resolution - Output height in pixels
+ * @returns {Object} The size {width, height}, rounded to even numbers for the encoder
+ */
+export function getRecordingSize(baseWidth, baseHeight, resolution) {
+  const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return {
+    width: toEven((baseWidth / baseHeight) * resolution),
+    height: toEven(resolution),
+  };
+}
+
+/**
+ * Compute the camera orbit for a turntable frame
+ * @param {Object} start - The orbit when recording started {theta, phi, radius} (radians, meters)
+ * @param {number} time - The frame time in seconds
+ * @param {number} progress - The frame's position in the recording, from 0 (inclusive) to 1 (exclusive)
+ * @param {Object} settings - The recording settings
+ * @returns {string} A model-viewer camera-orbit value
+ */
+export function getTurntableOrbit(start, time, progress, settings) {
+  const turn = settings.loopRotation ? progress * 360 : time * TURNTABLE_DEGREES_PER_SECOND;
+  const theta = (start.theta * 180) / Math.PI + turn;
+  return `${theta}deg ${start.phi}rad ${start.radius}m`;
+}
+
+/**
+ * Capture the 3D viewer's next rendered frame
+ * @param {Object} modelViewer - The model-viewer element
+ * @returns {Promise<ImageBitmap>} The frame
+ */
+export async function captureViewerFrame(modelViewer) {
+  await new Promise((resolve) => requestAnimationFrame(resolve));
+  const blob = await modelViewer.toBlob({ idealAspect: false, mimeType: "image/png" });
+  return createImageBitmap(blob);
+}
+
+/**
+ * Record an animation to WebM.
+ * Frames are rendered first, as slowly as they need, and then played back
+ * in real time into MediaRecorder so the video keeps its exact duration and
+ * frame rate even when a frame takes longer than 1/fps to render.
+ * @param {Object} options - Recording options
+ * @param {number} options.width - Output width
+ * @param {number} options.height - Output height
+ * @param {number} options.duration - Length in seconds
+ * @param {number} options.fps - Frames per second
+ * @param {string} options.background - Fill color behind each frame
+ * @param {Function} options.renderFrame - Draws one frame: (ctx, time, progress) => Promise
+ * @param {AbortSignal} options.signal - Cancels the recording (optional)
+ * @param {Function} options.onProgress - Called with (phase, fraction), phase is "render" or "encode" (optional)
+ * @returns {Promise<Blob>} The WebM video
+ */
+export async function recordAnimation(options) {
+  const { width, height, duration, fps, background, renderFrame, signal, onProgress } = options;
+  const mimeType = getRecordingMimeType();
+  if (!mimeType) {
+    throw new Error("This browser can't record WebM video");
+  }
+
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  // Render every frame and keep it compressed to bound memory use
+  const frames = [];
+  for (let index = 0; index < frameCount; index += 1) {
+    throwIfAborted(signal);
+    ctx.fillStyle = background || "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    await renderFrame(ctx, index / fps, index / frameCount);
+    frames.push(await canvasToJpeg(canvas));
+    onProgress?.("render", (index + 1) / frameCount);
+  }
+
+  return encodeFrames(frames, { width, height, fps, mimeType, signal, onProgress });
+}
+
+/**
+ * Play rendered frames into a canvas stream at the frame rate and record it
+ */
+async function encodeFrames(frames, { width, height, fps, mimeType, signal, onProgress }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(width * height * fps * 0.2),
+  });
+  const chunks = [];
+  recorder.addEventListener("dataavailable", (event) => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  });
+  const stopped = new Promise((resolve) => recorder.addEventListener("stop", resolve, { once: true }));
+
+  // Draw the first frame before starting so the video doesn't open on a blank canvas
+  let bitmap = await createImageBitmap(frames[0]);
+  ctx.drawImage(bitmap, 0, 0);
+  recorder.start();
+  const start = performance.now();
+
+  try {
+    for (let index = 0; index < frames.length; index += 1) {
+      throwIfAborted(signal);
+      const next = index + 1 < frames.length ? createImageBitmap(frames[index + 1]) : null;
+
+      ctx.drawImage(bitmap, 0, 0);
+      track.requestFrame();
+      bitmap.close();
+      onProgress?.("encode", (index + 1) / frames.length);
+
+      // Hold each frame until the next one is due
+      await waitUntil(start + ((index + 1) * 1000) / fps);
+      if (next) {
+        bitmap = await next;
+      }
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach((streamTrack) => streamTrack.stop());
+  }
+
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+function canvasToJpeg(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Failed to store video frame"))),
+      "image/jpeg",
+      0.95
+    );
+  });
+}
+
+function waitUntil(time) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, Math.max(0, time - performance.now()));
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException("Recording cancelled", "AbortError");
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Device Registry
+ * The built-in library plus devices from devices/manifest.json and files dropped in this session
+ */
+
+import { DEVICE_LIBRARY } from './devices.js';
+import { checkDeviceAssets, findDuplicateKeys, validateDevice } from './schema.js';
+
+export const DEVICE_MANIFEST_URL = "devices/manifest.json";
+
+// Screen size assumed for a dropped model that comes without a config
+const DEFAULT_SCREEN_SIZE = { width: 1920, height: 1080 };
+
+const devices = [...DEVICE_LIBRARY];
+
+/**
+ * Get every registered device, in menu order
+ * @returns {Array} The device configurations
+ */
+export function getDevices() {
+  return devices;
+}
+
+/**
+ * Add a device, replacing any registered device with the same id
+ * @param {Object} device - The device configuration
+ * @returns {Object} The registered device
+ */
+export function registerDevice(device) {
+  const index = devices.findIndex((item) => item.id === device.id);
+  if (index >= 0) {
+    devices[index] = device;
+  } else {
+    devices.push(device);
+  }
+  return device;
+}
+
+/**
+ * Check whether a validation result allows the device to be used
+ * @param {Array} issues - The device's issues
+ * @returns {boolean} True when there are no errors (warnings are allowed)
+ */
+export function isDeviceUsable(issues) {
+  return !issues.some((item) => item.severity === "error");
+}
+
+/**
+ * Load the devices listed in a manifest and register the valid ones.
+ * Entries are device configs or URLs of config files, relative to the manifest.
+ * A missing manifest (or a page opened from disk) just adds nothing.
+ * @param {string} url - The manifest URL
+ * @returns {Promise<Array>} The results [{device, issues, usable}, ...]
+ */
+export async function loadDeviceManifest(url = DEVICE_MANIFEST_URL) {
+  let manifest;
+  let duplicateKeys;
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) {
+      return [];
+    }
+    const text = await response.text();
+    duplicateKeys = findDuplicateKeys(text);
+    manifest = JSON.parse(text);
+  } catch (error) {
+    console.warn(`Could not load device manifest ${url}`, error);
+    return [];
+  }
+
+  const baseUrl = new URL(url, document.baseURI);
+  const results = [];
+  for (const entry of getManifestEntries(manifest)) {
+    let config = entry;
+    let issues = typeof entry === "string" ? [] : duplicateKeys;
+
+    if (typeof entry === "string") {
+      try {
+        const response = await fetch(new URL(entry, baseUrl));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const text = await response.text();
+        issues = findDuplicateKeys(text);
+        config = JSON.parse(text);
+      } catch (error) {
+        results.push({
+          device: { id: entry, name: entry },
+          issues: [{ severity: "error", path: "", message: `Could not load ${entry}: ${error.message}` }],
+          usable: false,
+        });
+        continue;
+      }
+    }
+
+    const result = await inspectDevice({ ...config, source: "manifest" }, issues);
+    if (result.usable) {
+      registerDevice(result.device);
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Check whether dropped files describe a device rather than artwork:
+ * a GLB model, a JSON config, or a `_bg.png` together with its `_screenmask.png`.
+ * A `_bg.png` on its own may just be artwork; see isDeviceBackground.
+ * @param {FileList|Array} files - The dropped files
+ * @returns {boolean} True for a device pack
+ */
+export function isDevicePack(files) {
+  const list = Array.from(files ?? []);
+  return (
+    list.some((file) => isModelFile(file) || isConfigFile(file)) ||
+    (list.some(isBackgroundFile) && list.some(isScreenMaskFile))
+  );
+}
+
+/**
+ * Check whether a file is named like a device background (`_bg.png` or `_bg.webp`)
+ * @param {File} file - The file
+ * @returns {boolean} True when it could be a device background
+ */
+export function isDeviceBackground(file) {
+  return isBackgroundFile(file);
+}
+
+/**
+ * Build and validate session devices from dropped files.
+ * A JSON file may hold one device config or a manifest of them; asset paths
+ * in a config that name a dropped file are pointed at that file. Without a
+ * config, the dropped model or background becomes a device named after the file;
+ * a background without a mask gets one traced from its transparent screen.
+ * @param {FileList|Array} files - The dropped files
+ * @returns {Promise<Array>} The results [{device, issues, usable}, ...];
+ *   the caller registers the usable ones
+ */
+export async function readDevicePack(files) {
+  const list = Array.from(files ?? []);
+  const model = list.find(isModelFile);
+  const background = list.find(isBackgroundFile);
+  const screenMask = list.find(isScreenMaskFile);
+
+  const objectUrls = new Map();
+  const toUrl = (file) => {
+    if (!objectUrls.has(file)) {
+      objectUrls.set(file, URL.createObjectURL(file));
+    }
+    return objectUrls.get(file);
+  };
+  const droppedFiles = new Map(list.map((file) => [file.name.toLowerCase(), file]));
+  const resolvePath = (path) => {
+    if (typeof path !== "string") {
+      return undefined;
+    }
+    const file = droppedFiles.get(path.split("/").pop().toLowerCase());
+    return file ? toUrl(file) : path;
+  };
+
+  const configs = [];
+  const configIssues = new Map();
+  for (const file of list.filter(isConfigFile)) {
+    const text = await file.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+    }
+    const duplicateKeys = findDuplicateKeys(text);
+    getManifestEntries(parsed)
+      .filter((entry) => entry && typeof entry === "object")
+      .forEach((entry) => {
+        configs.push(entry);
+        configIssues.set(entry, duplicateKeys);
+      });
+  }
+
+  if (configs.length === 0) {
+    if (!model && !background) {
+      throw new Error("Drop a .glb model, a _bg.png (and optionally its _screenmask.png), or a device .json config");
+    }
+    configs.push({});
+  }
+
+  // Dropped files without a matching path belong to the device when there is only one
+  const single = configs.length === 1;
+  const fileName = (model ?? background)?.name.replace(/(_bg)?\.[^.]+$/i, "");
+
+  const devices = configs.map((config) => {
+    const device = { ...config, source: "session" };
+    device.modelPath =
+      resolvePath(config.modelPath) ?? (single && model ? toUrl(model) : undefined);
+    device.backgroundPath =
+      resolvePath(config.backgroundPath) ?? (single && background ? toUrl(background) : undefined);
+    device.screenMaskPath =
+      resolvePath(config.screenMaskPath) ?? (single && screenMask ? toUrl(screenMask) : undefined);
+
+    device.name = config.name ?? (single ? fileName : undefined) ?? "Custom device";
+    device.id = config.id ?? `session-${slugify(device.name) || "device"}`;
+    device.assetPrefix = config.assetPrefix ?? slugify(device.name);
+    device.chromeOffset = config.chromeOffset ?? 0;
+
+    if (config.has2DAssets === undefined && !config.folder) {
+      device.has2DAssets = Boolean(device.backgroundPath);
+    }
+    if (device.has2DAssets === false && !device.screenWidth && !device.screenHeight) {
+      device.screenWidth = DEFAULT_SCREEN_SIZE.width;
+      device.screenHeight = DEFAULT_SCREEN_SIZE.height;
+    }
+
+    Object.keys(device).forEach((key) => device[key] === undefined && delete device[key]);
+    return device;
+  });
+
+  return Promise.all(
+    devices.map((device, index) => inspectDevice(device, configIssues.get(configs[index]) ?? []))
+  );
+}
+
+/**
+ * Validate a device's config and files
+ */
+async function inspectDevice(device, issues = []) {
+  const configIssues = [...issues, ...validateDevice(device)];
+  const assetIssues = isDeviceUsable(configIssues) ? await checkDeviceAssets(device) : [];
+  const allIssues = [...configIssues, ...assetIssues];
+  return { device, issues: allIssues, usable: isDeviceUsable(allIssues) };
+}
+
+function getManifestEntries(manifest) {
+  if (Array.isArray(manifest)) {
+    return manifest;
+  }
+  if (Array.isArray(manifest?.devices)) {
+    return manifest.devices;
+  }
+  return manifest ? [manifest] : [];
+}
+
+function isModelFile(file) {
+  return /\.glb$/i.test(file.name);
+}
+
+function isConfigFile(file) {
+  return /\.json$/i.test(file.name);
+}
+
+function isBackgroundFile(file) {
+  return /_bg\.(png|webp)$/i.test(file.name);
+}
+
+function isScreenMaskFile(file) {
+  return /_screenmask\.(png|webp)$/i.test(file.name);
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
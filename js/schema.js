@@ -0,0 +1,427 @@
+/**
+ * Device Schema
+ * Validates device configurations and reports problems in a readable form
+ */
+
+const MATERIAL_SCHEMA = {
+  name: { type: "string", required: true },
+  color: { type: "color" },
+  metallicFactor: { type: "number", min: 0, max: 1 },
+  roughnessFactor: { type: "number", min: 0, max: 1 },
+  emissiveFactor: { type: "array", items: { type: "number", min: 0 }, minItems: 3, maxItems: 3 },
+  hide: { type: "boolean" },
+};
+
+const CAMERA_PRESET_SCHEMA = {
+  id: { type: "string", required: true },
+  name: { type: "string", required: true },
+  cameraOrbit: { type: "string", required: true },
+  cameraTarget: { type: "string" },
+  fieldOfView: { type: "string" },
+};
+
+const FINISH_SCHEMA = {
+  id: { type: "string", required: true },
+  name: { type: "string", required: true },
+  swatch: { type: "string", pattern: /^#[0-9a-f]{3}([0-9a-f]{3})?$/i, hint: "a #rrggbb color" },
+  bodyMaterials: { type: "array", items: { type: "object", schema: MATERIAL_SCHEMA } },
+};
+
+const SCREEN_SHAPE_SCHEMA = {
+  x: { type: "number", required: true, min: 0 },
+  y: { type: "number", required: true, min: 0 },
+  width: { type: "number", required: true, min: 1 },
+  height: { type: "number", required: true, min: 1 },
+  cornerRadius: { type: "number", min: 0 },
+  cutout: {
+    type: "object",
+    schema: {
+      type: { type: "string", required: true, values: ["notch", "island"] },
+      width: { type: "number", required: true, min: 1 },
+      height: { type: "number", required: true, min: 1 },
+      radius: { type: "number", min: 0 },
+      offsetY: { type: "number" },
+    },
+  },
+};
+
+/**
+ * Fields a device entry may have
+ * - type: string, number, boolean, array, object or color ([r, g, b] or [r, g, b, a] from 0 to 1)
+ * - required: the device is unusable without it
+ * - min / max, pattern, values: allowed values
+ */
+export const DEVICE_SCHEMA = {
+  id: { type: "string", required: true, pattern: /^[a-z0-9][a-z0-9._-]*$/i, hint: "letters, digits, dots, dashes and underscores" },
+  name: { type: "string", required: true },
+  source: { type: "string", values: ["manifest", "session"] },
+  folder: { type: "string" },
+  assetPrefix: { type: "string" },
+  backgroundPath: { type: "string" },
+  screenMaskPath: { type: "string" },
+  screenShape: { type: "object", schema: SCREEN_SHAPE_SCHEMA },
+  screenCorners: {
+    type: "array",
+    items: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 },
+    minItems: 4,
+    maxItems: 4,
+  },
+  chromeOffset: { type: "number" },
+  safeAreaInsets: {
+    type: "object",
+    schema: {
+      top: { type: "number", min: 0 },
+      bottom: { type: "number", min: 0 },
+    },
+  },
+  backgroundHasStatusBar: { type: "boolean" },
+  screenWidth: { type: "number", min: 1, integer: true },
+  screenHeight: { type: "number", min: 1, integer: true },
+  has2DAssets: { type: "boolean" },
+  modelPath: { type: "string" },
+  screenMaterialName: { type: "string" },
+  screenTextureSlot: { type: "string", values: ["baseColorTexture", "emissiveTexture"] },
+  screenTextureSize: { type: "number", min: 1, max: 8192, integer: true },
+  screenTextureUV: {
+    type: "object",
+    schema: {
+      uMin: { type: "number", required: true, min: 0, max: 1 },
+      vMin: { type: "number", required: true, min: 0, max: 1 },
+      uMax: { type: "number", required: true, min: 0, max: 1 },
+      vMax: { type: "number", required: true, min: 0, max: 1 },
+    },
+  },
+  screenTextureRotation: { type: "number" },
+  screenTextureScaleX: { type: "number" },
+  screenTextureScaleY: { type: "number" },
+  screenTextureOffset: { type: "number" },
+  screenTextureTranslateX: { type: "number" },
+  screenTextureTranslateY: { type: "number" },
+  screenTextureTranslatePercentX: { type: "number" },
+  screenTextureTranslatePercentY: { type: "number" },
+  cameraOrbit: { type: "string" },
+  fieldOfView: { type: "string" },
+  cameraPresets: { type: "array", items: { type: "object", schema: CAMERA_PRESET_SCHEMA } },
+  exposure: { type: "number", min: 0 },
+  environmentImage: { type: "string" },
+  environmentIntensity: { type: "number", min: 0 },
+  shadowIntensity: { type: "number", min: 0 },
+  disableEnvironmentLighting: { type: "boolean" },
+  screenUnlit: { type: "boolean" },
+  emissiveStrength: { type: "number", min: 0 },
+  bodyMaterials: { type: "array", items: { type: "object", schema: MATERIAL_SCHEMA } },
+  finishes: { type: "array", items: { type: "object", schema: FINISH_SCHEMA } },
+};
+
+/**
+ * Check a device configuration against DEVICE_SCHEMA and the rules between fields
+ * @param {Object} device - The device configuration
+ * @returns {Array} The issues [{severity: "error"|"warning", path, message}, ...]
+ */
+export function validateDevice(device) {
+  if (!device || typeof device !== "object" || Array.isArray(device)) {
+    return [issue("error", "", "must be an object")];
+  }
+
+  const issues = validateObject(device, DEVICE_SCHEMA, "");
+
+  const has2D = device.has2DAssets !== false;
+  if (!has2D && !device.modelPath) {
+    issues.push(issue("error", "modelPath", "is required when has2DAssets is false, or the device has nothing to show"));
+  }
+  if (has2D && !device.backgroundPath && !(device.folder && device.assetPrefix)) {
+    issues.push(issue("error", "", "2D devices need folder and assetPrefix, or backgroundPath"));
+  }
+  if (!has2D && !(device.screenWidth && device.screenHeight)) {
+    issues.push(issue("warning", "", "3D-only devices need screenWidth and screenHeight to size the screen texture"));
+  }
+
+  const uv = device.screenTextureUV;
+  if (uv && typeof uv === "object") {
+    if (uv.uMin >= uv.uMax) {
+      issues.push(issue("error", "screenTextureUV", "uMin must be less than uMax"));
+    }
+    if (uv.vMin >= uv.vMax) {
+      issues.push(issue("error", "screenTextureUV", "vMin must be less than vMax"));
+    }
+  }
+
+  if (isPointList(device.screenCorners, 4) && !isConvexQuad(device.screenCorners)) {
+    issues.push(issue("error", "screenCorners", "must be a convex quad listed top-left, top-right, bottom-right, bottom-left"));
+  }
+
+  ["screenTextureScaleX", "screenTextureScaleY"].forEach((key) => {
+    if (device[key] === 0) {
+      issues.push(issue("warning", key, "is 0, which is treated as 1"));
+    }
+  });
+
+  issues.push(...findDuplicateNames(device.bodyMaterials, "bodyMaterials"));
+  issues.push(...findDuplicateNames(device.cameraPresets, "cameraPresets", "id"));
+  issues.push(...findDuplicateNames(device.finishes, "finishes", "id"));
+
+  return issues;
+}
+
+/**
+ * Check that a device's files can be fetched.
+ * Pages opened from disk can't fetch, so nothing is reported there.
+ * @param {Object} device - The device configuration
+ * @returns {Promise<Array>} The issues for missing files
+ */
+export async function checkDeviceAssets(device) {
+  if (typeof location !== "undefined" && location.protocol === "file:") {
+    return [];
+  }
+
+  const assets = [];
+  if (device.modelPath) {
+    assets.push(["modelPath", device.modelPath]);
+  }
+  if (device.has2DAssets !== false) {
+    assets.push([
+      device.backgroundPath ? "backgroundPath" : "folder",
+      device.backgroundPath ?? `${device.folder}/${device.assetPrefix}_bg.png`,
+    ]);
+  }
+  // Without a mask file the mask is generated, so it's only a warning
+  const maskPath =
+    device.screenMaskPath ??
+    (device.folder && !device.screenCorners ? `${device.folder}/${device.assetPrefix}_screenmask.png` : null);
+  if (device.has2DAssets !== false && !device.screenShape && maskPath) {
+    assets.push([device.screenMaskPath ? "screenMaskPath" : "folder", maskPath, "warning"]);
+  }
+
+  const results = await Promise.all(
+    assets.map(async ([path, url, severity = "error"]) => {
+      if (url.startsWith("blob:") || (await urlExists(url))) {
+        return null;
+      }
+      const message =
+        severity === "error"
+          ? `file not found: ${url}`
+          : `file not found: ${url}, so the screen mask is ${device.screenCorners ? "filled from screenCorners" : "traced from the background"}`;
+      return issue(severity, path, message);
+    })
+  );
+  return results.filter(Boolean);
+}
+
+/**
+ * Check that the materials a device names exist in its loaded model
+ * @param {Object} device - The device configuration
+ * @param {Array} materials - The model's materials
+ * @returns {Array} The issues for missing materials
+ */
+export function checkModelMaterials(device, materials) {
+  const available = (materials ?? []).map((material) => material.name).filter(Boolean);
+  const names = new Set(available.map((name) => name.toLowerCase()));
+  const issues = [];
+
+  // The screen is matched by exact name, body materials ignore case
+  if (device.screenMaterialName && !available.includes(device.screenMaterialName)) {
+    issues.push(
+      issue("warning", "screenMaterialName", `"${device.screenMaterialName}" is not in the model, so the screen is guessed`)
+    );
+  }
+
+  (device.bodyMaterials ?? []).forEach((descriptor, index) => {
+    if (descriptor?.name && !names.has(descriptor.name.toLowerCase())) {
+      issues.push(issue("warning", `bodyMaterials[${index}].name`, `"${descriptor.name}" is not in the model`));
+    }
+  });
+
+  if (issues.length > 0 && available.length > 0) {
+    issues.push(issue("warning", "", `The model's materials are: ${available.join(", ")}`));
+  }
+  return issues;
+}
+
+/**
+ * Find keys defined more than once in the same JSON object
+ * (JSON.parse silently keeps the last one)
+ * @param {string} text - The JSON text
+ * @returns {Array} Warnings for each repeated key
+ */
+export function findDuplicateKeys(text) {
+  const issues = [];
+  const stack = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === "{") {
+      stack.push({ keys: new Set(), expectKey: true });
+    } else if (char === "[") {
+      stack.push(null);
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+    } else if (char === ",") {
+      const top = stack[stack.length - 1];
+      if (top) {
+        top.expectKey = true;
+      }
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      const top = stack[stack.length - 1];
+      if (top?.expectKey) {
+        const key = JSON.parse(text.slice(index, end + 1));
+        if (top.keys.has(key)) {
+          issues.push(issue("warning", key, "is defined more than once; only the last value is used"));
+        }
+        top.keys.add(key);
+        top.expectKey = false;
+      }
+      index = end;
+    }
+    index += 1;
+  }
+
+  return issues;
+}
+
+/**
+ * Format an issue for display
+ * @param {Object} item - The issue
+ * @returns {string} e.g. "screenTextureUV.uMax: must be at most 1"
+ */
+export function formatIssue(item) {
+  return item.path ? `${item.path}: ${item.message}` : item.message;
+}
+
+function validateObject(value, schema, prefix) {
+  const issues = [];
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value[key] === undefined || value[key] === null) {
+      if (rule.required) {
+        issues.push(issue("error", path, "is required"));
+      }
+      return;
+    }
+    issues.push(...validateValue(value[key], rule, path));
+  });
+
+  Object.keys(value).forEach((key) => {
+    if (!(key in schema)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      issues.push(issue("warning", path, "is not a known setting and is ignored (typo?)"));
+    }
+  });
+
+  return issues;
+}
+
+function validateValue(value, rule, path) {
+  if (rule.type === "color") {
+    const valid =
+      Array.isArray(value) &&
+      (value.length === 3 || value.length === 4) &&
+      value.every((component) => typeof component === "number" && component >= 0 && component <= 1);
+    return valid ? [] : [issue("error", path, "must be [r, g, b] or [r, g, b, a] with values from 0 to 1")];
+  }
+
+  if (rule.type === "array") {
+    if (!Array.isArray(value)) {
+      return [issue("error", path, "must be a list")];
+    }
+    const issues = [];
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      issues.push(issue("error", path, `must have at least ${rule.minItems} items`));
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      issues.push(issue("error", path, `must have at most ${rule.maxItems} items`));
+    }
+    value.forEach((item, index) => {
+      issues.push(...validateValue(item, rule.items, `${path}[${index}]`));
+    });
+    return issues;
+  }
+
+  if (rule.type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return [issue("error", path, "must be an object")];
+    }
+    return validateObject(value, rule.schema, path);
+  }
+
+  if (typeof value !== rule.type || (rule.type === "number" && !Number.isFinite(value))) {
+    return [issue("error", path, `must be a ${rule.type}, got ${JSON.stringify(value)}`)];
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return [issue("error", path, `must be one of ${rule.values.join(", ")}`)];
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return [issue("error", path, `must be ${rule.hint ?? `like ${rule.pattern}`}`)];
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return [issue("error", path, "must be a whole number")];
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return [issue("error", path, `must be at least ${rule.min}`)];
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return [issue("error", path, `must be at most ${rule.max}`)];
+  }
+  return [];
+}
+
+function findDuplicateNames(items, path, key = "name") {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  const seen = new Set();
+  const issues = [];
+  items.forEach((item, index) => {
+    const value = item?.[key];
+    if (typeof value !== "string") {
+      return;
+    }
+    if (seen.has(value)) {
+      issues.push(issue("warning", `${path}[${index}].${key}`, `"${value}" is listed more than once`));
+    }
+    seen.add(value);
+  });
+  return issues;
+}
+
+function isPointList(value, length) {
+  return (
+    Array.isArray(value) &&
+    value.length === length &&
+    value.every(
+      (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)
+    )
+  );
+}
+
+/**
+ * Check that corners listed clockwise on screen (y pointing down) form a convex quad
+ */
+function isConvexQuad(corners) {
+  return corners.every((point, index) => {
+    const next = corners[(index + 1) % 4];
+    const after = corners[(index + 2) % 4];
+    const cross =
+      (next[0] - point[0]) * (after[1] - next[1]) - (next[1] - point[1]) * (after[0] - next[0]);
+    return cross > 0;
+  });
+}
+
+async function urlExists(url) {
+  try {
+    const response = await fetch(encodeURI(url), { method: "HEAD", cache: "no-cache" });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+function issue(severity, path, message) {
+  return { severity, path, message };
+}
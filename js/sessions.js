@@ -0,0 +1,174 @@
+/**
+ * Sessions
+ * Keeps the current mockup and a few recent ones in IndexedDB so a closed tab loses nothing
+ */
+
+const DB_NAME = "mockitship";
+const DB_VERSION = 1;
+const STORE_NAME = "sessions";
+
+// Older sessions beyond this are dropped when a session is saved
+export const MAX_SESSIONS = 6;
+
+let databasePromise = null;
+
+/**
+ * Start a new session id
+ * @returns {string} The id
+ */
+export function createSessionId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Save a mockup state as a session, replacing the session with the same id,
+ * then drop the oldest sessions beyond MAX_SESSIONS
+ * @param {string} id - The session id
+ * @param {string} label - Shown in the recent sessions list, e.g. "iPhone 17 Pro · hero.png"
+ * @param {Object} state - The state from captureMockupState in app.js
+ * @returns {Promise} Resolves once stored
+ */
+export async function saveSession(id, label, state) {
+  const database = await openDatabase();
+  const record = { id, label, updatedAt: Date.now(), state: toStoredState(state) };
+
+  await runTransaction(database, "readwrite", (store) => store.put(record));
+
+  const sessions = await listSessions();
+  const expired = sessions.slice(MAX_SESSIONS);
+  if (expired.length > 0) {
+    await runTransaction(database, "readwrite", (store) =>
+      expired.forEach((session) => store.delete(session.id))
+    );
+  }
+}
+
+/**
+ * List the saved sessions, newest first
+ * @returns {Promise<Array>} The sessions [{id, label, updatedAt}, ...]
+ */
+export async function listSessions() {
+  const database = await openDatabase();
+  const records = await runTransaction(database, "readonly", (store) => store.getAll());
+  return records
+    .map(({ id, label, updatedAt }) => ({ id, label, updatedAt }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Load a saved session
+ * @param {string} id - The session id (optional; the newest session without it)
+ * @returns {Promise<Object|null>} The session {id, label, updatedAt, state}, or null
+ */
+export async function loadSession(id) {
+  const database = await openDatabase();
+  const sessionId = id ?? (await listSessions())[0]?.id;
+  if (!sessionId) {
+    return null;
+  }
+
+  const record = await runTransaction(database, "readonly", (store) => store.get(sessionId));
+  if (!record) {
+    return null;
+  }
+  return { ...record, state: await fromStoredState(record.state) };
+}
+
+/**
+ * Delete every saved session, for shared machines
+ * @returns {Promise} Resolves once cleared
+ */
+export async function clearSessions() {
+  const database = await openDatabase();
+  await runTransaction(database, "readwrite", (store) => store.clear());
+}
+
+/**
+ * Format when a session was last saved, for the recent sessions list
+ * @param {number} time - The timestamp
+ * @returns {string} e.g. "14:05" today, otherwise "Oct 12, 14:05"
+ */
+export function formatSessionTime(time) {
+  const date = new Date(time);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const clock = date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return sameDay
+    ? clock
+    : `${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}, ${clock}`;
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.addEventListener("upgradeneeded", () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      });
+      request.addEventListener("success", () => resolve(request.result));
+      request.addEventListener("error", () => reject(request.error));
+    });
+    // Let a later call try again, e.g. after private browsing blocked the first
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run requests in one transaction and resolve with the last request's result
+ * once the transaction completes
+ */
+function runTransaction(database, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.addEventListener("complete", () => resolve(request?.result));
+    transaction.addEventListener("error", () => reject(transaction.error));
+    transaction.addEventListener("abort", () => reject(transaction.error));
+  });
+}
+
+/**
+ * Images can't be stored, so a background image is kept as its data URL
+ */
+function toStoredState(state) {
+  const background = state.composition?.background;
+  if (!background?.image) {
+    return state;
+  }
+  return {
+    ...state,
+    composition: {
+      ...state.composition,
+      background: { ...background, image: background.image.src },
+    },
+  };
+}
+
+async function fromStoredState(state) {
+  const background = state?.composition?.background;
+  if (typeof background?.image !== "string") {
+    return state;
+  }
+
+  const image = new Image();
+  const loaded = new Promise((resolve, reject) => {
+    image.addEventListener("load", resolve, { once: true });
+    image.addEventListener("error", reject, { once: true });
+  });
+  image.src = background.image;
+  try {
+    await loaded;
+  } catch (error) {
+    return { ...state, composition: { ...state.composition, background: { ...background, type: "none", image: null } } };
+  }
+  return { ...state, composition: { ...state.composition, background: { ...background, image } } };
+}
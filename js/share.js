@@ -0,0 +1,176 @@
+/**
+ * Share Links
+ * Encodes the mockup setup (device, view, colors, camera, export settings) in the URL hash; the artwork stays local
+ */
+
+import { EXPORT_FORMATS, createExportSettings } from './export.js';
+
+const ORBIT_PATTERN = /^-?[\d.]+(deg|rad) -?[\d.]+(deg|rad) [\d.]+(m|%)$/;
+const TARGET_PATTERN = /^-?[\d.]+m -?[\d.]+m -?[\d.]+m$/;
+const FIELD_OF_VIEW_PATTERN = /^[\d.]+deg$/;
+const HEX_PATTERN = /^[0-9a-f]{6}$/i;
+
+/**
+ * Build the URL hash for a mockup state. Export settings are only written
+ * where they differ from the defaults.
+ * @param {Object} state - The state
+ * @param {string} state.deviceId - The device id
+ * @param {string} state.viewMode - "2d" or "3d"
+ * @param {string} state.finishId - The chosen finish (optional)
+ * @param {Array} state.bodyMaterials - Custom body colors (optional)
+ * @param {Object} state.camera - {cameraOrbit, cameraTarget, fieldOfView} (optional)
+ * @param {Object} state.exportSettings - The export settings (optional)
+ * @returns {string} The hash, starting with "#"
+ */
+export function createShareHash(state) {
+  const params = new URLSearchParams();
+  params.set("device", state.deviceId);
+  params.set("view", state.viewMode);
+
+  if (state.finishId) {
+    params.set("finish", state.finishId);
+  }
+  if (state.bodyMaterials?.length) {
+    params.set("colors", JSON.stringify(state.bodyMaterials.map(compactMaterial)));
+  }
+
+  if (state.camera) {
+    params.set("orbit", state.camera.cameraOrbit);
+    params.set("target", state.camera.cameraTarget);
+    params.set("fov", state.camera.fieldOfView);
+  }
+
+  const settings = state.exportSettings;
+  const defaults = createExportSettings();
+  if (settings) {
+    if (settings.format !== defaults.format) {
+      params.set("format", settings.format);
+    }
+    if (settings.mode === "exact") {
+      params.set("size", `${settings.width}x${settings.height}`);
+    } else if (settings.multiplier !== defaults.multiplier) {
+      params.set("size", `${settings.multiplier}x`);
+    }
+    if (EXPORT_FORMATS[settings.format]?.lossy && settings.quality !== defaults.quality) {
+      params.set("quality", String(Math.round(settings.quality * 100)));
+    }
+    if (settings.format === "jpeg" && settings.flattenColor !== defaults.flattenColor) {
+      params.set("flatten", settings.flattenColor.replace("#", ""));
+    }
+  }
+
+  return `#${params.toString()}`;
+}
+
+/**
+ * Read a mockup state from a URL hash made by createShareHash.
+ * Values that don't parse are left out rather than failing the whole link.
+ * @param {string} hash - The URL hash
+ * @returns {Object|null} The state {deviceId, viewMode, finishId, bodyMaterials,
+ *   camera, exportSettings}, or null when the hash names no device
+ */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+  const deviceId = params.get("device");
+  if (!deviceId) {
+    return null;
+  }
+
+  const state = {
+    deviceId,
+    viewMode: params.get("view") === "3d" ? "3d" : "2d",
+    finishId: params.get("finish") || null,
+    bodyMaterials: parseMaterials(params.get("colors")),
+    camera: null,
+    exportSettings: parseExportSettings(params),
+  };
+
+  const orbit = params.get("orbit");
+  if (orbit && ORBIT_PATTERN.test(orbit)) {
+    const target = params.get("target");
+    const fieldOfView = params.get("fov");
+    state.camera = {
+      cameraOrbit: orbit,
+      cameraTarget: target && TARGET_PATTERN.test(target) ? target : "",
+      fieldOfView: fieldOfView && FIELD_OF_VIEW_PATTERN.test(fieldOfView) ? fieldOfView : "",
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Round a material's numbers to keep the link short
+ */
+function compactMaterial(descriptor) {
+  const round = (value) => (typeof value === "number" ? Math.round(value * 1000) / 1000 : value);
+  return Object.fromEntries(
+    Object.entries(descriptor).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.map(round) : round(value),
+    ])
+  );
+}
+
+function parseMaterials(value) {
+  if (!value) {
+    return null;
+  }
+
+  let materials;
+  try {
+    materials = JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(materials)) {
+    return null;
+  }
+
+  const isFactor = (factor) => typeof factor === "number" && factor >= 0 && factor <= 1;
+  const valid = materials.filter(
+    (material) =>
+      typeof material?.name === "string" &&
+      (material.color === undefined ||
+        (Array.isArray(material.color) &&
+          (material.color.length === 3 || material.color.length === 4) &&
+          material.color.every(isFactor))) &&
+      (material.metallicFactor === undefined || isFactor(material.metallicFactor)) &&
+      (material.roughnessFactor === undefined || isFactor(material.roughnessFactor))
+  );
+  return valid.length > 0 ? valid : null;
+}
+
+function parseExportSettings(params) {
+  const settings = createExportSettings();
+
+  const format = params.get("format");
+  if (format && EXPORT_FORMATS[format]) {
+    settings.format = format;
+  }
+
+  const size = params.get("size") ?? "";
+  const multiplier = /^([1-4])x$/.exec(size);
+  const exact = /^(\d+)x(\d+)$/.exec(size);
+  if (multiplier) {
+    settings.multiplier = Number(multiplier[1]);
+  } else if (exact) {
+    const width = Number(exact[1]);
+    const height = Number(exact[2]);
+    if (width >= 1 && width <= 8192 && height >= 1 && height <= 8192) {
+      Object.assign(settings, { mode: "exact", width, height });
+    }
+  }
+
+  const quality = Number(params.get("quality"));
+  if (quality >= 1 && quality <= 100) {
+    settings.quality = quality / 100;
+  }
+
+  const flatten = params.get("flatten");
+  if (flatten && HEX_PATTERN.test(flatten)) {
+    settings.flattenColor = `#${flatten.toLowerCase()}`;
+  }
+
+  return settings;
+}
@@ -0,0 +1,138 @@
+/**
+ * Keyboard Shortcuts
+ * Matches key presses to bindings like "Shift+Mod+Z", formats them for display, and fuzzy-searches commands
+ */
+
+// Modifier order when a binding is displayed
+const MODIFIER_ORDER = ["Ctrl", "Alt", "Shift", "Mod"];
+const APPLE_SYMBOLS = { Ctrl: "⌃", Alt: "⌥", Shift: "⇧", Mod: "⌘" };
+
+// Input types that don't take typed text, so shortcuts still work while they have focus
+const NON_TEXT_INPUTS = ["button", "checkbox", "color", "file", "radio", "range", "reset", "submit"];
+
+/**
+ * Check whether the platform uses ⌘ rather than Ctrl for shortcuts
+ * @returns {boolean} True on macOS and iOS
+ */
+export function isApplePlatform() {
+  const platform = navigator.userAgentData?.platform ?? navigator.platform ?? "";
+  return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Check whether a key press matches a binding. "Mod" is ⌘ or Ctrl; Shift is
+ * ignored for symbols that need it to be typed, like "?".
+ * @param {KeyboardEvent} event - The key press
+ * @param {string} shortcut - The binding, e.g. "Mod+K", "Shift+Mod+Z" or "]"
+ * @returns {boolean} True when it matches
+ */
+export function matchesShortcut(event, shortcut) {
+  const parts = shortcut.split("+");
+  const key = parts.pop();
+  const modifiers = new Set(parts);
+
+  if (event.key?.toLowerCase() !== key.toLowerCase()) {
+    return false;
+  }
+  if (modifiers.has("Mod") !== (event.metaKey || event.ctrlKey)) {
+    return false;
+  }
+  if (modifiers.has("Alt") !== event.altKey) {
+    return false;
+  }
+  const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+  return isSymbol || modifiers.has("Shift") === event.shiftKey;
+}
+
+/**
+ * Format a binding for display
+ * @param {string} shortcut - The binding, e.g. "Shift+Mod+Z"
+ * @param {boolean} apple - Use the ⇧⌘ symbols (defaults to the current platform)
+ * @returns {string} e.g. "⇧⌘Z" or "Ctrl+Shift+Z"
+ */
+export function formatShortcut(shortcut, apple = isApplePlatform()) {
+  const parts = shortcut.split("+");
+  const key = parts.pop();
+  const label = key.length === 1 ? key.toUpperCase() : key;
+
+  if (apple) {
+    const modifiers = MODIFIER_ORDER.filter((modifier) => parts.includes(modifier));
+    return modifiers.map((modifier) => APPLE_SYMBOLS[modifier]).join("") + label;
+  }
+  // Elsewhere Ctrl comes first and Mod is Ctrl
+  const modifiers = ["Mod", ...MODIFIER_ORDER.filter((modifier) => modifier !== "Mod")]
+    .filter((modifier) => parts.includes(modifier))
+    .map((modifier) => (modifier === "Mod" ? "Ctrl" : modifier));
+  return [...modifiers, label].join("+");
+}
+
+/**
+ * Check whether an element takes typed text, where key presses belong to the field
+ * @param {Element} element - The focused element or event target
+ * @returns {boolean} True for text fields, text areas, selects (which jump to
+ *   options as letters are typed) and editable content
+ */
+export function isTextEntry(element) {
+  if (
+    element?.isContentEditable ||
+    element instanceof HTMLTextAreaElement ||
+    element instanceof HTMLSelectElement
+  ) {
+    return true;
+  }
+  return element instanceof HTMLInputElement && !NON_TEXT_INPUTS.includes(element.type);
+}
+
+/**
+ * Score how well a query matches a label. Every query letter has to appear
+ * in order; runs of letters and letters starting a word score higher.
+ * @param {string} query - The search text
+ * @param {string} label - The text to match
+ * @returns {number|null} The score, or null when it doesn't match
+ */
+export function fuzzyScore(query, label) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = label.toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+
+  let score = 0;
+  let position = -1;
+  let run = 0;
+  for (const letter of needle) {
+    const index = haystack.indexOf(letter, position + 1);
+    if (index < 0) {
+      return null;
+    }
+    run = index === position + 1 ? run + 1 : 0;
+    const startsWord = index === 0 || /[\s\-_./(]/.test(haystack[index - 1]);
+    score += 1 + run * 2 + (startsWord ? 3 : 0);
+    position = index;
+  }
+  // Prefer shorter labels among equal matches
+  return score - haystack.length * 0.01;
+}
+
+/**
+ * Filter and sort commands by a fuzzy query
+ * @param {Array} commands - The commands [{label, group, keywords}, ...]
+ * @param {string} query - The search text
+ * @returns {Array} The matching commands, best first; all of them when the query is empty
+ */
+export function searchCommands(commands, query) {
+  if (!query.trim()) {
+    return commands;
+  }
+  return commands
+    .map((command) => {
+      // The label alone ranks above a match that needs the group or keywords
+      const text = [command.group, command.label, command.keywords].filter(Boolean).join(" ");
+      const labelScore = fuzzyScore(query, command.label);
+      const textScore = fuzzyScore(query, text);
+      return { command, score: labelScore ?? (textScore === null ? null : textScore - 10) };
+    })
+    .filter((match) => match.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map((match) => match.command);
+}
@@ -0,0 +1,277 @@
+/**
+ * Status Bar Overlay
+ * Draws a clean iOS or Android status bar and home indicator over the artwork on the screen
+ */
+
+// Layout sizes below are in points (iOS) or dp (Android) of these screen widths
+const REFERENCE_WIDTHS = {
+  ios: { phone: 393, tablet: 820 },
+  android: { phone: 412, tablet: 800 },
+};
+
+// Status bar and home indicator heights, in reference units
+const DEFAULT_INSETS = {
+  ios: { phone: { top: 54, bottom: 34 }, tablet: { top: 24, bottom: 20 } },
+  android: { phone: { top: 32, bottom: 24 }, tablet: { top: 32, bottom: 24 } },
+};
+
+// Screens longer than this ratio are laid out as phones, others as tablets
+const PHONE_ASPECT = 1.6;
+
+const LOW_BATTERY_COLOR = "#ff3b30";
+const DIM_ALPHA = 0.3;
+
+/**
+ * Create the default status bar settings (disabled)
+ * @returns {Object} The settings
+ */
+export function createStatusBar() {
+  return {
+    enabled: false,
+    platform: "ios",
+    style: "dark",
+    time: "9:41",
+    signal: 4,
+    wifi: 3,
+    battery: 100,
+    homeIndicator: true,
+    coverExisting: false,
+    coverColor: "#ffffff",
+  };
+}
+
+/**
+ * Get the status bar and home indicator insets of a screen. A device's
+ * safeAreaInsets are in screenWidth pixels; without them, portrait screens
+ * get the platform's usual insets and landscape screens (laptops, desktops) none.
+ * @param {Object} device - The device configuration
+ * @param {number} width - Width of the screen being drawn
+ * @param {number} height - Height of the screen being drawn
+ * @param {string} platform - "ios" or "android"
+ * @returns {Object|null} {top, bottom, unit} in drawn pixels, where unit is one
+ *   reference point or dp; null when the screen has no status bar
+ */
+export function getSafeAreaInsets(device, width, height, platform = "ios") {
+  const kind = height / width >= PHONE_ASPECT ? "phone" : "tablet";
+  const unit = width / REFERENCE_WIDTHS[platform][kind];
+
+  if (device?.safeAreaInsets) {
+    const scale = device.screenWidth ? width / device.screenWidth : 1;
+    return {
+      top: (device.safeAreaInsets.top ?? 0) * scale,
+      bottom: (device.safeAreaInsets.bottom ?? 0) * scale,
+      unit,
+    };
+  }
+  if (width >= height) {
+    return null;
+  }
+
+  const insets = DEFAULT_INSETS[platform][kind];
+  return { top: insets.top * unit, bottom: insets.bottom * unit, unit };
+}
+
+/**
+ * Draw the status bar and home indicator over a screen. The context's origin
+ * is the screen's top-left corner.
+ * @param {CanvasRenderingContext2D} ctx - The target context
+ * @param {number} width - Screen width
+ * @param {number} height - Screen height
+ * @param {Object} settings - The status bar settings (see createStatusBar)
+ * @param {Object} device - The device configuration
+ * @param {Object} options - Drawing options
+ * @param {boolean} options.skipStatusBar - Only draw the home indicator, for
+ *   backgrounds that already show a status bar (optional)
+ * @param {number} options.coverOffset - How far below the screen's top the
+ *   artwork starts, so coverExisting lands on its own status bar (optional)
+ */
+export function drawStatusBar(ctx, width, height, settings, device, options = {}) {
+  if (!settings?.enabled) {
+    return;
+  }
+  const platform = settings.platform === "android" ? "android" : "ios";
+  const insets = getSafeAreaInsets(device, width, height, platform);
+  if (!insets) {
+    return;
+  }
+
+  const color = settings.style === "light" ? "#ffffff" : "#000000";
+  ctx.save();
+
+  // The screenshot's own status bar is covered even where the background draws the new one
+  if (settings.coverExisting && insets.top > 0) {
+    ctx.fillStyle = settings.coverColor;
+    ctx.fillRect(0, options.coverOffset ?? 0, width, insets.top);
+  }
+  if (!options.skipStatusBar && insets.top > 0) {
+    drawBarContent(ctx, width, insets, settings, platform, color);
+  }
+
+  if (settings.homeIndicator && insets.bottom > 0) {
+    const { unit } = insets;
+    const isPhone = height / width >= PHONE_ASPECT;
+    const barWidth = (platform === "android" ? 108 : isPhone ? 134 : 320) * unit;
+    const barHeight = (platform === "android" ? 4 : 5) * unit;
+    const y = height - insets.bottom / 2 - barHeight / 2;
+    ctx.fillStyle = color;
+    fillRoundedRect(ctx, (width - barWidth) / 2, y, barWidth, barHeight, barHeight / 2);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draw the time on the left and the signal, Wi-Fi and battery icons on the right
+ */
+function drawBarContent(ctx, width, insets, settings, platform, color) {
+  const { unit, top } = insets;
+  // iPhones with a notch or island center the time and icons in the screen's "ears"
+  const inEars = platform === "ios" && top > 40 * unit;
+  const padding = (platform === "android" ? 16 : 20) * unit;
+  const fontSize = (platform === "android" ? 14 : 17) * unit;
+  const iconHeight = fontSize * 0.68;
+  const centerY = top * (inEars ? 0.56 : 0.5);
+  const gap = iconHeight * 0.45;
+
+  const signalWidth = iconHeight * 1.3;
+  const wifiWidth = iconHeight * 1.4;
+  const batteryWidth = iconHeight * 2.1;
+  const iconsWidth = signalWidth + wifiWidth + batteryWidth + gap * 2;
+
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  ctx.font = `600 ${fontSize}px -apple-system, "SF Pro Text", Roboto, system-ui, sans-serif`;
+  ctx.textBaseline = "middle";
+  ctx.textAlign = inEars ? "center" : "left";
+  ctx.fillText(settings.time ?? "", inEars ? width * 0.205 : padding, centerY);
+
+  let x = inEars ? width * 0.795 - iconsWidth / 2 : width - padding - iconsWidth;
+  const baseline = centerY + iconHeight / 2;
+  drawSignal(ctx, x, baseline, signalWidth, iconHeight, settings.signal, platform);
+  x += signalWidth + gap;
+  drawWifi(ctx, x, baseline, wifiWidth, iconHeight, settings.wifi);
+  x += wifiWidth + gap;
+  drawBattery(ctx, x, baseline - iconHeight, batteryWidth, iconHeight, settings.battery, color);
+}
+
+function drawSignal(ctx, x, baseline, width, height, level, platform) {
+  const bars = clampLevel(level, 4);
+
+  if (platform === "android") {
+    // A right triangle, filled from the left up to the signal level
+    const traceTriangle = () => {
+      ctx.beginPath();
+      ctx.moveTo(x, baseline);
+      ctx.lineTo(x + width, baseline);
+      ctx.lineTo(x + width, baseline - height);
+      ctx.closePath();
+    };
+    ctx.globalAlpha = DIM_ALPHA;
+    traceTriangle();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, baseline - height, (width * bars) / 4, height);
+    ctx.clip();
+    traceTriangle();
+    ctx.fill();
+    ctx.restore();
+    return;
+  }
+
+  const barWidth = width / 5.2;
+  const barGap = (width - barWidth * 4) / 3;
+  for (let index = 0; index < 4; index += 1) {
+    const barHeight = height * (0.4 + index * 0.2);
+    ctx.globalAlpha = index < bars ? 1 : DIM_ALPHA;
+    fillRoundedRect(
+      ctx,
+      x + index * (barWidth + barGap),
+      baseline - barHeight,
+      barWidth,
+      barHeight,
+      barWidth * 0.3
+    );
+  }
+  ctx.globalAlpha = 1;
+}
+
+function drawWifi(ctx, x, baseline, width, height, level) {
+  const arcs = clampLevel(level, 3);
+  const centerX = x + width / 2;
+  const radius = Math.min(height, width / 1.42);
+  const start = -Math.PI * 0.75;
+  const end = -Math.PI * 0.25;
+
+  // The dot is a filled wedge, the two outer bands are strokes
+  ctx.globalAlpha = arcs >= 1 ? 1 : DIM_ALPHA;
+  ctx.beginPath();
+  ctx.moveTo(centerX, baseline);
+  ctx.arc(centerX, baseline, radius * 0.36, start, end);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.lineWidth = radius * 0.17;
+  ctx.lineCap = "round";
+  [0.64, 0.92].forEach((band, index) => {
+    ctx.globalAlpha = arcs >= index + 2 ? 1 : DIM_ALPHA;
+    ctx.beginPath();
+    ctx.arc(centerX, baseline, radius * band, start, end);
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+}
+
+function drawBattery(ctx, x, y, width, height, level, color) {
+  const charge = Math.max(0, Math.min(100, Number(level) || 0)) / 100;
+  const capWidth = width * 0.07;
+  const bodyWidth = width - capWidth * 1.6;
+  const radius = height * 0.3;
+  const lineWidth = height * 0.09;
+  const inset = lineWidth * 2;
+
+  ctx.globalAlpha = 0.4;
+  ctx.lineWidth = lineWidth;
+  strokeRoundedRect(ctx, x + lineWidth / 2, y + lineWidth / 2, bodyWidth - lineWidth, height - lineWidth, radius);
+  fillRoundedRect(ctx, x + bodyWidth + capWidth * 0.4, y + height * 0.33, capWidth, height * 0.34, capWidth / 2);
+  ctx.globalAlpha = 1;
+
+  if (charge > 0) {
+    ctx.fillStyle = charge <= 0.2 ? LOW_BATTERY_COLOR : color;
+    fillRoundedRect(
+      ctx,
+      x + inset,
+      y + inset,
+      (bodyWidth - inset * 2) * charge,
+      height - inset * 2,
+      radius - inset / 2
+    );
+    ctx.fillStyle = color;
+  }
+}
+
+function clampLevel(level, max) {
+  return Math.max(0, Math.min(max, Math.round(Number(level) || 0)));
+}
+
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+function fillRoundedRect(ctx, x, y, width, height, radius) {
+  traceRoundedRect(ctx, x, y, width, height, radius);
+  ctx.fill();
+}
+
+function strokeRoundedRect(ctx, x, y, width, height, radius) {
+  traceRoundedRect(ctx, x, y, width, height, radius);
+  ctx.stroke();
+}
@@ -4,6 +4,9 @@
  */
 
 import { findScreenMaterial } from './materials.js';
+import { drawArtwork, getArtworkFill } from './artwork.js';
+import { getCornerScreenSize } from './canvas.js';
+import { drawStatusBar } from './statusbar.js';
 
 /**
  * Set a black/grey screen texture when no image is loaded
@@ -15,7 +18,10 @@ export async function setBlackScreen(modelViewer, activeDevice) {
     return;
   }
 
-  const material = findScreenMaterial(modelViewer.model.materials);
+  const material = findScreenMaterial(
+    modelViewer.model.materials,
+    activeDevice.screenMaterialName
+  );
   if (!material) {
     return;
   }
@@ -124,8 +130,12 @@ export async function setBlackScreen(modelViewer, activeDevice) {
  * @param {Object} activeDevice - The active device configuration
  * @param {Object} activeDeviceAssets - The loaded device assets
  * @param {Image} userImage - The user's uploaded image
+ * @param {Object} options - Texture options
+ * @param {Object} options.crop - Pan and zoom applied to the artwork (optional)
+ * @param {Object} options.fit - Fit mode, anchor and fill color (optional)
+ * @param {Object} options.statusBar - Status bar and home indicator overlay (optional)
  */
-export async function updateModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, userImage) {
+export async function updateModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, userImage, options = {}) {
   if (
     !modelViewer?.model ||
     typeof modelViewer.createTexture !== "function" ||
@@ -135,7 +145,10 @@ export async function updateModelViewerTexture(modelViewer, activeDevice, active
     return;
   }
 
-  const material = findScreenMaterial(modelViewer.model.materials);
+  const material = findScreenMaterial(
+    modelViewer.model.materials,
+    activeDevice.screenMaterialName
+  );
   if (!material) {
     console.warn("No screen material found for device:", activeDevice.name);
     return;
@@ -324,116 +337,11 @@ export async function updateModelViewerTexture(modelViewer, activeDevice, active
     }
   }
 
-  // For devices with 2D assets, use the mask bounds
-  // For devices without 2D assets (like iMac), use screen dimensions
-  let screenWidth, screenHeight;
-
-  if (activeDeviceAssets?.maskBounds) {
-    const { maskBounds } = activeDeviceAssets;
-    if (!maskBounds?.width || !maskBounds?.height) {
-      return;
-    }
-    screenWidth = maskBounds.width;
-    screenHeight = maskBounds.height;
-  } else if (activeDevice.screenWidth && activeDevice.screenHeight) {
-    // Use configured screen dimensions for 3D-only devices
-    screenWidth = activeDevice.screenWidth;
-    screenHeight = activeDevice.screenHeight;
-  } else {
-    console.warn("No screen dimensions available for device:", activeDevice.name);
+  const textureCanvas = drawScreenTexture(activeDevice, activeDeviceAssets, userImage, options);
+  if (!textureCanvas) {
     return;
   }
 
-  const screenCanvas = document.createElement("canvas");
-  screenCanvas.width = screenWidth;
-  screenCanvas.height = screenHeight;
-  const screenCtx = screenCanvas.getContext("2d");
-  screenCtx.imageSmoothingQuality = "high";
-
-  const { drawWidth, drawHeight, offsetX, offsetY } = computeCoverFit(
-    userImage,
-    { width: screenWidth, height: screenHeight }
-  );
-
-  const screenOffsetY = activeDevice.screenTextureOffset ?? 0;
-
-  screenCtx.drawImage(
-    userImage,
-    offsetX,
-    offsetY + screenOffsetY,
-    drawWidth,
-    drawHeight
-  );
-
-  const textureSize = activeDevice.screenTextureSize || screenWidth;
-  const textureCanvas = document.createElement("canvas");
-  textureCanvas.width = textureSize;
-  textureCanvas.height = textureSize;
-
-  const textureCtx = textureCanvas.getContext("2d");
-  textureCtx.fillStyle = "#000";
-  textureCtx.fillRect(0, 0, textureCanvas.width, textureCanvas.height);
-  textureCtx.imageSmoothingQuality = "high";
-
-  const uv = activeDevice.screenTextureUV || {
-    uMin: 0,
-    vMin: 0,
-    uMax: 1,
-    vMax: 1,
-  };
-
-  const rectLeft = uv.uMin * textureCanvas.width;
-  const rectRight = uv.uMax * textureCanvas.width;
-  const rectTop = (1 - uv.vMax) * textureCanvas.height;
-  const rectBottom = (1 - uv.vMin) * textureCanvas.height;
-  const rectWidth = rectRight - rectLeft;
-  const rectHeight = rectBottom - rectTop;
-  const rectCenterX = rectLeft + rectWidth / 2;
-  const rectCenterY = rectTop + rectHeight / 2;
-
-  const rotation =
-    activeDevice.screenTextureRotation != null
-      ? activeDevice.screenTextureRotation
-      : 0;
-  const extraScaleX = activeDevice.screenTextureScaleX || 1;
-  const extraScaleY = activeDevice.screenTextureScaleY || 1;
-  const translateXAbsolute = activeDevice.screenTextureTranslateX || 0;
-  const translateYAbsolute = activeDevice.screenTextureTranslateY || 0;
-  const translateXPercent = activeDevice.screenTextureTranslatePercentX || 0;
-  const translateYPercent = activeDevice.screenTextureTranslatePercentY || 0;
-  const translateX = translateXAbsolute + rectWidth * translateXPercent;
-  const translateY = translateYAbsolute + rectHeight * translateYPercent;
-
-  const swapsAxes = Math.abs(Math.round(rotation / (Math.PI / 2))) % 2 === 1;
-  const widthForScale = swapsAxes
-    ? screenCanvas.height
-    : screenCanvas.width;
-  const heightForScale = swapsAxes
-    ? screenCanvas.width
-    : screenCanvas.height;
-
-  const baseScaleX = rectWidth / widthForScale;
-  const baseScaleY = rectHeight / heightForScale;
-  const scaleX = baseScaleX * extraScaleX;
-  const scaleY = baseScaleY * extraScaleY;
-
-  textureCtx.save();
-  textureCtx.translate(rectCenterX + translateX, rectCenterY + translateY);
-  if (rotation) {
-    textureCtx.rotate(rotation);
-  }
-  if (scaleX !== 1 || scaleY !== 1) {
-    textureCtx.scale(scaleX, scaleY);
-  }
-  textureCtx.drawImage(
-    screenCanvas,
-    -screenCanvas.width / 2,
-    -screenCanvas.height / 2,
-    screenCanvas.width,
-    screenCanvas.height
-  );
-  textureCtx.restore();
-
   const dataUrl = textureCanvas.toDataURL("image/png");
   const texture = await modelViewer.createTexture(dataUrl);
 
@@ -550,20 +458,173 @@ export async function updateModelViewerTexture(modelViewer, activeDevice, active
 }
 
 /**
- * Compute cover-fit dimensions for an image
- * @param {Image} image - The image to fit
- * @param {Object} bounds - The bounds to fit within
- * @returns {Object} Draw dimensions and offsets
+ * Swap in a new frame of animated artwork (video or GIF).
+ * Reuses the material set up by updateModelViewerTexture and only replaces the
+ * image behind its texture, which is much cheaper than rebuilding the material.
+ * @param {Object} modelViewer - The model-viewer element
+ * @param {Object} activeDevice - The active device configuration
+ * @param {Object} activeDeviceAssets - The loaded device assets
+ * @param {CanvasImageSource} frame - The current frame
+ * @param {Object} options - Texture options (see updateModelViewerTexture)
  */
-function computeCoverFit(image, bounds) {
-  const widthScale = bounds.width / image.width;
-  const heightScale = bounds.height / image.height;
-  const scale = Math.max(widthScale, heightScale);
+export async function refreshModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, frame, options = {}) {
+  if (!modelViewer?.model || !activeDevice || !frame) {
+    return;
+  }
+
+  const material = findScreenMaterial(
+    modelViewer.model.materials,
+    activeDevice.screenMaterialName
+  );
+  const slots = [
+    material?.emissiveTexture,
+    material?.pbrMetallicRoughness?.baseColorTexture,
+  ];
+  const sources = slots
+    .map((info) => info?.texture?.source)
+    .filter((source) => typeof source?.setURI === "function");
+
+  if (sources.length === 0) {
+    await updateModelViewerTexture(modelViewer, activeDevice, activeDeviceAssets, frame, options);
+    return;
+  }
 
-  const drawWidth = image.width * scale;
-  const drawHeight = image.height * scale;
-  const offsetX = (bounds.width - drawWidth) / 2;
-  const offsetY = (bounds.height - drawHeight) / 2;
+  const textureCanvas = drawScreenTexture(activeDevice, activeDeviceAssets, frame, options);
+  if (!textureCanvas) {
+    return;
+  }
+
+  // The screen texture is opaque, and JPEG encodes far faster than PNG
+  const dataUrl = textureCanvas.toDataURL("image/jpeg", 0.9);
+  await Promise.all([...new Set(sources)].map((source) => source.setURI(dataUrl)));
+
+  if (typeof modelViewer.requestRender === "function") {
+    modelViewer.requestRender();
+  }
+}
+
+/**
+ * Draw the artwork into a full screen texture, placed at the device's UV rectangle
+ * @param {Object} activeDevice - The device configuration
+ * @param {Object} activeDeviceAssets - The loaded device assets (optional)
+ * @param {CanvasImageSource} userImage - The artwork
+ * @param {Object} options - Texture options (see updateModelViewerTexture)
+ * @returns {HTMLCanvasElement|null} The texture canvas, or null without screen dimensions
+ */
+export function drawScreenTexture(activeDevice, activeDeviceAssets, userImage, options = {}) {
+  // For devices with 2D assets, use the mask bounds (or the flat screen behind angled corners)
+  // For devices without 2D assets (like iMac), use screen dimensions
+  let screenWidth, screenHeight;
+
+  if (activeDeviceAssets?.screenCorners) {
+    ({ width: screenWidth, height: screenHeight } = getCornerScreenSize(activeDeviceAssets));
+  } else if (activeDeviceAssets?.maskBounds) {
+    const { maskBounds } = activeDeviceAssets;
+    if (!maskBounds?.width || !maskBounds?.height) {
+      return null;
+    }
+    screenWidth = maskBounds.width;
+    screenHeight = maskBounds.height;
+  } else if (activeDevice.screenWidth && activeDevice.screenHeight) {
+    // Use configured screen dimensions for 3D-only devices
+    screenWidth = activeDevice.screenWidth;
+    screenHeight = activeDevice.screenHeight;
+  } else {
+    console.warn("No screen dimensions available for device:", activeDevice.name);
+    return null;
+  }
+
+  const screenCanvas = document.createElement("canvas");
+  screenCanvas.width = screenWidth;
+  screenCanvas.height = screenHeight;
+  const screenCtx = screenCanvas.getContext("2d");
+  screenCtx.imageSmoothingQuality = "high";
+
+  const fillColor = getArtworkFill(options.fit);
+  if (fillColor) {
+    screenCtx.fillStyle = fillColor;
+    screenCtx.fillRect(0, 0, screenWidth, screenHeight);
+  }
+
+  const screenOffsetY = activeDevice.screenTextureOffset ?? 0;
+
+  drawArtwork(
+    screenCtx,
+    userImage,
+    { x: 0, y: screenOffsetY, width: screenWidth, height: screenHeight },
+    options.crop,
+    options.fit
+  );
+  drawStatusBar(screenCtx, screenWidth, screenHeight, options.statusBar, activeDevice);
+
+  const textureSize = activeDevice.screenTextureSize || screenWidth;
+  const textureCanvas = document.createElement("canvas");
+  textureCanvas.width = textureSize;
+  textureCanvas.height = textureSize;
+
+  const textureCtx = textureCanvas.getContext("2d");
+  textureCtx.fillStyle = "#000";
+  textureCtx.fillRect(0, 0, textureCanvas.width, textureCanvas.height);
+  textureCtx.imageSmoothingQuality = "high";
+
+  const uv = activeDevice.screenTextureUV || {
+    uMin: 0,
+    vMin: 0,
+    uMax: 1,
+    vMax: 1,
+  };
+
+  const rectLeft = uv.uMin * textureCanvas.width;
+  const rectRight = uv.uMax * textureCanvas.width;
+  const rectTop = (1 - uv.vMax) * textureCanvas.height;
+  const rectBottom = (1 - uv.vMin) * textureCanvas.height;
+  const rectWidth = rectRight - rectLeft;
+  const rectHeight = rectBottom - rectTop;
+  const rectCenterX = rectLeft + rectWidth / 2;
+  const rectCenterY = rectTop + rectHeight / 2;
+
+  const rotation =
+    activeDevice.screenTextureRotation != null
+      ? activeDevice.screenTextureRotation
+      : 0;
+  const extraScaleX = activeDevice.screenTextureScaleX || 1;
+  const extraScaleY = activeDevice.screenTextureScaleY || 1;
+  const translateXAbsolute = activeDevice.screenTextureTranslateX || 0;
+  const translateYAbsolute = activeDevice.screenTextureTranslateY || 0;
+  const translateXPercent = activeDevice.screenTextureTranslatePercentX || 0;
+  const translateYPercent = activeDevice.screenTextureTranslatePercentY || 0;
+  const translateX = translateXAbsolute + rectWidth * translateXPercent;
+  const translateY = translateYAbsolute + rectHeight * translateYPercent;
+
+  const swapsAxes = Math.abs(Math.round(rotation / (Math.PI / 2))) % 2 === 1;
+  const widthForScale = swapsAxes
+    ? screenCanvas.height
+    : screenCanvas.width;
+  const heightForScale = swapsAxes
+    ? screenCanvas.width
+    : screenCanvas.height;
+
+  const baseScaleX = rectWidth / widthForScale;
+  const baseScaleY = rectHeight / heightForScale;
+  const scaleX = baseScaleX * extraScaleX;
+  const scaleY = baseScaleY * extraScaleY;
+
+  textureCtx.save();
+  textureCtx.translate(rectCenterX + translateX, rectCenterY + translateY);
+  if (rotation) {
+    textureCtx.rotate(rotation);
+  }
+  if (scaleX !== 1 || scaleY !== 1) {
+    textureCtx.scale(scaleX, scaleY);
+  }
+  textureCtx.drawImage(
+    screenCanvas,
+    -screenCanvas.width / 2,
+    -screenCanvas.height / 2,
+    screenCanvas.width,
+    screenCanvas.height
+  );
+  textureCtx.restore();
 
-  return { drawWidth, drawHeight, offsetX, offsetY };
+  return textureCanvas;
 }